@@ -6,8 +6,7 @@
  * - rsc-landscape: https://github.com/2003scape/rsc-landscape
  *
  * Useful locations:
- * - Origin (top-left):     /tp 240 80 432
- * - Lumbridge:             /tp 900 80 656
+ * - Any place in `PLACES`: /cs rsc_gen_terrain <landscape_filename> goto lumbridge
  * - Aerial view:           /tp @s 768 327 559 180 90
  *
  * ---
@@ -15,6 +14,166 @@
  * USAGE:
  *
  *  /cs rsc_gen_terrain <landscape_filename> <region|full|chunk> [--clean]
+ *      [--no-underground] [--underground-depth=<blocks>] [--mapping=<file>]
+ *      [--schematic=<directory>] [--single-schematic] [--batch=<sectors>]
+ *      [--progress=<file>] [--scale=<n>] [--offset=<x>,<z>]
+ *      [--rotate=<degrees>] [--base-y=<y>] [--layers=<layers>]
+ *      [--only=<parts>] [--no-floors] [--no-biomes] [--no-walls] [--no-roofs]
+ *      [--no-objects] [--no-trees] [--seed=<n>] [--roof-pitch=<pitch>]
+ *      [--smooth] [--exaggeration=<factor>] [--scenery=<file>]
+ *      [--npcs=<file>] [--items=<file>] [--no-npcs] [--no-items] [--dry-run]
+ *
+ *  /cs rsc_gen_terrain <landscape_filename> resume [--batch=<sectors>]
+ *      [--progress=<file>]
+ *
+ *  /cs rsc_gen_terrain <landscape_filename> export <output_filename>
+ *      [--no-underground] [--underground-depth=<blocks>] [--mapping=<file>]
+ *      [--offset=<x>,<z>] [--rotate=<degrees>] [--base-y=<y>]
+ *      [--smooth] [--exaggeration=<factor>]
+ *
+ *  /cs rsc_gen_terrain <landscape_filename> report <output_filename>
+ *      [--mapping=<file>]
+ *
+ *  /cs rsc_gen_terrain <landscape_filename> inspect [<transform flags>]
+ *
+ *  /cs rsc_gen_terrain <landscape_filename> goto <place|x,y> [<transform flags>]
+ *
+ *  /cs rsc_gen_terrain <landscape_filename> around <place|x,y> <radius>
+ *      [<flags as above>]
+ *
+ *  /cs rsc_gen_terrain --help
+ *
+ * The landscape can be either:
+ * - A "Landscape.data" ZIP file (as used by the 2D-Landscape-Editor).
+ * - A client cache directory containing the original land / maps archives
+ *   (e.g. "land63.jag", "maps63.jag", "land63.mem", "maps63.mem").
+ * Only the client cache records which way objects face, so with a
+ * "Landscape.data" file, they all face north.
+ *
+ * `full` and `region` generate a batch of sectors at a time (default: 4), so
+ * that each run finishes within the scripting timeout, saving their progress to
+ * a file (default: "<landscape_filename>.progress.json"). `resume` generates
+ * the next batch, using the same options as the original run. Sectors missing
+ * from the landscape are skipped, and sectors that fail are reported at the
+ * end of each run, without stopping the rest; once the rest are done, `resume`
+ * tries them again.
+ *
+ * Parts of the map can be left alone, e.g. to regenerate just the roofs after
+ * changing the block mapping. `--layers` picks which layers are built (0-2 for
+ * the surface, 3 for underground), while `--only` (or `--no-<part>`) picks
+ * what is built in them: floors, biomes, walls, roofs, objects, trees, npcs
+ * and items. Biomes belong to layer 0, and since `--clean` clears the whole
+ * surface, it can only be used with `--layers` if that includes 0-2.
+ * `--dry-run` counts the blocks (and entities) that would be changed in each
+ * sector, without changing anything (not even the progress file, so it
+ * ignores `--batch`).
+ *
+ * Anything random, such as the height of broken walls or the shape of trees,
+ * depends only on `--seed` (default: 0) and the tile's position, so the same
+ * seed always generates the same blocks, whatever order the sectors are
+ * generated in.
+ *
+ * Roofs are pitched, rising by up to `--roof-pitch` blocks per block (0 for
+ * flat roofs, 0.5 or 1; default: 1). Wide roofs are made shallower, so that
+ * they never rise more than 4 blocks above the walls.
+ *
+ * The ground normally rises in whole-block steps, about 9 in all. `--smooth`
+ * rounds it to the nearest half block instead, using slabs, snow or moss
+ * carpets for the half steps, and at larger scales, slopes the ground across
+ * each tile. `--exaggeration` multiplies the height of hills (default: 1, and
+ * at most 4).
+ * Water is never lower than sea level either way, and exports must use the
+ * same flags.
+ *
+ * Water gets a block deeper for every tile away from the shore (up to 6
+ * blocks, digging below `--base-y` if need be), over a floor of sand, gravel
+ * or clay, and grass or dirt right beside it becomes a sandy beach. Water is
+ * level with the sea, except in rivers running through higher ground, which
+ * take the place of the ground itself and so step down towards the sea.
+ *
+ * Cliffs are built as solid faces of mixed stone (or mud), rising to the
+ * highest ground within a couple of tiles, and always at least 2 blocks high,
+ * so that they can't be climbed in Minecraft any more than in RSC. They stop
+ * short of anything overhanging them, such as the floor of an upper storey.
+ * Walls, objects and spawns on a cliff stand on top of it.
+ *
+ * Some parts of the map, such as Karamja, the Kharidian Desert, the Wilderness
+ * and Morytania, are given their own biome (everywhere else is plains), and
+ * their own kinds of tree: jungle trees, acacias or dead trees. These regions
+ * are outlined in the "regions" section of the block mapping, so they can be
+ * changed or added to just like any blocks.
+ *
+ * Objects normally come from the landscape alone, but the spawn lists used by
+ * RSC servers (e.g. Open-RSC's "SceneryLocs.json") can add more:
+ * - `--scenery`: scenery, built just like objects (anything already in the
+ *   landscape is skipped).
+ * - `--npcs`: NPCs, spawned as named villagers, armour stands or mobs.
+ * - `--items`: ground items, placed in item frames lying on the ground, or as
+ *   blocks such as chests.
+ * See "Spawns" below for the formats that are understood, and the "npcs" and
+ * "items" sections of the block mapping for what each ID becomes. Spawned
+ * entities are tagged with their list and layer (e.g. "rsc.npcs.0"), and
+ * generating a sector again replaces any it has spawned before. NPCs missing
+ * from the mapping are marked with a block, rather than spawned.
+ *
+ * The underground layer (dungeons) is built inside a block of rock, placed
+ * `--underground-depth` blocks below the surface (default: 32). Sectors with
+ * nothing underground are left alone.
+ *
+ * The blocks used for terrain, overlays, walls, roofs and objects can be
+ * changed by passing a JSON file to `--mapping`. This follows the structure of
+ * `DEFAULT_BLOCK_MAPPING`, and only needs to contain the entries that differ,
+ * for example:
+ *
+ *      {
+ *          "walls": {
+ *              "1": { "name": "Stone wall", "block": "deepslate_bricks" }
+ *          },
+ *          "roofs": {
+ *              "2": { "block": "dark_oak_planks", "stairs": "dark_oak_stairs" }
+ *          }
+ *      }
+ *
+ * Terrain blocks are chosen by matching each tile's colour from the RSC
+ * terrain palette against the average colour of each candidate block, mixing
+ * neighbouring blocks where the palette changes from one to the other. Set
+ * `"terrain": { "dither": false }` in the mapping to disable this mixing.
+ *
+ * With `--schematic`, the world is left untouched; instead, each sector is
+ * saved to a Sponge schematic (e.g. "h0x50y50.schem") in the given directory.
+ * `--single-schematic` saves all requested sectors to one file instead (beware
+ * that this is held in memory, so is not suitable for the full map). Schematics
+ * remember where they came from, so they can be put back in the right place
+ * using `//schem load <name>` followed by `//paste -o`.
+ *
+ * By default, each tile is one block, and the map is laid out from the origin
+ * towards +X and +Z, with east along +X and south along +Z. This can be
+ * changed with:
+ * - `--scale`: the width of each tile in blocks (default: 1).
+ * - `--offset`: moves the whole map along X and Z.
+ * - `--rotate`: rotates the map clockwise (seen from above) about the origin,
+ *   before it is moved; block states such as stairs are rotated to match.
+ * - `--base-y`: the height of the bedrock layer (default: 60).
+ * These are remembered by `resume`, and must be given again to every other
+ * command (including `inspect` and `goto`) so they can find the right tiles.
+ *
+ * `export` does the reverse: it reads the sectors within the selection back
+ * from the world, and writes them to a new Landscape.data ZIP file, along with
+ * every other sector from the original landscape. The same flags should be
+ * used as when the terrain was generated, so that the blocks can be matched
+ * up. Only changes that can be recognised are exported (see "Export" below).
+ *
+ * `report` lists every texture, overlay, wall, roof and object ID used in the
+ * landscape, with counts, whether it is mapped, and some example (RSC)
+ * co-ordinates. No blocks are placed. The report is written as CSV if the
+ * output filename ends in ".csv", or JSON otherwise.
+ *
+ * `inspect` prints the sector, tile and RSC co-ordinates at the player's
+ * position, along with the raw data for that tile in every layer.
+ *
+ * `goto` teleports to a named place (see `PLACES`) or RSC co-ordinates, and
+ * `around` generates the sectors within `radius` tiles of one; this works just
+ * like `region`, and accepts the same flags.
  *
  * ---
  *
@@ -24,14 +183,16 @@
  *
  *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data full
  *
- *      This may require a tweak to `worldedit.properties`:
+ *      Followed by, as many times as needed:
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data resume
+ *
+ *      Larger batches need a tweak to `worldedit.properties`, e.g.
  *      scripting-timeout=300000
  *
  *      Followed by:
  *      /worldedit reload
  *
- *      After generating the map it takes a long time for the chunks to update,
- *      and no other commands can be run in the meantime.
+ *      After generating the map it takes a long time for the chunks to update.
  *
  * Generate sector at the current chunk:
  *
@@ -40,6 +201,43 @@
  * Generate sectors to fill the selected region:
  *
  *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data region
+ *
+ * Generate sector at the current chunk, from a client cache:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/cache chunk
+ *
+ * Regenerate the roofs and objects of the selected region:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data region --only=roofs,objects,trees
+ *
+ * Generate sector at the current chunk, with NPCs and ground items:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data chunk --npcs=D:/tmp/rsc/NpcLocs.json --items=D:/tmp/rsc/GroundItems.json
+ *
+ * Save the entire map as schematics, one per sector:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data full --schematic=D:/tmp/rsc/schematics
+ *
+ * Generate the area around Falador, then go there:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data around falador 50
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data goto falador
+ *
+ * Generate the selected region at double size, higher up and facing north:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data region --scale=2 --base-y=64 --rotate=180
+ *
+ * Show the RSC tile at the player's position:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data inspect
+ *
+ * List IDs that still need mapping:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data report D:/tmp/rsc/report.csv
+ *
+ * Export edits within the selection to a new landscape file:
+ *
+ *      /cs rsc_gen_terrain D:/tmp/rsc/Landscape.data export D:/tmp/rsc/Landscape-edited.data
  */
 
 importPackage(Packages.java.io);
@@ -49,20 +247,65 @@ importPackage(Packages.java.util.zip);
 importPackage(Packages.com.sk89q.worldedit);
 importPackage(Packages.com.sk89q.worldedit.blocks);
 importPackage(Packages.com.sk89q.worldedit.math);
-importClass(Packages.com.sk89q.worldedit.util.TreeGenerator);
+importPackage(Packages.com.sk89q.jnbt);
+importClass(Packages.com.sk89q.worldedit.extent.clipboard.BlockArrayClipboard);
+importClass(Packages.com.sk89q.worldedit.extent.clipboard.io.BuiltInClipboardFormat);
+importClass(Packages.com.sk89q.worldedit.regions.CuboidRegion);
+importClass(Packages.com.sk89q.worldedit.extent.transform.BlockTransformExtent);
+importClass(Packages.com.sk89q.worldedit.math.transform.AffineTransform);
+importClass(Packages.com.sk89q.worldedit.entity.BaseEntity);
+importClass(Packages.com.sk89q.worldedit.world.entity.EntityTypes);
+importClass(Packages.com.sk89q.worldedit.util.Location);
+importClass(Packages.com.sk89q.worldedit.world.biome.BiomeTypes);
 
 const SEA_LEVEL = 63;
 const BEDROCK_LEVEL = 60;
 const MAX_TERRAIN_HEIGHT = 9;
 
+// Hills can be made at most this many times taller (see `--exaggeration`), so
+// that the highest ground, with a building on top, still fits within
+// SCHEMATIC_HEIGHT
+const MAX_EXAGGERATION = 4;
+
+// Water gets a block deeper for every tile away from the shore, up to this
+// depth, and beaches only form on land this close to the surface of the water
+const MAX_WATER_DEPTH = 6;
+const MAX_BEACH_HEIGHT = 1;
+
+// Water with land on both sides, no more than this many tiles away, is a river
+// rather than open water, and steps down towards the sea with the land
+const RIVER_REACH = 3;
+
+// Cliffs rise to the highest ground this many tiles away, and always at least
+// this high, so that they are too high to jump up
+const CLIFF_REACH = 2;
+const MIN_CLIFF_HEIGHT = 2;
+
+// Leaves spread up to 3 blocks from the trunk, which can itself be a tile away
+// from the tree's own tile, so trees this many tiles away from a sector can
+// reach into it
+const TREE_REACH = 4;
+
 // If a tile has a roof, it will take the place of the topmost wall block.
 // Otherwise, we keep the walls high so that they merge with the layer above.
 const WALL_HEIGHT = 5;
 const ROOF_HEIGHT = WALL_HEIGHT;
 
-// TODO: Layer 4 is underground!
+// Roofs rise by up to this many blocks per block (see `--roof-pitch`), but
+// never by more than MAX_ROOF_RISE blocks, so they stay below the storey above
+const DEFAULT_ROOF_PITCH = 1;
+const ROOF_PITCHES = [0, 0.5, 1];
+const MAX_ROOF_RISE = WALL_HEIGHT - 1;
+
+// Number of layers that make up the surface (ground floor and upper storeys)
 const NUM_LAYERS = 3;
 
+// Dungeons are stored in a separate layer, which we build in a block of rock
+// far enough below the surface that the two never overlap.
+const UNDERGROUND_LAYER = 3;
+const DEFAULT_UNDERGROUND_DEPTH = 32;
+const UNDERGROUND_HEIGHT = 20;
+
 const SECTOR_SIZE = 48;
 
 // Sector filenames start from h0x48y37
@@ -73,6 +316,27 @@ const MAX_SECTOR_X = 68;
 const MAX_SECTOR_Y = 57;
 const NUM_SECTORS_X = MAX_SECTOR_X - MIN_SECTOR_X;
 
+// In RSC co-ordinates, each layer is offset by this amount in the y-axis
+const RSC_LAYER_OFFSET = 944;
+
+// When picking terrain blocks by colour, lightness matters more than
+// saturation, since RSC's colours are far more saturated than any Minecraft
+// texture
+const TERRAIN_LIGHTNESS_WEIGHT = 1.5;
+const TERRAIN_CHROMA_WEIGHT = 0.5;
+
+// Number of palette indices either side of a change in terrain block over
+// which the two blocks are mixed
+const TERRAIN_DITHER_RANGE = 6;
+
+// 4x4 Bayer matrix, used to mix terrain blocks
+const DITHER_MATRIX = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
 ////////////////////////////////////////////////////////////////////////////////
 // Minecraft world
 ////////////////////////////////////////////////////////////////////////////////
@@ -80,16 +344,16 @@ const NUM_SECTORS_X = MAX_SECTOR_X - MIN_SECTOR_X;
 function processSector(sector, sectorX, sectorY, clean) {
     // Find the sector origin, converted to Minecraft's co-ordinate system
     var sectorMinBlockPos = getMinBlockPosForSector(sectorX, sectorY);
+    doorPositions = {};
 
     // Clean chunk
-    // TODO: This prevents trees from generating!
     if (clean) {
         for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
             for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
                 var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
                 for (var height = 0; height < 30; height++) {
                     blockPos = blockPos.withY(BEDROCK_LEVEL + height);
-                    blocks.setBlock(blockPos, context.getBlock("air"));
+                    setTileBlock(blockPos, getBlock("air"));
                 }
             }
         }
@@ -102,26 +366,62 @@ function processSector(sector, sectorX, sectorY, clean) {
      */
 
     // Build floors
-    for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
-        for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
-            buildFloors(sectorMinBlockPos, sector, tileX, tileY);
+    if (isPassEnabled("floors")) {
+        for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+            for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+                buildFloors(sectorMinBlockPos, sector, tileX, tileY);
+            }
         }
     }
 
-    // Build walls
-    for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
-        for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
-            buildWalls(sectorMinBlockPos, sector, tileX, tileY);
+    // Set biomes (these come from the ground)
+    if (isPassEnabled("biomes") && isLayerEnabled(0)) {
+        for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+            for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+                setBiomes(sectorMinBlockPos, sector, tileX, tileY);
+            }
         }
     }
 
-    // Build roofs
-    for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
-        for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
-            buildRoofs(sectorMinBlockPos, sector, tileX, tileY);
+    // Walls are shifted towards the north-east, so tiles just beyond the
+    // south / west edges of the sector can spill into it. We build these too
+    // (clipped to the sector), so that it doesn't matter which sector is
+    // generated first.
+    var sectorBounds = getSectorBounds(sectorMinBlockPos);
+
+    // Build walls (and objects)
+    structurePositions = {};
+    treeBounds = sectorBounds;
+    if (isPassEnabled("walls") || isPassEnabled("objects") || isPassEnabled("trees")) {
+        for (var tileX = 0; tileX <= SECTOR_SIZE; tileX++) {
+            for (var tileY = 0; tileY <= SECTOR_SIZE; tileY++) {
+                clipBounds = isTileInSector(tileX, tileY) ? null : sectorBounds;
+                buildWalls(sectorMinBlockPos, sector, tileX, tileY);
+            }
         }
     }
 
+    // Likewise, trees near the sector can spread their leaves into it
+    if (isPassEnabled("trees")) {
+        for (var tileX = -TREE_REACH; tileX < SECTOR_SIZE + TREE_REACH; tileX++) {
+            for (var tileY = -TREE_REACH; tileY < SECTOR_SIZE + TREE_REACH; tileY++) {
+                if (!isTileInSector(tileX, tileY)) {
+                    buildTrees(sectorMinBlockPos, sector, tileX, tileY);
+                }
+            }
+        }
+    }
+    structurePositions = null;
+    treeBounds = null;
+
+    // Build roofs
+    if (isPassEnabled("roofs")) {
+        clipBounds = sectorBounds;
+        buildRoofs(sector);
+    }
+
+    clipBounds = null;
+
     // Reverse iteration code, if needed...
     // for (var tileX = SECTOR_SIZE - 1; tileX >= 0; tileX--) {
     //     for (var tileY = SECTOR_SIZE - 1; tileY >= 0; tileY--) {
@@ -129,1361 +429,7317 @@ function processSector(sector, sectorX, sectorY, clean) {
     // }
 }
 
-function buildFloors(sectorMinBlockPos, sector, tileX, tileY) {
-    // Find block position corresponding to tile (at lowest possible point)
-    var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
-
-    // Build each layer in turn
-    for (var layer = 0; layer < NUM_LAYERS; layer++) {
-        var tile = sector[layer][tileX][tileY];
+function processUndergroundSector(sector, sectorX, sectorY) {
+    var sectorMinBlockPos = getMinBlockPosForSector(sectorX, sectorY);
+    var sectorBounds = getSectorBounds(sectorMinBlockPos);
+    doorPositions = {};
 
-        // Data structure to store Minecraft-specific data
-        tile.mc = {};
+    // Build rock, carving out the floor plan
+    if (isPassEnabled("floors")) {
+        for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+            for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+                buildUndergroundFloor(sectorMinBlockPos, sector, tileX, tileY);
+            }
+        }
+    }
 
-        // Get tile overlay settings
-        if (tile.groundOverlay) {
-            tile.mc.overlaySettings = getOverlaySettings(tile.groundOverlay);
+    // Build walls (and objects).
+    // Dungeons have no roofs, so there is nothing more to do.
+    structurePositions = {};
+    for (var tileX = 0; tileX <= SECTOR_SIZE; tileX++) {
+        for (var tileY = 0; tileY <= SECTOR_SIZE; tileY++) {
+            clipBounds = isTileInSector(tileX, tileY) ? null : sectorBounds;
+            var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
+            buildLayerWalls(sector, tileX, tileY, UNDERGROUND_LAYER, blockPos);
+            if (!clipBounds) {
+                placeSurfaceClimb(sector, tileX, tileY, blockPos);
+            }
         }
+    }
 
-        // Pick the block type based on the tile color
-        var blockType = getBlockTypeFromPalette(tile.groundTexture);
+    clipBounds = null;
+    structurePositions = null;
+}
 
-        // Determine desired elevation and place supporting blocks
-        if (layer === 0) {
-            // Place bedrock as a base
-            var bedrock = context.getBlock("bedrock");
-            blocks.setBlock(blockPos, bedrock);
+function isPassEnabled(pass) {
+    return buildFilter.passes[pass];
+}
 
-            // Pick the block type to be used by any supporting blocks
-            var supportType = blockType == context.getBlock("dirt_path")
-                ? context.getBlock("dirt")
-                : blockType;
+function isLayerEnabled(layer) {
+    return buildFilter.layers.indexOf(layer) >= 0;
+}
 
-            // RSC elevation seems to range from: 0 (highest point) to 256 (lowest point),
-            // which we map to the range: 9 (highest point) to 1 (lowest point).
-            tile.mc.elevation = 5 + ((tile.groundElevation) / 32);
-            if (tile.mc.overlaySettings && tile.mc.overlaySettings.overrideElevation) {
-                tile.mc.elevation = tile.mc.overlaySettings.overrideElevation;
-            }
+function prepareSector(sector) {
+    // Data structure to store Minecraft-specific data.
+    // This is everything we need to know about a tile before placing blocks,
+    // so that neighbouring tiles can be queried in any order.
+    for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+        for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+            for (var layer = 0; layer < sector.length; layer++) {
+                var tile = sector[layer][tileX][tileY];
+                tile.mc = {};
 
-            // Place supporting blocks up to the desired elevation
-            for (var i = 1; i < tile.mc.elevation; i++) {
-                blockPos = blockPos.withY(BEDROCK_LEVEL + i);
-                blocks.setBlock(blockPos, supportType);
-            }
-        } else {
-            var groundElevation = sector[0][tileX][tileY].mc.elevation;
-            tile.mc.elevation = groundElevation + layer * WALL_HEIGHT;
-        }
+                // Get tile overlay settings
+                if (tile.groundOverlay) {
+                    tile.mc.overlaySettings = getOverlaySettings(tile.groundOverlay);
+                }
 
-        // Place ground
-        if (layer === 0) {
-            blockPos = blockPos.withY(BEDROCK_LEVEL + tile.mc.elevation);
-            blocks.setBlock(blockPos, blockType);
+                // Find the region (only the ground needs this)
+                if (layer === 0) {
+                    tile.mc.region = findRegion(
+                            getRscCoords(0, sector.sectorX, sector.sectorY, tileX, tileY));
+                }
+
+                // Determine desired elevation
+                if (layer === 0) {
+                    tile.mc.height = getBaseHeight(sector, tileX, tileY);
+                    tile.mc.elevation = Math.floor(tile.mc.height / 2);
+                } else if (layer === UNDERGROUND_LAYER) {
+                    // Elevation is relative to BEDROCK_LEVEL like everywhere
+                    // else, so it ends up negative. Overlays cannot override it
+                    // since sea level means nothing down here.
+                    tile.mc.elevation = getTerrainElevation(tile) - undergroundDepth;
+                } else {
+                    var groundElevation = sector[0][tileX][tileY].mc.elevation;
+                    tile.mc.elevation = groundElevation + layer * WALL_HEIGHT;
+                }
+
+                var groundTile = sector[getGroundLayer(layer)][tileX][tileY];
+                tile.mc.indoors = isTileIndoors(
+                        tile.mc.overlaySettings, groundTile.mc.overlaySettings);
+            }
         }
+    }
 
-        // Place overlay block
-        if (isOverlayPermitted(layer, tile.mc.overlaySettings)) {
-            var overlayY = BEDROCK_LEVEL + tile.mc.elevation;
-            if (!tile.mc.overlaySettings.replaceGround) {
-                overlayY += 1;
+    // Cliffs rise to meet the ground around them, so they can only be sized up
+    // once every tile has its elevation. From then on, a cliff's elevation is
+    // the top of the cliff, so that anything built on it stands on the top;
+    // its height is still that of the ground beneath (see `getBaseElevation`).
+    for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+        for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+            if (isCliffTile(sector[0][tileX][tileY])) {
+                sector[0][tileX][tileY].mc.elevation = getCliffElevation(sector, tileX, tileY);
             }
-            blockPos = blockPos.withY(overlayY);
-            blocks.setBlock(blockPos, tile.mc.overlaySettings.block);
         }
     }
 }
 
-function buildWalls(sectorMinBlockPos, sector, tileX, tileY) {
+function buildFloors(sectorMinBlockPos, sector, tileX, tileY) {
     // Find block position corresponding to tile (at lowest possible point)
     var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
 
-    var groundOverlaySettings = sector[0][tileX][tileY].mc.overlaySettings;
-
     // Build each layer in turn
     for (var layer = 0; layer < NUM_LAYERS; layer++) {
+        if (!isLayerEnabled(layer)) {
+            continue;
+        }
+
         var tile = sector[layer][tileX][tileY];
+        var topElevation = tile.mc.elevation;
 
-        tile.mc.indoors = isTileIndoors(tile.mc.overlaySettings, groundOverlaySettings);
-        var wallType = getWallType(tile);
+        // Pick the block type based on the tile color
+        var worldTileX = sector.sectorX * SECTOR_SIZE + tileX;
+        var worldTileY = sector.sectorY * SECTOR_SIZE + tileY;
+        var blockType = getBlockTypeFromPalette(tile.groundTexture, worldTileX, worldTileY);
 
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
+        // Place ground, on top of supporting blocks
+        if (layer === 0) {
+            // Pick the block types to be used by any supporting blocks, and by
+            // any half steps on smooth terrain
+            var supportType = getSupportTypeFromPalette(tile.groundTexture, worldTileX, worldTileY);
+            var halfStepType = getHalfStepFromPalette(tile.groundTexture, worldTileX, worldTileY);
 
-            // Determine the wall's facing
-            var facing;
-            if (tile.mc.indoors) {
-                if (tile.topBorderWall) {
-                    facing = "south";
-                } else {
-                    facing = "west";
-                }
-            } else {
-                if (tile.topBorderWall) {
-                    facing = "north";
-                } else {
-                    facing = "east";
-                }
+            // Land right beside the water may be turned into a beach
+            var shoreBlock = getShoreBlock(sector, tileX, tileY, worldTileX, worldTileY);
+            if (shoreBlock) {
+                blockType = getBlock(shoreBlock);
+                halfStepType = null;
             }
 
-            // Get wall settings
-            var wallSettings = getWallSettings(tile, wallType, facing);
-
-            // Place walls at the appropriate locations.
-            // This is essentially unsolveable since walls in RS are 2D, but we
-            // take a best-effort approach of always placing walls to the
-            // north-east of the tile that defines them.
-            // TODO: This causes problems at sector boundaries.
-            // TODO: The shifted walls can overlap with adjacent objects.
-            // TODO: The shifted walls can overwrite doors (e.g. Crafting Guild)
-            if (tile.mc.indoors) {
-                if (tile.rightBorderWall && tile.topBorderWall) {
-                    // Inside corner: we need to place THREE neighbouring blocks
-                    // (the 2 shifted edges, plus a corner block).
-                    // If this wall has a door, it should only be placed once!
-                    var savedDoorBlock = wallSettings.doorBlock;
-                    wallSettings.doorBlock = null;
-                    var wallPos = blockPos.add(1, 0, 0);
-                    buildWall(sector, tileX, tileY, layer, wallPos, tile.mc.elevation, wallSettings);
-                    wallPos = blockPos.add(1, 0, -1);
-                    buildWall(sector, tileX, tileY, layer, wallPos, tile.mc.elevation, wallSettings);
-                    wallSettings.doorBlock = savedDoorBlock;
-                    wallPos = blockPos.add(0, 0, -1);
-                    buildWall(sector, tileX, tileY, layer, wallPos, tile.mc.elevation, wallSettings);
-                } else if (tile.topBorderWall) {
-                    // Top wall: shift up
-                    var wallPos = blockPos.add(0, 0, -1);
-                    buildWall(sector, tileX, tileY, layer, wallPos, tile.mc.elevation, wallSettings);
-                } else if (tile.rightBorderWall) {
-                    // Right wall: shift right
-                    var wallPos = blockPos.add(1, 0, 0);
-                    buildWall(sector, tileX, tileY, layer, wallPos, tile.mc.elevation, wallSettings);
-                } else {
-                    // Diagonal wall: just place a wall at the current tile
-                    buildWall(sector, tileX, tileY, layer, blockPos, tile.mc.elevation, wallSettings);
-                }
-            } else /* outdoor wall */ {
-                if (tile.topBorderWall) {
-                    // Top wall: shift up
-                    var wallPos = blockPos.add(0, 0, -1);
-                    buildWall(sector, tileX, tileY, layer, wallPos, tile.mc.elevation, wallSettings);
-                } else if (tile.rightBorderWall) {
-                    // Right wall: shift right
-                    var wallPos = blockPos.add(1, 0, 0);
-                    buildWall(sector, tileX, tileY, layer, wallPos, tile.mc.elevation, wallSettings);
-                } else {
-                    // Diagonal wall: just place a wall at the current tile
-                    buildWall(sector, tileX, tileY, layer, blockPos, tile.mc.elevation, wallSettings);
+            if (isWaterTile(tile)) {
+                buildWaterFloor(blockPos, tile, worldTileX, worldTileY, supportType);
+            } else if (isCliffTile(tile)) {
+                buildCliff(blockPos, sector, tileX, tileY);
+            } else {
+                // The ground may slope within the tile (see `getGroundHeight`)
+                for (var x = 0; x < worldTransform.scale; x++) {
+                    for (var z = 0; z < worldTransform.scale; z++) {
+                        var height = getGroundHeight(sector, tileX, tileY, x, z);
+                        buildGroundColumn(blockPos.add(x, 0, z), height,
+                                blockType, supportType, halfStepType);
+                    }
                 }
             }
         }
 
-        // Place objects
-        if (wallType >= 48000) {
-            var objectId = wallType - 48000;
-            placeObject(objectId, blockPos.withY(BEDROCK_LEVEL + tile.mc.elevation));
+        // Place overlay block
+        if (isOverlayPermitted(layer, tile.mc.overlaySettings)) {
+            var overlayY = BEDROCK_LEVEL + topElevation;
+            if (!tile.mc.overlaySettings.replaceGround) {
+                overlayY += 1;
+            }
+            blockPos = blockPos.withY(overlayY);
+            setTileBlock(blockPos, tile.mc.overlaySettings.block);
         }
     }
 }
 
-function getWallType(tile) {
-    return tile.topBorderWall || tile.rightBorderWall || tile.diagonalWalls;
-}
-
-function isWall(wallType) {
-    return wallType > 0 && wallType < 48000;
-}
+function buildGroundColumn(columnPos, height, blockType, supportType, halfStepType) {
+    // Place bedrock as a base, and supporting blocks up to the ground
+    var elevation = Math.floor(height / 2);
+    setBlock(columnPos.withY(BEDROCK_LEVEL), getBlock("bedrock"));
+    for (var i = 1; i < elevation; i++) {
+        setBlock(columnPos.withY(BEDROCK_LEVEL + i), supportType);
+    }
+    setBlock(columnPos.withY(BEDROCK_LEVEL + elevation), blockType);
 
-function normalizeWallType(wallType) {
-    if (wallType >= 48000) {
-        return wallType - 48000;
-    } else if (wallType >= 12000) {
-        return wallType - 12000;
+    // Half steps (slabs, snow, etc.) go on top of the ground
+    if (height % 2 && halfStepType) {
+        setBlock(columnPos.withY(BEDROCK_LEVEL + elevation + 1), halfStepType);
     }
-    return wallType;
 }
 
-function buildRoofs(sectorMinBlockPos, sector, tileX, tileY) {
-    // Find block position corresponding to tile (at lowest possible point)
-    var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
-
-    // Build each layer in turn
-    for (var layer = 0; layer < NUM_LAYERS; layer++) {
-        var tile = sector[layer][tileX][tileY];
-
-        if (tile.roofTexture) {
-            var roofY = BEDROCK_LEVEL + tile.mc.elevation + ROOF_HEIGHT;
-            blockPos = blockPos.withY(roofY);
+function buildWaterFloor(blockPos, tile, worldTileX, worldTileY, supportType) {
+    // The ground under water is dug out to a depth that depends on the
+    // distance to the shore, leaving room for the overlay (the surface of the
+    // water) at the top
+    var water = tile.mc.overlaySettings.water;
+    var depth = getWaterDepth(worldTileX, worldTileY);
+    var floorY = getWaterFloorY(tile, depth);
+    var floorType = getBlock(water.floors[Math.min(depth, water.floors.length) - 1]);
+    var surfaceY = BEDROCK_LEVEL + tile.mc.elevation + 1;
 
-            // If this is the edge of roof, place a roof edge over the
-            // neighbouring blocks
-            try {
-                var northTile = sector[layer][tileX][tileY - 1];
-                var eastTile = sector[layer][tileX - 1][tileY];
-
-                if (!northTile.roofTexture && !eastTile.roofTexture) {
-                    // North-eastern tile is the corner of the roof
-                    var roofPos = blockPos.add(1, 0, -1);
-                    placeRoof(tile.roofTexture, roofPos, "west,shape=outer_left");
-                    roofPos = blockPos.add(1, 0, 0);
-                    placeRoof(tile.roofTexture, roofPos, "west");
-                    roofPos = blockPos.add(0, 0, -1);
-                    placeRoof(tile.roofTexture, roofPos, "south");
-                } else if (!northTile.roofTexture) {
-                    // Northern tile is the top edge of the roof
-                    var roofPos = blockPos.add(0, 0, -1);
-                    placeRoof(tile.roofTexture, roofPos, "south");
-                } else if (!eastTile.roofTexture) {
-                    // Eastern tile is the right edge of the roof
-                    var roofPos = blockPos.add(1, 0, 0);
-                    placeRoof(tile.roofTexture, roofPos, "west");
-                } else {
-                    // Central roof block
-                    placeRoof(tile.roofTexture, blockPos, null);
-                }
-            } catch (err) {
-                // Tried to cross a sector boundary. Ignore this for now.
-                // Roofs at sector boundaries will look messed up.
-                placeRoof(tile.roofTexture, blockPos, null);
+    // Deep water goes below the bedrock layer, so the bedrock goes with it
+    var bedrockY = Math.min(BEDROCK_LEVEL, floorY - 1);
+    for (var x = 0; x < worldTransform.scale; x++) {
+        for (var z = 0; z < worldTransform.scale; z++) {
+            var columnPos = blockPos.add(x, 0, z);
+            setBlock(columnPos.withY(bedrockY), getBlock("bedrock"));
+            for (var y = bedrockY + 1; y < floorY; y++) {
+                setBlock(columnPos.withY(y), supportType);
             }
+            setBlock(columnPos.withY(floorY), floorType);
+            for (var y = floorY + 1; y < surfaceY; y++) {
+                setBlock(columnPos.withY(y), tile.mc.overlaySettings.block);
+            }
+        }
+    }
+}
 
-            // Finally, place a roof over the current tile
-            placeRoof(tile.roofTexture, blockPos, null);
-
-        } else if (tile.topBorderWall) {
-            // This tile is an outside wall, so its neighbour might be the edge
-            // of a roof
-            try {
-                var northTile = sector[layer][tileX][tileY - 1];
-                var northEastTile = sector[layer][tileX - 1][tileY - 1];
-
-                if (northTile.roofTexture) {
-                    var roofY = BEDROCK_LEVEL + tile.mc.elevation + ROOF_HEIGHT;
-
-                    if (!northEastTile.roofTexture) {
-                        // North-eastern tile is the bottom-right corner of the roof
-                        var roofPos = blockPos.withY(roofY).add(1, 0, -1);
-                        placeRoof(northTile.roofTexture, roofPos, "north,shape=outer_left");
-                    }
+function getRiverElevation(sector, tileX, tileY) {
+    // Water with land on both sides (within `RIVER_REACH` tiles) is a river,
+    // which takes the place of the ground block of its lowest bank, so that it
+    // never spills over. Returns null for open water.
+    var bankElevation = null;
+    var axes = [[1, 0], [0, 1]];
+    for (var i = 0; i < axes.length; i++) {
+        var bank = findRiverBank(sector, tileX, tileY, axes[i][0], axes[i][1]);
+        var oppositeBank = findRiverBank(sector, tileX, tileY, -axes[i][0], -axes[i][1]);
+        if (bank === null || oppositeBank === null) {
+            continue;
+        }
+        var lowerBank = Math.min(bank, oppositeBank);
+        bankElevation = bankElevation === null ? lowerBank : Math.min(bankElevation, lowerBank);
+    }
+    if (bankElevation === null) {
+        return null;
+    }
 
-                    // Northern tile is the bottom edge of the roof
-                    var roofPos = blockPos.withY(roofY).add(0, 0, -1);
-                    placeRoof(northTile.roofTexture, roofPos, "north");
-                }
-            } catch (err) {
-                // Tried to cross a sector boundary. Ignore this for now.
-                // Roofs at sector boundaries will look messed up.
+    // Any land touching the water counts as a bank too
+    for (var dx = -1; dx <= 1; dx++) {
+        for (var dy = -1; dy <= 1; dy++) {
+            var neighbour = getLandscapeTile(sector, tileX + dx, tileY + dy);
+            if (neighbour && !isWaterOverlay(neighbour.groundOverlay)) {
+                bankElevation = Math.min(bankElevation, Math.floor(getTerrainHeight(neighbour) / 2));
             }
-        } else if (tile.rightBorderWall) {
-            // This tile is an outside wall, so its neighbour might be the edge
-            // of a roof
-            try {
-                var eastTile = sector[layer][tileX - 1][tileY];
-                var northEastTile = sector[layer][tileX - 1][tileY - 1];
+        }
+    }
+    return bankElevation - 1;
+}
 
-                if (eastTile.roofTexture) {
-                    var roofY = BEDROCK_LEVEL + tile.mc.elevation + ROOF_HEIGHT;
+function findRiverBank(sector, tileX, tileY, dx, dy) {
+    // Elevation of the first land in the given direction, if it's close by.
+    // This works from the landscape data (see `getLandscapeTile`), since the
+    // neighbouring tiles may not have been prepared yet.
+    for (var distance = 1; distance <= RIVER_REACH; distance++) {
+        var tile = getLandscapeTile(sector, tileX + dx * distance, tileY + dy * distance);
+        if (!tile) {
+            return null;
+        }
+        if (!isWaterOverlay(tile.groundOverlay)) {
+            return Math.floor(getTerrainHeight(tile) / 2);
+        }
+    }
+    return null;
+}
 
-                    if (!northEastTile.roofTexture) {
-                        // North-eastern tile is the top-left corner of the roof
-                        var roofPos = blockPos.withY(roofY).add(1, 0, -1);
-                        placeRoof(eastTile.roofTexture, roofPos, "south,shape=outer_left");
-                    }
+function isWaterOverlay(groundOverlay) {
+    var overlayMapping = blockMapping.overlays[groundOverlay];
+    return !!(overlayMapping && overlayMapping.water);
+}
 
-                    // Eastern tile is the left edge of the roof
-                    var roofPos = blockPos.withY(roofY).add(1, 0, 0);
-                    placeRoof(eastTile.roofTexture, roofPos, "east");
+function getWaterDepth(worldTileX, worldTileY) {
+    // Distance to the nearest land, in tiles; beyond the edge of the map, the
+    // water goes on forever
+    for (var distance = 1; distance < MAX_WATER_DEPTH; distance++) {
+        for (var dx = -distance; dx <= distance; dx++) {
+            for (var dy = -distance; dy <= distance; dy++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== distance) {
+                    continue;
                 }
-            } catch (err) {
-                // Tried to cross a sector boundary. Ignore this for now.
-                // Roofs at sector boundaries will look messed up.
-            }
-        } else {
-            try {
-                var northEastTile = sector[layer][tileX - 1][tileY - 1];
-                if (northEastTile.roofTexture) {
-                    var roofY = BEDROCK_LEVEL + tile.mc.elevation + ROOF_HEIGHT;
-                    // North-eastern tile is the bottom-left corner of the roof
-                    var roofPos = blockPos.withY(roofY).add(1, 0, -1);
-                    placeRoof(northEastTile.roofTexture, roofPos, "east,shape=outer_left");
+                var neighbour = getWorldTile(0, worldTileX + dx, worldTileY + dy);
+                if (neighbour && !isWaterTile(neighbour)) {
+                    return distance;
                 }
-            } catch (err) {
-                // Tried to cross a sector boundary. Ignore this for now.
-                // Roofs at sector boundaries will look messed up.
             }
         }
     }
+    return MAX_WATER_DEPTH;
 }
 
-// See:
-// https://github.com/Open-RSC/2D-Landscape-Editor/blob/main/src/main/java/org/openrsc/editor/gui/graphics/TileRenderer.java#L46
-// https://github.com/2003scape/rsc-landscape/blob/master/src/terrain-colours.js
-// TODO: Cache block types
-function getBlockTypeFromPalette(paletteIndex) {
-    if (paletteIndex < 16) {
-        return context.getBlock("stone");
-    } else if (paletteIndex < 48) {
-        return context.getBlock("lime_terracotta");
-    } else if (paletteIndex < 80) {
-        return context.getBlock("grass_block");
-    } else if (paletteIndex < 96) {
-        return context.getBlock("green_concrete_powder");
-    } else if (paletteIndex < 104) {
-        return context.getBlock("lime_terracotta");
-    } else if (paletteIndex < 144) {
-        return context.getBlock("dirt_path");
-    } else if (paletteIndex < 164) {
-        return context.getBlock("packed_mud");
-    } else if (paletteIndex < 176) {
-        return context.getBlock("dirt");
-    } else if (paletteIndex < 208) {
-        return context.getBlock("coarse_dirt");
-    } else if (paletteIndex < 216) {
-        return context.getBlock("podzol");
-    }
-    return context.getBlock("grass_block");
+function getWaterFloorY(tile, depth) {
+    // Deep water may be dug out below the bedrock layer, but never into the
+    // underground layer, or below the bottom of a schematic
+    var lowestY = Math.max(BEDROCK_LEVEL - WALL_HEIGHT,
+            BEDROCK_LEVEL - undergroundDepth + UNDERGROUND_HEIGHT + 1);
+    return Math.max(BEDROCK_LEVEL + tile.mc.elevation + 1 - depth, lowestY + 1);
 }
 
-function getOverlaySettings(groundOverlay) {
-    var overlaySettings = {
-        block: context.getBlock("cyan_wool"),
-        indoors: false,
-        replaceGround: true,
-        isVoid: false
-    };
+function isWaterTile(tile) {
+    return !!(tile.mc.overlaySettings && tile.mc.overlaySettings.water);
+}
 
-    if (groundOverlay === 1) {
-        // Path
-        overlaySettings.block = context.getBlock("gravel");
-    } else if (groundOverlay === 2) {
-        // Water
-        overlaySettings.block = context.getBlock("water");
-        overlaySettings.replaceGround = false;
-        overlaySettings.overrideElevation = SEA_LEVEL - BEDROCK_LEVEL;
-    } else if (groundOverlay === 3) {
-        // Wood floor
-        overlaySettings.block = context.getBlock("spruce_planks");
-        overlaySettings.indoors = true;
-    } else if (groundOverlay === 4) {
-        // Bridge (needs to blend with wood floor, above)
-        overlaySettings.block = context.getBlock("dark_oak_planks");
-    } else if (groundOverlay === 5) {
-        // Swamp
-        overlaySettings.block = context.getBlock("smooth_stone");
-    } else if (groundOverlay === 6) {
-        // Red carpet
-        overlaySettings.block = context.getBlock("red_wool");
-        overlaySettings.indoors = true;
-    } else if (groundOverlay === 7) {
-        // Floor tiles
-        overlaySettings.block = context.getBlock("muddy_mangrove_roots");
-        overlaySettings.indoors = true;
-    } else if (groundOverlay === 8) {
-        // Void
-        overlaySettings.block = context.getBlock("black_concrete");
-        overlaySettings.isVoid = true;
-    } else if (groundOverlay === 9) {
-        // Cliff
-        overlaySettings.block = context.getBlock("andesite");
-    } else if (groundOverlay === 11) {
-        // Lava
-        overlaySettings.block = context.getBlock("lava");
-    } else if (groundOverlay === 12) {
-        // Sloped bridge (Mage Arena)
-        overlaySettings.block = context.getBlock("spruce_planks");
-    } else if (groundOverlay === 13) {
-        // Cyan carpet
-        overlaySettings.block = context.getBlock("cyan_wool");
-        overlaySettings.indoors = true;
-    } else if (groundOverlay === 14) {
-        // Star summoning circle
-        overlaySettings.block = context.getBlock("gray_glazed_terracotta");
-        overlaySettings.indoors = true;
-    } else if (groundOverlay === 15) {
-        // Purple carpet
-        overlaySettings.block = context.getBlock("purple_wool");
-        overlaySettings.indoors = true;
-    } else if (groundOverlay === 16) {
-        // Digsite hole (?)
-        overlaySettings.block = context.getBlock("black_concrete");
-        overlaySettings.isVoid = true;
-    } else if (groundOverlay === 17) {
-        // Marble
-        overlaySettings.block = context.getBlock("chiseled_quartz_block");
-    } else if (groundOverlay === 18) {
-        // Tree Gnome Village floor
-        overlaySettings.block = context.getBlock("spruce_planks");
-    } else if (groundOverlay === 19) {
-        // Natural bridge (south of Tai Bwo Wannai)
-        // (not sure what this is supposed to be exactly)
-        overlaySettings.block = context.getBlock("gravel");
-    } else if (groundOverlay === 20) {
-        // Log bridge
-        overlaySettings.block = context.getBlock("oak_log");
-    } else if (groundOverlay === 21) {
-        // Log bridge
-        overlaySettings.block = context.getBlock("oak_log");
-    } else if (groundOverlay === 23) {
-        // Digsite
-        overlaySettings.block = context.getBlock("brown_wool");
-    } else if (groundOverlay === 24) {
-        // Cliff (mud)
-        // (overlay seems redundant)
-        overlaySettings.block = context.getBlock("air");
-    } else if (groundOverlay === 250) {
-        // Out of bounds area
-        overlaySettings.block = context.getBlock("black_concrete");
-    } else {
-        player.print("Unknown overlay: " + groundOverlay);
+function getShoreBlock(sector, tileX, tileY, worldTileX, worldTileY) {
+    // Beaches form on bare ground (of the right sort) beside water, as long as
+    // it's not too far above the surface of the water
+    var tile = sector[0][tileX][tileY];
+    if (tile.mc.overlaySettings) {
+        return null;
     }
 
-    return overlaySettings;
+    var groundBlock = getBlockType(getTerrainMapping(tile.groundTexture, worldTileX, worldTileY).block);
+    for (var dx = -1; dx <= 1; dx++) {
+        for (var dy = -1; dy <= 1; dy++) {
+            var neighbour = getNeighbourTile(sector, 0, tileX + dx, tileY + dy);
+            if (!neighbour || !isWaterTile(neighbour)) {
+                continue;
+            }
+            var shore = neighbour.mc.overlaySettings.water.shore;
+            if (shore && shore.replaces.indexOf(groundBlock) >= 0
+                    && tile.mc.elevation <= neighbour.mc.elevation + 1 + MAX_BEACH_HEIGHT) {
+                return shore.block;
+            }
+        }
+    }
+    return null;
 }
 
-function isOverlayPermitted(layer, overlaySettings) {
-    if (!overlaySettings) {
-        return false;
+function buildCliff(blockPos, sector, tileX, tileY) {
+    // Cliffs are solid rock from the bedrock up, with the overlay on top
+    var tile = sector[0][tileX][tileY];
+    var topElevation = tile.mc.elevation;
+    var rocks = tile.mc.overlaySettings.cliff.blocks;
+    var random = getTileRandom(sector, 0, tileX, tileY);
+    for (var x = 0; x < worldTransform.scale; x++) {
+        for (var z = 0; z < worldTransform.scale; z++) {
+            var columnPos = blockPos.add(x, 0, z);
+            setBlock(columnPos.withY(BEDROCK_LEVEL), getBlock("bedrock"));
+            for (var i = 1; i < topElevation; i++) {
+                var rock = rocks[Math.floor(random() * rocks.length)];
+                setBlock(columnPos.withY(BEDROCK_LEVEL + i), getBlock(rock));
+            }
+        }
     }
+}
 
-    if (layer > 0 && overlaySettings.isVoid) {
-        // Ignore void blocks on upper storeys
-        return false;
+function getCliffElevation(sector, tileX, tileY) {
+    // Unless the overlay says how high it should be, a cliff rises to meet the
+    // highest ground nearby, in this sector or the next.
+    var tile = sector[0][tileX][tileY];
+    var cliff = tile.mc.overlaySettings.cliff;
+    var elevation = getBaseElevation(tile) + Math.max(cliff.height || 0, MIN_CLIFF_HEIGHT);
+    if (!cliff.height) {
+        for (var dx = -CLIFF_REACH; dx <= CLIFF_REACH; dx++) {
+            for (var dy = -CLIFF_REACH; dy <= CLIFF_REACH; dy++) {
+                var neighbourHeight = getBaseHeight(sector, tileX + dx, tileY + dy);
+                if (neighbourHeight !== null) {
+                    elevation = Math.max(elevation, Math.floor(neighbourHeight / 2));
+                }
+            }
+        }
     }
 
-    return true;
+    // Anything overhanging the cliff (e.g. the floor of an upper storey)
+    // stays clear of it
+    var upperTile = sector[1][tileX][tileY];
+    if (isOverlayPermitted(1, upperTile.mc.overlaySettings)) {
+        elevation = Math.min(elevation, upperTile.mc.elevation - 1);
+    }
+    return elevation;
 }
 
-function isTileIndoors(overlaySettings, groundOverlaySettings) {
-    if (!overlaySettings) {
-        // Upper storey tiles with no floor (e.g. high-ceilinged rooms) should
-        // still count as indoors
-        return groundOverlaySettings && groundOverlaySettings.indoors;
+function getBaseHeight(sector, tileX, tileY) {
+    // Height of the ground (in half blocks; see `--smooth`) beneath anything
+    // built on it. This works from the landscape data alone, so that tiles in
+    // neighbouring sectors can be sized up before they have been prepared
+    // (like `getLandscapeTile`); returns null if there is no such tile.
+    var tile = getLandscapeTile(sector, tileX, tileY);
+    if (!tile) {
+        return null;
+    }
+    var height = getTerrainHeight(tile);
+    var overlaySettings = tile.groundOverlay ? getOverlaySettings(tile.groundOverlay) : null;
+    if (overlaySettings && overlaySettings.overrideElevation) {
+        // Rivers in the hills step down towards the sea along with the land,
+        // but never go below sea level
+        var overrideElevation = overlaySettings.overrideElevation;
+        var riverElevation = overlaySettings.water
+                ? getRiverElevation(sector, tileX, tileY)
+                : null;
+        if (riverElevation !== null) {
+            overrideElevation = Math.max(overrideElevation, riverElevation);
+        }
+        return overrideElevation * 2;
+    }
+    if (overlaySettings) {
+        // Overlays are flat, so there is no room for half steps
+        height -= height % 2;
     }
+    return height;
+}
 
-    return overlaySettings.indoors;
+function getBaseElevation(tile) {
+    // Elevation of the ground itself, which is the same as the tile's
+    // elevation unless there is a cliff on top of it
+    return Math.floor(tile.mc.height / 2);
 }
 
-function getWallSettings(tile, wallType, facing) {
-    var wallSettings = {
-        block: context.getBlock("red_wool"),
-        height: WALL_HEIGHT,
-        doorBlock: null,
-        windowBlock: null,
-        cornerBlock: null
-    };
+function isCliffTile(tile) {
+    return !!(tile.mc.overlaySettings && tile.mc.overlaySettings.cliff);
+}
 
-    // TODO: Comment where Doorways are located
-
-    if (wallType === 1) {
-        // Stone wall
-        wallSettings.block = context.getBlock("stone_bricks");
-    } else if (wallType === 2) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 3) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 4) {
-        // Stone wall window
-        wallSettings.block = context.getBlock("stone_bricks");
-        if (tile.diagonalWalls) {
-            wallSettings.windowBlock = context.getBlock("glass");
+function getTerrainHeight(tile) {
+    // Surface equivalent of `getTerrainElevation`, in half blocks, with any
+    // vertical exaggeration (see `--exaggeration`). Only smooth terrain makes
+    // use of half steps.
+    var height = 5 + tile.groundElevation / 32 * terrainExaggeration;
+    return smoothTerrain ? Math.round(height * 2) : Math.floor(height) * 2;
+}
+
+function getGroundHeight(sector, tileX, tileY, blockX, blockZ) {
+    // Height of the ground (in half blocks) at a block within a tile, given
+    // its offset from the north-west corner of the tile. RSC elevations belong
+    // to the corners of tiles, but as elsewhere, we treat them as the height
+    // of the middle of the tile; smooth terrain is interpolated in between.
+    var tile = sector[0][tileX][tileY];
+    var scale = worldTransform.scale;
+    if (isCliffTile(tile)) {
+        return tile.mc.elevation * 2;
+    }
+    if (!smoothTerrain || scale === 1 || tile.mc.overlaySettings) {
+        return tile.mc.height;
+    }
+
+    // Distance from the middle of the tile, in tiles (towards the nearest
+    // neighbours)
+    var east = (blockX + 0.5) / scale - 0.5;
+    var south = (blockZ + 0.5) / scale - 0.5;
+    var u = Math.abs(east);
+    var v = Math.abs(south);
+
+    // Tiles run from east to west
+    var neighbourX = east > 0 ? tileX - 1 : tileX + 1;
+    var neighbourY = south > 0 ? tileY + 1 : tileY - 1;
+
+    var height = (1 - u) * (1 - v) * tile.mc.height
+            + u * (1 - v) * getNeighbourHeight(sector, neighbourX, tileY, tile)
+            + (1 - u) * v * getNeighbourHeight(sector, tileX, neighbourY, tile)
+            + u * v * getNeighbourHeight(sector, neighbourX, neighbourY, tile);
+    return Math.round(height);
+}
+
+function getNeighbourHeight(sector, tileX, tileY, tile) {
+    // Off the edge of the map, the ground stays level
+    var neighbour = getNeighbourTile(sector, 0, tileX, tileY);
+    return (neighbour || tile).mc.height;
+}
+
+function getGroundLevel(blockPos) {
+    // Elevation of the ground at any block on the surface, or null if it is
+    // off the map
+    var location = getTileForBlockPos(blockPos);
+    var sector = getSector(location.sectorX, location.sectorY);
+    if (!sector) {
+        return null;
+    }
+    var sectorMinBlockPos = getMinBlockPosForSector(location.sectorX, location.sectorY);
+    var tilePos = getBlockPosForTile(sectorMinBlockPos, location.tileX, location.tileY);
+    var height = getGroundHeight(sector, location.tileX, location.tileY,
+            blockPos.getX() - tilePos.getX(), blockPos.getZ() - tilePos.getZ());
+    return Math.floor(height / 2);
+}
+
+function getTerrainElevation(tile) {
+    // RSC elevation seems to range from: 0 (highest point) to 256 (lowest point),
+    // which we map to the range: 9 (highest point) to 1 (lowest point).
+    return Math.floor(5 + tile.groundElevation / 32);
+}
+
+function getGroundElevation(elevation, baseTile) {
+    // The reverse of `getTerrainHeight`. Many RSC values share the same
+    // elevation, so prefer the original value if it still fits.
+    if (baseTile && Math.floor(getTerrainHeight(baseTile) / 2) === elevation) {
+        return baseTile.groundElevation;
+    }
+    return Math.max(0, Math.min(255, Math.round((elevation - 5) * 32 / terrainExaggeration)));
+}
+
+function buildUndergroundFloor(sectorMinBlockPos, sector, tileX, tileY) {
+    var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
+    var tile = sector[UNDERGROUND_LAYER][tileX][tileY];
+    var baseY = BEDROCK_LEVEL - undergroundDepth;
+    var floorY = BEDROCK_LEVEL + tile.mc.elevation;
+    var open = isUndergroundTileOpen(tile);
+
+    var rock = getBlock("stone");
+    setTileBlock(blockPos.withY(baseY), getBlock("bedrock"));
+    for (var y = baseY + 1; y <= baseY + UNDERGROUND_HEIGHT; y++) {
+        var block = rock;
+        if (open && y === floorY) {
+            block = getBlockTypeFromPalette(tile.groundTexture,
+                    sector.sectorX * SECTOR_SIZE + tileX,
+                    sector.sectorY * SECTOR_SIZE + tileY);
+        } else if (open && y > floorY && y < floorY + WALL_HEIGHT) {
+            block = getBlock("air");
+        }
+        setTileBlock(blockPos.withY(y), block);
+    }
+
+    // Place overlay block
+    if (open && tile.mc.overlaySettings) {
+        var overlayY = floorY;
+        if (!tile.mc.overlaySettings.replaceGround) {
+            overlayY += 1;
+        }
+        setTileBlock(blockPos.withY(overlayY), tile.mc.overlaySettings.block);
+    }
+}
+
+function isUndergroundTileOpen(tile) {
+    if (tile.mc.overlaySettings && tile.mc.overlaySettings.isVoid) {
+        return false;
+    }
+
+    // Most of the underground layer is completely blank
+    return tile.groundTexture > 0
+            || tile.groundOverlay > 0
+            || getWallType(tile) > 0;
+}
+
+function buildWalls(sectorMinBlockPos, sector, tileX, tileY) {
+    // Find block position corresponding to tile (at lowest possible point)
+    var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
+
+    // Build each layer in turn
+    for (var layer = 0; layer < NUM_LAYERS; layer++) {
+        if (isLayerEnabled(layer)) {
+            buildLayerWalls(sector, tileX, tileY, layer, blockPos);
+        }
+    }
+}
+
+function buildLayerWalls(sector, tileX, tileY, layer, blockPos) {
+    var tile = getNeighbourTile(sector, layer, tileX, tileY);
+    if (!tile) {
+        return;
+    }
+
+    var wallType = getWallType(tile);
+    var random = getTileRandom(sector, layer, tileX, tileY);
+
+    if (isWall(wallType) && isPassEnabled("walls")) {
+        wallType = normalizeWallType(wallType);
+
+        // Determine the wall's facing
+        var facing;
+        if (tile.mc.indoors) {
+            if (tile.topBorderWall) {
+                facing = "south";
+            } else {
+                facing = "west";
+            }
+        } else {
+            if (tile.topBorderWall) {
+                facing = "north";
+            } else {
+                facing = "east";
+            }
+        }
+
+        // Get wall settings
+        var wallSettings = getWallSettings(tile, wallType, facing, random);
+
+        // Gaps in fences get a gate to match the fence
+        if (wallSettings.gateBlock) {
+            var border = tile.topBorderWall ? "topBorderWall" : "rightBorderWall";
+            var gate = findFenceGate(sector, layer, tileX, tileY, border) || wallSettings.gateBlock;
+            wallSettings.gateBlock = gate + "[facing=" + facing + "]";
+        }
+
+        // Neighbouring doorways make double doors
+        if (wallSettings.door) {
+            wallSettings.door.hinge = getDoorwayHinge(sector, layer, tileX, tileY, tile, facing);
+        }
+
+        // Place walls at the appropriate locations.
+        // If this wall has a door, it should only be placed once!
+        var wallPositions = getWallPositions(blockPos, tile);
+        var door = wallSettings.door;
+        for (var i = 0; i < wallPositions.length; i++) {
+            wallSettings.door = wallPositions[i].door ? door : null;
+            buildWall(sector, tileX, tileY, layer, wallPositions[i].pos, tile.mc.elevation, wallSettings);
+        }
+        wallSettings.door = door;
+    }
+
+    // Place objects.
+    // These share a field with diagonal walls, so they can sit alongside
+    // other walls (e.g. a ladder against a wall). They get random numbers of
+    // their own, so that trees come out the same when they are built from a
+    // neighbouring sector (see `buildTrees`).
+    if (tile.diagonalWalls >= 48000 && !clipBounds) {
+        var objectId = tile.diagonalWalls - 48000;
+        var groundPos = blockPos.withY(BEDROCK_LEVEL + tile.mc.elevation);
+        if (!placeGateObject(objectId, sector, layer, tileX, tileY, groundPos)
+                && !placeDoorObject(objectId, sector, layer, tileX, tileY, groundPos)
+                && !placeClimbObject(objectId, sector, layer, tileX, tileY, groundPos)) {
+            placeObject(objectId, tile.direction, groundPos, getTileRandom(sector, layer, tileX, tileY));
+        }
+    }
+}
+
+function buildTrees(sectorMinBlockPos, sector, tileX, tileY) {
+    // Builds only the trees in a tile (on every layer), for tiles beyond the
+    // edges of the sector
+    var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
+    for (var layer = 0; layer < NUM_LAYERS; layer++) {
+        var tile = isLayerEnabled(layer) && getNeighbourTile(sector, layer, tileX, tileY);
+        if (!tile || tile.diagonalWalls < 48000) {
+            continue;
+        }
+        var objectId = tile.diagonalWalls - 48000;
+        var objectMapping = blockMapping.objects[objectId];
+        if (objectMapping && objectMapping.tree) {
+            // As in `placeObject`
+            var groundPos = blockPos.withY(BEDROCK_LEVEL + tile.mc.elevation);
+            var footprint = getObjectFootprint(objectMapping, getObjectFacing(tile.direction));
+            var centre = getFootprintCentre(groundPos, footprint);
+            var treePos = BlockVector3.at(Math.round(centre[0]), groundPos.getY() + 1, Math.round(centre[1]));
+            placeTree(treePos, getRegionTrees(objectMapping.tree, groundPos),
+                    getTileRandom(sector, layer, tileX, tileY));
+        }
+    }
+}
+
+function getWallPositions(blockPos, tile) {
+    if (worldTransform.scale > 1) {
+        return getEdgeWallPositions(blockPos, tile);
+    }
+
+    // This is essentially unsolveable since walls in RS are 2D, but we
+    // take a best-effort approach of always placing walls to the
+    // north-east of the tile that defines them. Doors are protected from
+    // being overwritten by this (see `buildWall`).
+    // TODO: The shifted walls can overlap with adjacent objects.
+    if (tile.mc.indoors && tile.rightBorderWall && tile.topBorderWall) {
+        // Inside corner: we need to place THREE neighbouring blocks
+        // (the 2 shifted edges, plus a corner block).
+        return [
+            { pos: getAdjacentTilePos(blockPos, 1, 0), door: false },
+            { pos: getAdjacentTilePos(blockPos, 1, -1), door: false },
+            { pos: getAdjacentTilePos(blockPos, 0, -1), door: true }
+        ];
+    } else if (tile.topBorderWall) {
+        // Top wall: shift up
+        return [{ pos: getAdjacentTilePos(blockPos, 0, -1), door: true }];
+    } else if (tile.rightBorderWall) {
+        // Right wall: shift right
+        return [{ pos: getAdjacentTilePos(blockPos, 1, 0), door: true }];
+    }
+
+    // Diagonal wall: this runs between opposite corners of the tile, and the
+    // corners are shifted in the same way as the walls above, so that
+    // diagonals join up with each other and with straight walls
+    if (tile.diagonalWalls >= 12000) {
+        // "\" runs from the north-west corner to the south-east corner
+        return [
+            { pos: getAdjacentTilePos(blockPos, 0, -1), door: true },
+            { pos: getAdjacentTilePos(blockPos, 1, 0), door: false }
+        ];
+    }
+
+    // "/" runs from the south-west corner to the north-east corner
+    return [
+        { pos: blockPos, door: true },
+        { pos: getAdjacentTilePos(blockPos, 1, -1), door: false }
+    ];
+}
+
+function getEdgeWallPositions(blockPos, tile) {
+    // When tiles are more than 1 block wide, there is room to build walls
+    // along the edges of the tile itself, with a door in the middle.
+    // The tile's position is its north-west corner.
+    var scale = worldTransform.scale;
+    var middle = Math.floor((scale - 1) / 2);
+    var positions = [];
+    var i;
+    if (tile.topBorderWall) {
+        // North edge
+        for (i = 0; i < scale; i++) {
+            positions.push({ pos: blockPos.add(i, 0, 0), door: i === middle });
+        }
+    }
+    if (tile.rightBorderWall) {
+        // East edge; the corner and the door belong to the top wall, if there
+        // is one
+        for (i = tile.topBorderWall ? 1 : 0; i < scale; i++) {
+            positions.push({
+                pos: blockPos.add(scale - 1, 0, i),
+                door: i === middle && !tile.topBorderWall
+            });
+        }
+    }
+    if (!tile.topBorderWall && !tile.rightBorderWall) {
+        // Diagonal: "/" runs from south-west to north-east
+        for (i = 0; i < scale; i++) {
+            var z = tile.diagonalWalls >= 12000 ? i : scale - 1 - i;
+            positions.push({ pos: blockPos.add(i, 0, z), door: i === middle });
+        }
+    }
+    return positions;
+}
+
+function isGroundLayer(layer) {
+    return layer === 0 || layer === UNDERGROUND_LAYER;
+}
+
+function getGroundLayer(layer) {
+    return layer === UNDERGROUND_LAYER ? UNDERGROUND_LAYER : 0;
+}
+
+function getWallType(tile) {
+    return tile.topBorderWall || tile.rightBorderWall || tile.diagonalWalls;
+}
+
+function isWall(wallType) {
+    return wallType > 0 && wallType < 48000;
+}
+
+function normalizeWallType(wallType) {
+    if (wallType >= 48000) {
+        return wallType - 48000;
+    } else if (wallType >= 12000) {
+        return wallType - 12000;
+    }
+    return wallType;
+}
+
+function buildRoofs(sector) {
+    // Each roof is built as a whole, so that its shape doesn't depend on
+    // which sector it is in. Roofs just beyond the edges of the sector can
+    // overhang into it (see `getRoofColumns`).
+    for (var layer = 0; layer < NUM_LAYERS; layer++) {
+        if (!isLayerEnabled(layer)) {
+            continue;
+        }
+
+        var visited = {};
+        for (var tileX = -1; tileX <= SECTOR_SIZE; tileX++) {
+            for (var tileY = -1; tileY <= SECTOR_SIZE; tileY++) {
+                var worldTileX = sector.sectorX * SECTOR_SIZE + tileX;
+                var worldTileY = sector.sectorY * SECTOR_SIZE + tileY;
+                var tile = getWorldTile(layer, worldTileX, worldTileY);
+                if (!tile || !tile.roofTexture || visited[worldTileX + "," + worldTileY]) {
+                    continue;
+                }
+
+                var roofTiles = findRoofTiles(layer, worldTileX, worldTileY, visited);
+                buildRoof(layer, tile.roofTexture, roofTiles);
+            }
+        }
+    }
+}
+
+function findRoofTiles(layer, worldTileX, worldTileY, visited) {
+    // Find all the connected tiles with the same roof texture
+    var roofTexture = getWorldTile(layer, worldTileX, worldTileY).roofTexture;
+    var roofTiles = [];
+    var pending = [[worldTileX, worldTileY]];
+    visited[worldTileX + "," + worldTileY] = true;
+
+    while (pending.length > 0) {
+        var coords = pending.pop();
+        roofTiles.push({
+            worldTileX: coords[0],
+            worldTileY: coords[1],
+            tile: getWorldTile(layer, coords[0], coords[1])
+        });
+
+        // (Tiles run the opposite way to blocks along the x-axis, but any
+        // direction will do here)
+        for (var facing in FACING_OFFSETS) {
+            var offset = FACING_OFFSETS[facing];
+            var x = coords[0] + offset[0];
+            var y = coords[1] + offset[1];
+            var key = x + "," + y;
+            var tile = getWorldTile(layer, x, y);
+            if (!visited[key] && tile && tile.roofTexture === roofTexture) {
+                visited[key] = true;
+                pending.push([x, y]);
+            }
+        }
+    }
+
+    return roofTiles;
+}
+
+function buildRoof(layer, roofTexture, roofTiles) {
+    var roofMapping = blockMapping.roofs[roofTexture];
+    if (!roofMapping) {
+        printUnknown("Unknown roof texture", roofTexture);
+        roofMapping = { block: blockMapping.unknown.roof };
+    }
+
+    // Find how far each column is from the edge of the roof
+    var columns = getRoofColumns(layer, roofTiles);
+    for (var key in columns) {
+        var column = columns[key];
+        column.distance = getRoofDistance(columns, column, roofMapping.shape);
+    }
+    limitRoofSlopes(columns);
+    var maxDistance = 1;
+    for (var key in columns) {
+        if (columns[key].distance < Infinity) {
+            maxDistance = Math.max(maxDistance, columns[key].distance);
+        }
+    }
+
+    // Wide roofs are made shallower, so that they stay below the storey above.
+    // Heights are measured in half blocks, to allow for slabs.
+    var pitch = Math.min(roofPitch * 2, Math.floor(MAX_ROOF_RISE * 2 / (maxDistance - 1)));
+    var roofY = BEDROCK_LEVEL;
+    for (var i = 0; i < roofTiles.length; i++) {
+        roofY = Math.max(roofY, BEDROCK_LEVEL + roofTiles[i].tile.mc.elevation + ROOF_HEIGHT);
+    }
+    for (var key in columns) {
+        var column = columns[key];
+        if (column.covered) {
+            column.rise = 0;
+            column.rank = Infinity;
+        } else if (pitch > 0) {
+            column.rise = Math.min(pitch * (column.distance - 1), MAX_ROOF_RISE * 2);
+            column.rank = column.rise;
+        } else {
+            // Flat roofs just have stairs around the edges
+            column.rise = 0;
+            column.rank = Math.min(getRoofDistance(columns, column, "hipped"), 2);
+        }
+    }
+
+    for (var key in columns) {
+        buildRoofColumn(roofMapping, columns, columns[key], roofY, pitch);
+    }
+}
+
+function getRoofColumns(layer, roofTiles) {
+    // Roofs cover the walls around them. At a scale of 1, these are shifted to
+    // the north-east (see `getWallPositions`), otherwise they run along the
+    // north and east edges of each tile, so the roof only needs to extend over
+    // the walls of tiles to the south and west.
+    var scale = worldTransform.scale;
+    var minX = scale === 1 ? 0 : -1;
+    var maxX = scale === 1 ? 1 : scale - 1;
+    var minZ = scale === 1 ? -1 : 0;
+    var maxZ = scale === 1 ? 0 : scale;
+
+    var columns = {};
+    for (var i = 0; i < roofTiles.length; i++) {
+        var roofTile = roofTiles[i];
+        var blockPos = getBlockPosForWorldTile(roofTile.worldTileX, roofTile.worldTileY);
+        var baseY = BEDROCK_LEVEL + roofTile.tile.mc.elevation + ROOF_HEIGHT;
+        var covered = isRoofCovered(layer, roofTile.worldTileX, roofTile.worldTileY);
+
+        for (var x = minX; x <= maxX; x++) {
+            for (var z = minZ; z <= maxZ; z++) {
+                var columnX = blockPos.getX() + x;
+                var columnZ = blockPos.getZ() + z;
+                var key = columnX + "," + columnZ;
+                var column = columns[key];
+                if (!column) {
+                    column = columns[key] = { x: columnX, z: columnZ, baseY: baseY, covered: false };
+                }
+                column.baseY = Math.min(column.baseY, baseY);
+                column.covered = column.covered || covered;
+            }
+        }
+    }
+    return columns;
+}
+
+function isRoofCovered(layer, worldTileX, worldTileY) {
+    // Floors of the storey above are built at the same height as the roof, so
+    // the roof has to stay flat there
+    var tileAbove = layer + 1 < NUM_LAYERS ? getWorldTile(layer + 1, worldTileX, worldTileY) : null;
+    return !!tileAbove && isOverlayPermitted(layer + 1, tileAbove.mc.overlaySettings);
+}
+
+function getRoofDistance(columns, column, shape) {
+    // Distance to the edge of the roof (1 at the very edge)
+    var west = getRoofRun(columns, column, -1, 0);
+    var east = getRoofRun(columns, column, 1, 0);
+    var north = getRoofRun(columns, column, 0, -1);
+    var south = getRoofRun(columns, column, 0, 1);
+    var acrossX = Math.min(west, east);
+    var acrossZ = Math.min(north, south);
+
+    if (shape === "hipped") {
+        // Hipped roofs slope down towards every edge
+        return Math.min(acrossX, acrossZ);
+    }
+
+    // Gabled roofs slope down across the narrowest part of the roof, leaving
+    // gable ends at either end of the ridge
+    return (west + east >= north + south) ? acrossZ : acrossX;
+}
+
+function limitRoofSlopes(columns) {
+    // Distances are measured along each axis, so where the wings of a building
+    // meet, a column can be much further from the edge than its neighbours.
+    // Roofs should only rise by one step per block, in any direction.
+    var changed = true;
+    while (changed) {
+        changed = false;
+        for (var key in columns) {
+            var column = columns[key];
+            for (var dx = -1; dx <= 1; dx++) {
+                for (var dz = -1; dz <= 1; dz++) {
+                    var neighbour = columns[(column.x + dx) + "," + (column.z + dz)];
+                    if (neighbour && !neighbour.covered && column.distance > neighbour.distance + 1) {
+                        column.distance = neighbour.distance + 1;
+                        changed = true;
+                    }
+                }
+            }
+        }
+    }
+}
+
+function getRoofRun(columns, column, dx, dz) {
+    // Distance to the edge of the roof in one direction. Roofs don't slope
+    // down towards the storey above, since that's where they meet its walls.
+    for (var i = 1; ; i++) {
+        var next = columns[(column.x + i * dx) + "," + (column.z + i * dz)];
+        if (!next) {
+            return i;
+        } else if (next.covered) {
+            return Infinity;
+        }
+    }
+}
+
+function buildRoofColumn(roofMapping, columns, column, roofY, pitch) {
+    // The edges of the roof overhang the walls of neighbouring tiles, so full
+    // blocks there are double slabs, which can't be mistaken for a roof (or
+    // anything else) belonging to those tiles
+    var edge = isRoofEdge(columns, column);
+    var fullBlock = edge ? getRoofBlock(roofMapping, "slab", "type=double") : roofMapping.block;
+
+    if (column.covered) {
+        placeRoof(BlockVector3.at(column.x, column.baseY, column.z), fullBlock, true);
+        return;
+    }
+
+    // Fill in any gap between the edge of the roof and the top of the walls,
+    // such as the gable ends
+    var blockPos = BlockVector3.at(column.x, roofY + Math.floor(column.rise / 2), column.z);
+    if (edge) {
+        for (var y = column.baseY; y < blockPos.getY(); y++) {
+            placeRoof(blockPos.withY(y), fullBlock, y === column.baseY);
+        }
+    }
+
+    // The roof takes the place of the topmost wall block, but anything higher
+    // up (e.g. the walls of the storey above) is left alone
+    var replace = blockPos.getY() === column.baseY;
+
+    if (pitch === 1) {
+        // Shallow roofs are made of slabs, rising half a block at a time
+        var type = column.rise % 2 ? "top" : "bottom";
+        if (edge && type === "top") {
+            // Top slabs would leave a gap above the walls
+            type = "double";
+        }
+        placeRoof(blockPos, getRoofBlock(roofMapping, "slab", "type=" + type), replace);
+        return;
+    }
+
+    var stairs = getRoofStairs(columns, column);
+    if (stairs) {
+        placeRoof(blockPos, getRoofBlock(roofMapping, "stairs", stairs), replace);
+    } else {
+        // Ridge (or the middle of a flat roof)
+        placeRoof(blockPos, fullBlock, replace);
+    }
+}
+
+function isRoofEdge(columns, column) {
+    for (var facing in FACING_OFFSETS) {
+        var offset = FACING_OFFSETS[facing];
+        if (!columns[(column.x + offset[0]) + "," + (column.z + offset[1])]) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function getRoofStairs(columns, column) {
+    // Stairs face up the slope, towards any higher neighbours
+    var higher = [];
+    for (var facing in FACING_OFFSETS) {
+        var offset = FACING_OFFSETS[facing];
+        var neighbour = columns[(column.x + offset[0]) + "," + (column.z + offset[1])];
+        if (neighbour && neighbour.rank > column.rank) {
+            higher.push(facing);
+        }
+    }
+
+    if (higher.length === 1) {
+        return "facing=" + higher[0];
+    } else if (higher.length === 2) {
+        // Inside corner (e.g. where 2 wings of a building meet)
+        if (LEFT_OF[higher[0]] === higher[1]) {
+            return "facing=" + higher[0] + ",shape=inner_left";
+        } else if (LEFT_OF[higher[1]] === higher[0]) {
+            return "facing=" + higher[0] + ",shape=inner_right";
+        }
+        return "facing=" + higher[0];
+    } else if (higher.length > 2) {
+        return null;
+    }
+
+    // Outside corner: the roof only rises diagonally
+    for (var dx = -1; dx <= 1; dx += 2) {
+        for (var dz = -1; dz <= 1; dz += 2) {
+            var neighbour = columns[(column.x + dx) + "," + (column.z + dz)];
+            if (neighbour && neighbour.rank > column.rank) {
+                var facing = dx > 0 ? "east" : "west";
+                var side = dz > 0 ? "south" : "north";
+                var shape = LEFT_OF[facing] === side ? "outer_left" : "outer_right";
+                return "facing=" + facing + ",shape=" + shape;
+            }
+        }
+    }
+
+    return null;
+}
+
+// See:
+// https://github.com/Open-RSC/2D-Landscape-Editor/blob/main/src/main/java/org/openrsc/editor/gui/graphics/TileRenderer.java#L46
+// https://github.com/2003scape/rsc-landscape/blob/master/src/terrain-colours.js
+function getTerrainMapping(paletteIndex, worldTileX, worldTileY) {
+    var match = getTerrainMatch(paletteIndex);
+
+    // Ordered dithering: the closer the colour is to the next block along the
+    // palette, the more tiles use that block instead
+    if (blockMapping.terrain.dither && match.neighbour && worldTileX !== undefined) {
+        var threshold = (DITHER_MATRIX[mod(worldTileX, 4)][mod(worldTileY, 4)] + 0.5) / 16;
+        if (match.blend > threshold) {
+            return match.neighbour;
+        }
+    }
+
+    return match.best;
+}
+
+function getTerrainMatch(paletteIndex) {
+    if (terrainMatches[paletteIndex]) {
+        return terrainMatches[paletteIndex];
+    }
+
+    var best = getNearestTerrainBlock(paletteIndex);
+    var neighbour = null;
+    var blend = 0;
+
+    // Find the nearest palette index (within the same ramp) that uses a
+    // different block. Tiles close to the boundary get mixed.
+    var ramp = Math.floor(paletteIndex / 64);
+    for (var dist = 1; dist <= TERRAIN_DITHER_RANGE && !neighbour; dist++) {
+        var candidates = [paletteIndex - dist, paletteIndex + dist];
+        for (var i = 0; i < candidates.length; i++) {
+            var otherIndex = candidates[i];
+            if (Math.floor(otherIndex / 64) !== ramp) {
+                continue;
+            }
+            var other = getNearestTerrainBlock(otherIndex);
+            if (other !== best) {
+                neighbour = other;
+                // 0.5 right at the boundary, down to 0 at the edge of the range
+                blend = 0.5 * (1 - (dist - 0.5) / TERRAIN_DITHER_RANGE);
+                break;
+            }
+        }
+    }
+
+    var match = { best: best, neighbour: neighbour, blend: blend };
+    terrainMatches[paletteIndex] = match;
+    return match;
+}
+
+function getNearestTerrainBlock(paletteIndex) {
+    var colour = rgbToLab(getTerrainColour(paletteIndex));
+    var candidates = blockMapping.terrain.blocks;
+    var best = null;
+    var bestDist = Infinity;
+
+    for (var i = 0; i < candidates.length; i++) {
+        var dist = getColourDistance(colour, rgbToLab(candidates[i].colour));
+        if (dist < bestDist) {
+            best = candidates[i];
+            bestDist = dist;
+        }
+    }
+
+    return best;
+}
+
+function getTerrainColour(paletteIndex) {
+    // The palette is made up of 4 ramps of 64 colours:
+    // pale green -> green -> yellow / brown -> dark green
+    var i = paletteIndex % 64;
+    if (paletteIndex < 64) {
+        return [255 - i * 4, 255 - Math.floor(i * 1.75), 255 - i * 4];
+    } else if (paletteIndex < 128) {
+        return [i * 3, 144, 0];
+    } else if (paletteIndex < 192) {
+        return [192 - Math.floor(i * 1.5), 144 - Math.floor(i * 1.5), 0];
+    }
+    return [96 - Math.floor(i * 1.5), 48 + Math.floor(i * 1.5), 0];
+}
+
+function getColourDistance(lab1, lab2) {
+    var dL = (lab1[0] - lab2[0]) * TERRAIN_LIGHTNESS_WEIGHT;
+    var dA = (lab1[1] - lab2[1]) * TERRAIN_CHROMA_WEIGHT;
+    var dB = (lab1[2] - lab2[2]) * TERRAIN_CHROMA_WEIGHT;
+    return Math.sqrt(dL * dL + dA * dA + dB * dB);
+}
+
+function rgbToLab(rgb) {
+    // sRGB -> linear RGB -> XYZ (D65) -> CIELAB
+    var linear = rgb.map(function(val) {
+        val /= 255;
+        return val > 0.04045 ? Math.pow((val + 0.055) / 1.055, 2.4) : val / 12.92;
+    });
+    var xyz = [
+        (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047,
+        (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722),
+        (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883
+    ].map(function(val) {
+        return val > 0.008856 ? Math.pow(val, 1 / 3) : 7.787 * val + 16 / 116;
+    });
+    return [
+        116 * xyz[1] - 16,
+        500 * (xyz[0] - xyz[1]),
+        200 * (xyz[1] - xyz[2])
+    ];
+}
+
+function getBlockTypeFromPalette(paletteIndex, worldTileX, worldTileY) {
+    return getBlock(getTerrainMapping(paletteIndex, worldTileX, worldTileY).block);
+}
+
+function getSupportTypeFromPalette(paletteIndex, worldTileX, worldTileY) {
+    var terrainMapping = getTerrainMapping(paletteIndex, worldTileX, worldTileY);
+    return getBlock(terrainMapping.support || terrainMapping.block);
+}
+
+function getHalfStepFromPalette(paletteIndex, worldTileX, worldTileY) {
+    var terrainMapping = getTerrainMapping(paletteIndex, worldTileX, worldTileY);
+    return terrainMapping.half ? getBlock(terrainMapping.half) : null;
+}
+
+function getOverlaySettings(groundOverlay) {
+    var overlaySettings = {
+        block: getBlock(blockMapping.unknown.overlay),
+        indoors: false,
+        replaceGround: true,
+        isVoid: false
+    };
+
+    var overlayMapping = blockMapping.overlays[groundOverlay];
+    if (!overlayMapping) {
+        printUnknown("Unknown overlay", groundOverlay);
+        return overlaySettings;
+    }
+
+    overlaySettings.block = getBlock(overlayMapping.block);
+    if (overlayMapping.replaceGround !== undefined) {
+        overlaySettings.replaceGround = overlayMapping.replaceGround;
+    }
+    if (overlayMapping.atSeaLevel) {
+        overlaySettings.overrideElevation = SEA_LEVEL - BEDROCK_LEVEL;
+    }
+    if (overlayMapping.water) {
+        overlaySettings.water = overlayMapping.water;
+    }
+    if (overlayMapping.cliff) {
+        overlaySettings.cliff = overlayMapping.cliff;
+    }
+    overlaySettings.indoors = !!overlayMapping.indoors;
+    overlaySettings.isVoid = !!overlayMapping.isVoid;
+
+    return overlaySettings;
+}
+
+function isOverlayPermitted(layer, overlaySettings) {
+    if (!overlaySettings) {
+        return false;
+    }
+
+    if (layer > 0 && overlaySettings.isVoid) {
+        // Ignore void blocks on upper storeys
+        return false;
+    }
+
+    return true;
+}
+
+function isTileIndoors(overlaySettings, groundOverlaySettings) {
+    if (!overlaySettings) {
+        // Upper storey tiles with no floor (e.g. high-ceilinged rooms) should
+        // still count as indoors
+        return groundOverlaySettings && groundOverlaySettings.indoors;
+    }
+
+    return overlaySettings.indoors;
+}
+
+function getWallSettings(tile, wallType, facing, random) {
+    var wallSettings = {
+        block: getBlock(blockMapping.unknown.wall),
+        height: WALL_HEIGHT,
+        door: null,
+        gateBlock: null,
+        windowBlock: null,
+        cornerBlock: null
+    };
+
+    var wallMapping = blockMapping.walls[wallType];
+    if (!wallMapping) {
+        printUnknown("Unknown wall type", wallType);
+        return wallSettings;
+    }
+
+    if (wallMapping.door) {
+        setDoorway(facing, wallSettings, wallMapping.door);
+    }
+    if (wallMapping.block) {
+        wallSettings.block = getBlock(wallMapping.block);
+    }
+    if (wallMapping.height === "random") {
+        wallSettings.height = random() * WALL_HEIGHT;
+    } else if (wallMapping.height !== undefined) {
+        wallSettings.height = wallMapping.height;
+    }
+    if (wallMapping.window) {
+        var windowBlock = (tile.diagonalWalls && wallMapping.diagonalWindow)
+            ? wallMapping.diagonalWindow
+            : wallMapping.window;
+        wallSettings.windowBlock = getBlock(expandBlockString(windowBlock, facing));
+    }
+    if (wallMapping.corner) {
+        wallSettings.cornerBlock = getBlock(wallMapping.corner);
+    }
+    if (wallMapping.gap) {
+        wallSettings.gateBlock = wallMapping.gate;
+    }
+    if (wallMapping.ensureAboveGround !== undefined) {
+        wallSettings.ensureAboveGround = wallMapping.ensureAboveGround;
+    }
+
+    return wallSettings;
+}
+
+function setDoorway(facing, wallSettings, doorBlock) {
+    // Doors will try to blend with the surrounding blocks, but otherwise, we
+    // default to something inoffensive.
+    wallSettings.block = getBlock("glass");
+    wallSettings.door = createDoor(doorBlock, facing, false);
+    wallSettings.ensureAboveGround = true;
+}
+
+function createDoor(doorBlock, facing, open) {
+    return {
+        block: doorBlock,
+        facing: facing,
+        hinge: "left",
+        open: open
+    };
+}
+
+// Block offsets (x, z) in each direction
+const FACING_OFFSETS = {
+    "north": [0, -1],
+    "east": [1, 0],
+    "south": [0, 1],
+    "west": [-1, 0]
+};
+
+// The direction to the left of someone looking in each direction
+const LEFT_OF = {
+    "north": "west",
+    "east": "north",
+    "south": "east",
+    "west": "south"
+};
+
+function placeDoor(blockPos, door, layer) {
+    var properties = "facing=" + door.facing + ",hinge=" + door.hinge + ",open=" + door.open;
+    var upperPos = blockPos.add(0, 1, 0);
+    setBlock(blockPos, getBlock(door.block + "[" + properties + ",half=lower]"));
+    setBlock(upperPos, getBlock(door.block + "[" + properties + ",half=upper]"));
+    doorPositions[getPosKey(blockPos)] = true;
+    doorPositions[getPosKey(upperPos)] = true;
+
+    clearDoorApproach(blockPos, door.facing, layer);
+}
+
+function isDoorPosition(blockPos) {
+    return getPosKey(blockPos) in doorPositions;
+}
+
+function getPosKey(blockPos) {
+    return blockPos.getX() + "," + blockPos.getY() + "," + blockPos.getZ();
+}
+
+function clearDoorApproach(blockPos, facing, layer) {
+    // Doors on a slope can end up facing into the ground, so dig out anything
+    // above the bottom of the door, on both sides
+    var offset = FACING_OFFSETS[facing];
+    for (var side = -1; side <= 1; side += 2) {
+        var approachPos = blockPos.add(side * offset[0], 0, side * offset[1]);
+        if (clipBounds && !isWithinBounds(approachPos, clipBounds)) {
+            continue;
+        }
+
+        var location = getTileForBlockPos(approachPos);
+        var tile = getWorldTile(layer,
+                location.sectorX * SECTOR_SIZE + location.tileX,
+                location.sectorY * SECTOR_SIZE + location.tileY);
+        if (!tile) {
+            continue;
+        }
+
+        var groundY = BEDROCK_LEVEL + tile.mc.elevation;
+        for (var y = blockPos.getY(); y <= Math.min(groundY, blockPos.getY() + 1); y++) {
+            if (!isDoorPosition(approachPos.withY(y))) {
+                setBlock(approachPos.withY(y), getBlock("air"));
+            }
+        }
+    }
+}
+
+function getDoorwayHinge(sector, layer, tileX, tileY, tile, facing) {
+    // Hinges go on the outside of double doors, so they open from the middle.
+    // Only doorways along the same border can be paired up.
+    if (!tile.topBorderWall && !tile.rightBorderWall) {
+        return "left";
+    }
+    var border = tile.topBorderWall ? "topBorderWall" : "rightBorderWall";
+    var direction = BORDER_DIRECTIONS[border];
+    for (var sign = -1; sign <= 1; sign += 2) {
+        var neighbour = getNeighbourTile(sector, layer,
+                tileX + sign * direction[0], tileY + sign * direction[1]);
+        var wallMapping = neighbour && blockMapping.walls[neighbour[border]];
+        if (wallMapping && wallMapping.door) {
+            return getHinge(facing, getBorderOffset(border, sign));
+        }
+    }
+    return "left";
+}
+
+function getBorderOffset(border, tiles) {
+    // Block offset (x, z) of a tile `tiles` further along the given border.
+    // Remember that the x-axis is flipped!
+    var direction = BORDER_DIRECTIONS[border];
+    return [-tiles * direction[0], tiles * direction[1]];
+}
+
+function getHinge(facing, partnerOffset) {
+    // The left door of a pair has its hinge on the left, and vice versa
+    var left = FACING_OFFSETS[LEFT_OF[facing]];
+    var partnerOnLeft = partnerOffset[0] * left[0] + partnerOffset[1] * left[1] > 0;
+    return partnerOnLeft ? "right" : "left";
+}
+
+function getAxisFromFacing(facing) {
+    return (facing === "east" || facing === "west") ? "x" : "z";
+}
+
+function buildWall(sector, tileX, tileY, layer, wallPos, elevation, wallSettings) {
+    var startY = 0;
+
+    // Determine wall start
+    if (wallSettings.ensureAboveGround) {
+        startY = 1;
+
+        // On slopes, the ground beneath the wall can be lower than the tile
+        // that defines it, so reach down to meet it
+        var groundLevel = (layer === 0 && !wallSettings.door) ? getGroundLevel(wallPos) : null;
+        if (groundLevel !== null && groundLevel < elevation) {
+            startY = groundLevel - elevation + 1;
+        }
+    } else if (isGroundLayer(layer)) {
+        // Start underground in case the wall is on a steep slope
+        startY = -5;
+    }
+
+    // Determine wall end
+    var endY = wallSettings.height;
+
+    // Walls belonging to neighbouring sectors are only built where they spill
+    // into the current one
+    if (clipBounds && !isWithinBounds(wallPos, clipBounds)) {
+        return;
+    }
+
+    // Build the wall
+    for (var i = startY; i <= endY; i++) {
+        wallPos = wallPos.withY(BEDROCK_LEVEL + elevation + i);
+
+        // Neighbouring walls can overlap, but doors take priority
+        if (!wallSettings.door && isDoorPosition(wallPos)) {
+            continue;
+        }
+
+        if (wallSettings.door) {
+            if (i === 1) {
+                placeDoor(wallPos, wallSettings.door, layer);
+            } else if (i === 2) {
+                // Upper half is placed along with the lower half
+            } else {
+                var wallBlock = getNeighbouringWallBlock(sector, layer, tileX, tileY);
+                if (wallBlock) {
+                    setBlock(wallPos, wallBlock);
+                } else {
+                    setBlock(wallPos, wallSettings.block);
+                }
+            }
+        } else if (wallSettings.gateBlock && i === startY) {
+            setBlock(wallPos, getBlock(wallSettings.gateBlock));
+        } else if (wallSettings.windowBlock && i > 1 && i < wallSettings.height - 1) {
+            // Window
+            setBlock(wallPos, wallSettings.windowBlock);
+        } else if (wallSettings.cornerBlock && i % 4 === 0) {
+            setBlock(wallPos, wallSettings.cornerBlock);
+        } else {
+            setBlock(wallPos, wallSettings.block);
+        }
+    }
+}
+
+// Neighbouring tiles to check, in order of preference
+const NEIGHBOUR_OFFSETS = [
+    [0, -1],    // North
+    [-1, -1],   // North-east
+    [-1, 0],    // East
+    [-1, 1],    // South-east
+    [0, 1],     // South
+    [1, 1],     // South-west
+    [1, 0],     // West
+    [1, -1]     // North-west
+];
+
+function getNeighbouringWallBlock(sector, layer, tileX, tileY) {
+    for (var i = 0; i < NEIGHBOUR_OFFSETS.length; i++) {
+        var offset = NEIGHBOUR_OFFSETS[i];
+        var tile = getNeighbourTile(sector, layer, tileX + offset[0], tileY + offset[1]);
+        if (!tile) {
+            continue;
+        }
+        var wallType = getWallType(tile);
+        if (isWall(wallType)) {
+            wallType = normalizeWallType(wallType);
+            var wallSettings = getWallSettings(tile, wallType, null,
+                    getTileRandom(sector, layer, tileX + offset[0], tileY + offset[1]));
+            if (wallSettings.block && !wallSettings.door) {
+                return wallSettings.block;
+            }
+        }
+    }
+
+    return null;
+}
+
+// How far to look along a fence for the style of a gate
+const MAX_GATE_SEARCH = 3;
+
+// Borders run perpendicular to the side of the tile they are on, so a top
+// border continues into the tiles to the east and west
+const BORDER_DIRECTIONS = {
+    "topBorderWall": [1, 0],
+    "rightBorderWall": [0, 1]
+};
+
+function findFenceGate(sector, layer, tileX, tileY, border) {
+    var wallMapping = findAlongBorder(sector, layer, tileX, tileY, border, isFence);
+    return wallMapping ? wallMapping.gate : null;
+}
+
+function findAlongBorder(sector, layer, tileX, tileY, border, isMatch) {
+    // Looks in both directions along the given border for a matching wall,
+    // skipping over anything else (e.g. other gaps). Returns its mapping.
+    var direction = BORDER_DIRECTIONS[border];
+    for (var distance = 1; distance <= MAX_GATE_SEARCH; distance++) {
+        for (var sign = -1; sign <= 1; sign += 2) {
+            var tile = getNeighbourTile(sector, layer,
+                    tileX + sign * distance * direction[0],
+                    tileY + sign * distance * direction[1]);
+            var wallMapping = tile && blockMapping.walls[tile[border]];
+            if (wallMapping && isMatch(wallMapping)) {
+                return wallMapping;
+            }
+        }
+    }
+    return null;
+}
+
+function isFence(wallMapping) {
+    return wallMapping.gate && !wallMapping.gap;
+}
+
+function isSolidWall(wallMapping) {
+    return wallMapping.block && wallMapping.block !== "air" && !wallMapping.door && !wallMapping.gap;
+}
+
+// Wall lines that a gate or door object might sit on, in order of preference:
+// each is the border of a tile (relative to the object's tile)
+const OBJECT_WALL_LINES = [
+    { tileX: 0, tileY: 0, border: "topBorderWall", facing: "north" },
+    { tileX: 0, tileY: 1, border: "topBorderWall", facing: "north" },
+    { tileX: 0, tileY: 0, border: "rightBorderWall", facing: "east" },
+    { tileX: 1, tileY: 0, border: "rightBorderWall", facing: "east" }
+];
+
+function findObjectWallLine(sector, layer, tileX, tileY, isMatch) {
+    for (var i = 0; i < OBJECT_WALL_LINES.length; i++) {
+        var line = OBJECT_WALL_LINES[i];
+        var wallMapping = findAlongBorder(sector, layer,
+                tileX + line.tileX, tileY + line.tileY, line.border, isMatch);
+        if (wallMapping) {
+            return { line: line, wallMapping: wallMapping };
+        }
+    }
+    return null;
+}
+
+function getLinePositions(groundPos, line, tiles) {
+    // Where a wall on the given line would go, `tiles` further along it
+    var lineTile = { mc: { indoors: false }, topBorderWall: 0, rightBorderWall: 0 };
+    lineTile[line.border] = 1;
+    var offset = getBorderOffset(line.border, tiles);
+    var linePos = getAdjacentTilePos(groundPos, offset[0] - line.tileX, offset[1] + line.tileY);
+    return getWallPositions(linePos, lineTile);
+}
+
+function placeGateObject(objectId, sector, layer, tileX, tileY, groundPos) {
+    // Gates are objects in RSC, but they belong on the fence line beside the
+    // object's tile, where the neighbouring fences leave a gap. Returns false
+    // if there is no such fence (or this is not a gate).
+    var objectMapping = blockMapping.objects[objectId];
+    if (!objectMapping || !objectMapping.gate || !isPassEnabled("objects")) {
+        return false;
+    }
+
+    var found = findObjectWallLine(sector, layer, tileX, tileY, isFence);
+    if (!found) {
+        return false;
+    }
+
+    var gateBlock = getBlock(found.wallMapping.gate + "[facing=" + found.line.facing + "]");
+    var positions = getLinePositions(groundPos, found.line, 0);
+    for (var i = 0; i < positions.length; i++) {
+        setBlock(positions[i].pos.add(0, 1, 0), gateBlock);
+    }
+    return true;
+}
+
+function placeDoorObject(objectId, sector, layer, tileX, tileY, groundPos) {
+    // Like gates, door objects belong on the wall line beside them. Returns
+    // false if there is no such wall (or this is not a door).
+    var objectMapping = blockMapping.objects[objectId];
+    if (!objectMapping || !objectMapping.door || !isPassEnabled("objects")) {
+        return false;
+    }
+
+    var doors = getDoorObjectPositions(sector, layer, tileX, tileY, groundPos);
+    if (!doors) {
+        return false;
+    }
+
+    for (var i = 0; i < doors.length; i++) {
+        var door = createDoor(objectMapping.door, doors[i].facing, true);
+        door.hinge = doors[i].hinge;
+        placeDoor(doors[i].pos, door, layer);
+    }
+    return true;
+}
+
+function getDoorObjectPositions(sector, layer, tileX, tileY, groundPos) {
+    // Door objects are double doors: one on the wall line beside the object,
+    // and the other next to it, wherever the wall leaves a gap.
+    // Returns the position (of the lower half) and hinge of each door.
+    var found = findObjectWallLine(sector, layer, tileX, tileY, isSolidWall);
+    if (!found) {
+        return null;
+    }
+
+    var line = found.line;
+    var lineTileX = tileX + line.tileX;
+    var lineTileY = tileY + line.tileY;
+    var direction = BORDER_DIRECTIONS[line.border];
+    var partner = 0;
+    for (var sign = 1; sign >= -1 && !partner; sign -= 2) {
+        var neighbour = getNeighbourTile(sector, layer,
+                lineTileX + sign * direction[0], lineTileY + sign * direction[1]);
+        if (neighbour && !neighbour[line.border]) {
+            partner = sign;
+        }
+    }
+
+    var doors = [{
+        pos: getDoorPosition(getLinePositions(groundPos, line, 0)),
+        facing: line.facing,
+        hinge: partner ? getHinge(line.facing, getBorderOffset(line.border, partner)) : "left"
+    }];
+    if (partner) {
+        doors.push({
+            pos: getDoorPosition(getLinePositions(groundPos, line, partner)),
+            facing: line.facing,
+            hinge: getHinge(line.facing, getBorderOffset(line.border, -partner))
+        });
+    }
+    return doors;
+}
+
+function getDoorPosition(wallPositions) {
+    for (var i = 0; i < wallPositions.length; i++) {
+        if (wallPositions[i].door) {
+            return wallPositions[i].pos.add(0, 1, 0);
+        }
+    }
+    return null;
+}
+
+// Walls that a ladder or staircase might stand against, in order of
+// preference: each is the border of a tile (relative to the object's tile),
+// along with the way that the ladder faces (away from the wall)
+const CLIMB_WALL_LINES = [
+    { tileX: 0, tileY: 0, border: "topBorderWall", facing: "south" },
+    { tileX: 0, tileY: 0, border: "rightBorderWall", facing: "west" },
+    { tileX: 0, tileY: 1, border: "topBorderWall", facing: "north" },
+    { tileX: 1, tileY: 0, border: "rightBorderWall", facing: "east" }
+];
+
+function placeClimbObject(objectId, sector, layer, tileX, tileY, groundPos) {
+    // Ladders and staircases lead from the floor of one storey to the floor
+    // of the next. Returns false if there is nowhere to climb to (or this is
+    // not a ladder or staircase).
+    var climb = getClimb(objectId, sector, layer, tileX, tileY);
+    if (!climb) {
+        return false;
+    }
+
+    // The underground layer is built after the surface, so climbs between the
+    // two are left until then (see `placeSurfaceClimb`)
+    if (climb.lower === UNDERGROUND_LAYER && layer !== UNDERGROUND_LAYER) {
+        return true;
+    }
+
+    buildClimb(climb, sector, tileX, tileY, groundPos);
+    return true;
+}
+
+function placeSurfaceClimb(sector, tileX, tileY, blockPos) {
+    // Builds any climb from the surface down into the underground layer,
+    // through the rock in between
+    var tile = sector[0][tileX][tileY];
+    if (tile.diagonalWalls < 48000) {
+        return;
+    }
+
+    var climb = getClimb(tile.diagonalWalls - 48000, sector, 0, tileX, tileY);
+    if (climb && climb.lower === UNDERGROUND_LAYER) {
+        buildClimb(climb, sector, tileX, tileY, blockPos);
+    }
+}
+
+function getClimb(objectId, sector, layer, tileX, tileY) {
+    // Finds the storeys at the bottom and top of a ladder or staircase, if
+    // both are being built. The ground floor leads up to the next storey, or
+    // down into the underground layer.
+    var objectMapping = blockMapping.objects[objectId];
+    if (!objectMapping || !objectMapping.climb || !isPassEnabled("objects")) {
+        return null;
+    }
+
+    var lower;
+    var upper;
+    if (objectMapping.climb === "up") {
+        lower = layer;
+        upper = layer === UNDERGROUND_LAYER ? 0 : layer + 1;
+    } else {
+        upper = layer;
+        lower = layer === 0 ? UNDERGROUND_LAYER : layer - 1;
+    }
+
+    if (lower < 0 || upper >= NUM_LAYERS || lower === upper
+            || !isLayerEnabled(lower) || !isLayerEnabled(upper)) {
+        return null;
+    }
+
+    // Most of the underground layer is solid rock, and upper storeys only
+    // exist where they have a floor
+    if (lower === UNDERGROUND_LAYER && !isUndergroundTileOpen(sector[lower][tileX][tileY])) {
+        return null;
+    }
+    var upperTile = sector[upper][tileX][tileY];
+    if (upper > 0 && !isOverlayPermitted(upper, upperTile.mc.overlaySettings)) {
+        return null;
+    }
+
+    return { objectMapping: objectMapping, lower: lower, upper: upper };
+}
+
+function buildClimb(climb, sector, tileX, tileY, groundPos) {
+    // Climbs start just above the lower floor, and cut through the upper one
+    var bottomY = BEDROCK_LEVEL + sector[climb.lower][tileX][tileY].mc.elevation + 1;
+    var topY = BEDROCK_LEVEL + sector[climb.upper][tileX][tileY].mc.elevation;
+
+    // Stand against a wall of the lower storey, if there is one
+    var wall = findClimbWall(sector, climb.lower, tileX, tileY, groundPos);
+    var climbPos = wall ? wall.pos : getTileCentre(groundPos);
+    var facing = wall ? wall.facing : "south";
+
+    // Staircases only fit between neighbouring storeys
+    var objectMapping = climb.objectMapping;
+    if (objectMapping.stairs && topY - bottomY < WALL_HEIGHT) {
+        var direction = getFlightDirection(climbPos, facing, climb.lower, topY - bottomY);
+        var offset = FACING_OFFSETS[direction];
+        var stairs = getBlock(objectMapping.stairs + "[facing=" + direction + "]");
+        for (var y = bottomY; y <= topY; y++) {
+            var stepPos = climbPos.add(offset[0] * (y - bottomY), 0, offset[1] * (y - bottomY));
+            setBlock(stepPos.withY(y), stairs);
+
+            // Leave headroom above each step
+            for (var headY = y + 1; headY <= Math.min(y + 2, topY); headY++) {
+                setBlock(stepPos.withY(headY), getBlock("air"));
+            }
+        }
+    } else {
+        var ladder = getBlock((objectMapping.ladder || "ladder") + "[facing=" + facing + "]");
+        for (var y = bottomY; y <= topY; y++) {
+            setBlock(climbPos.withY(y), ladder);
+        }
+    }
+}
+
+function findClimbWall(sector, layer, tileX, tileY, groundPos) {
+    // Returns the position beside the wall, and the way to face
+    for (var i = 0; i < CLIMB_WALL_LINES.length; i++) {
+        var line = CLIMB_WALL_LINES[i];
+        var tile = getNeighbourTile(sector, layer, tileX + line.tileX, tileY + line.tileY);
+        var wallMapping = tile && blockMapping.walls[tile[line.border]];
+        if (wallMapping && isSolidWall(wallMapping)) {
+            var wallPos = getDoorPosition(getLinePositions(groundPos, line, 0));
+            var offset = FACING_OFFSETS[line.facing];
+            return { pos: wallPos.add(offset[0], 0, offset[1]), facing: line.facing };
+        }
+    }
+    return null;
+}
+
+function getFlightDirection(climbPos, facing, layer, length) {
+    // Staircases run along the wall, to the left unless a wall is in the way
+    var left = LEFT_OF[facing];
+    var right = LEFT_OF[LEFT_OF[left]];
+    var offset = FACING_OFFSETS[left];
+    var from = getWorldTileForBlockPos(climbPos);
+    for (var i = 1; i <= length; i++) {
+        var to = getWorldTileForBlockPos(climbPos.add(offset[0] * i, 0, offset[1] * i));
+        if (isBorderBlocked(layer, from, to)) {
+            return right;
+        }
+        from = to;
+    }
+    return left;
+}
+
+function getWorldTileForBlockPos(blockPos) {
+    var location = getTileForBlockPos(blockPos);
+    return [
+        location.sectorX * SECTOR_SIZE + location.tileX,
+        location.sectorY * SECTOR_SIZE + location.tileY
+    ];
+}
+
+function isBorderBlocked(layer, from, to) {
+    // Whether a wall stands between two neighbouring (or identical) tiles.
+    // Each tile owns its north and east borders.
+    var owner = from;
+    var border = "topBorderWall";
+    if (to[1] > from[1] || to[0] > from[0]) {
+        owner = to;
+    }
+    if (to[0] !== from[0]) {
+        border = "rightBorderWall";
+    } else if (to[1] === from[1]) {
+        return false;
+    }
+    var tile = getWorldTile(layer, owner[0], owner[1]);
+    return !tile || isWall(tile[border]);
+}
+
+// Objects face one of 8 directions, going anticlockwise from north in steps
+// of 45 degrees. They are always built square-on, so diagonals are rounded.
+const OBJECT_FACINGS = ["north", "west", "south", "east"];
+
+function placeObject(objectId, direction, groundPos, random) {
+    var objectMapping = blockMapping.objects[objectId];
+    if (!isPassEnabled(objectMapping && objectMapping.tree ? "trees" : "objects")) {
+        return;
+    }
+
+    // Objects are built in the middle of their footprint
+    var facing = getObjectFacing(direction);
+    var footprint = getObjectFootprint(objectMapping, facing);
+    var centre = getFootprintCentre(groundPos, footprint);
+    var blockPos = BlockVector3.at(Math.round(centre[0]), groundPos.getY() + 1, Math.round(centre[1]));
+
+    if (!objectMapping) {
+        printUnknown("Unknown object type", objectId);
+        setBlock(blockPos, getBlock(blockMapping.unknown.object));
+        return;
+    }
+
+    if (objectMapping.tree
+            && placeTree(blockPos, getRegionTrees(objectMapping.tree, groundPos), random)) {
+        return;
+    }
+
+    if (objectMapping.template) {
+        placeObjectTemplate(objectMapping.template, facing, centre, blockPos.getY());
+        return;
+    }
+
+    // Otherwise, the same blocks are stacked up across the whole footprint
+    var objectBlocks = objectMapping.blocks
+        || (objectMapping.block ? [objectMapping.block] : []);
+    for (var x = 0; x < footprint.width; x++) {
+        for (var z = 0; z < footprint.height; z++) {
+            var columnPos = BlockVector3.at(
+                    Math.round(centre[0] + x - (footprint.width - 1) / 2),
+                    blockPos.getY(),
+                    Math.round(centre[1] + z - (footprint.height - 1) / 2));
+            for (var i = 0; i < objectBlocks.length; i++) {
+                setBlock(columnPos.add(0, i, 0), getObjectBlock(objectBlocks[i], facing));
+            }
+        }
+    }
+}
+
+function getObjectFacing(direction) {
+    return OBJECT_FACINGS[Math.floor(direction / 2) % OBJECT_FACINGS.length];
+}
+
+function getObjectFootprint(objectMapping, facing) {
+    // Footprint in tiles along Minecraft's axes. Objects turned to the east
+    // or west are turned on their side.
+    var width = (objectMapping && objectMapping.width) || 1;
+    var height = (objectMapping && objectMapping.height) || 1;
+    if (facing === "east" || facing === "west") {
+        return { width: height, height: width };
+    }
+    return { width: width, height: height };
+}
+
+function getFootprintCentre(groundPos, footprint) {
+    // Footprints extend from the object's tile to the west and south
+    // (remember that the x-axis is flipped!). Objects are not scaled up along
+    // with their tiles, so the centre (x, z) can fall between blocks.
+    var scale = worldTransform.scale;
+    return [
+        groundPos.getX() + (scale - 1 - (footprint.width - 1) * scale) / 2,
+        groundPos.getZ() + (footprint.height * scale - 1) / 2
+    ];
+}
+
+function placeObjectTemplate(template, facing, centre, baseY) {
+    // Rows run from the back of the object to the front, and columns from its
+    // left to its right, so the template turns along with the object
+    var front = FACING_OFFSETS[facing];
+    var left = FACING_OFFSETS[LEFT_OF[facing]];
+    for (var y = 0; y < template.layers.length; y++) {
+        var rows = template.layers[y];
+        for (var row = 0; row < rows.length; row++) {
+            for (var col = 0; col < rows[row].length; col++) {
+                var key = rows[row].charAt(col);
+                if (!(key in template.blocks)) {
+                    // Anything else (e.g. a space) is left alone
+                    continue;
+                }
+                var forward = row - (rows.length - 1) / 2;
+                var leftward = (rows[row].length - 1) / 2 - col;
+                var blockPos = BlockVector3.at(
+                        Math.round(centre[0] + forward * front[0] + leftward * left[0]),
+                        baseY + y,
+                        Math.round(centre[1] + forward * front[1] + leftward * left[1]));
+                setBlock(blockPos, getObjectBlock(template.blocks[key], facing));
+            }
+        }
+    }
+}
+
+function getObjectBlock(blockString, facing) {
+    return getBlock(blockString
+            .replace("{facing}", facing)
+            .replace("{back}", LEFT_OF[LEFT_OF[facing]]));
+}
+
+// Trees are built by hand, rather than using WorldEdit's tree generator, so
+// that they come out the same every time (and work in schematics).
+// Fields:
+// - log / leaves: Blocks to use.
+// - minHeight / maxHeight: Range of trunk heights.
+// - canopy: "round" (like an oak), "cone" (like a spruce), "flat" (like an
+//           acacia) or "bare" (a few branches, with no leaves at all).
+const TREE_SHAPES = {
+    "oak": { log: "oak_log", leaves: "oak_leaves", minHeight: 4, maxHeight: 6, canopy: "round" },
+    "birch": { log: "birch_log", leaves: "birch_leaves", minHeight: 5, maxHeight: 7, canopy: "round" },
+    "jungle": { log: "jungle_log", leaves: "jungle_leaves", minHeight: 5, maxHeight: 8, canopy: "round" },
+    "dark_oak": { log: "dark_oak_log", leaves: "dark_oak_leaves", minHeight: 4, maxHeight: 5, canopy: "round" },
+    "spruce": { log: "spruce_log", leaves: "spruce_leaves", minHeight: 6, maxHeight: 9, canopy: "cone" },
+    "acacia": { log: "acacia_log", leaves: "acacia_leaves", minHeight: 4, maxHeight: 6, canopy: "flat" },
+    "dead": { log: "oak_log", minHeight: 3, maxHeight: 5, canopy: "bare" }
+};
+
+function placeTree(blockPos, treeTypes, random) {
+    var treeType = treeTypes[Math.floor(random() * treeTypes.length)];
+    var treeShape = TREE_SHAPES[treeType];
+    if (!treeShape) {
+        printUnknown("Unknown tree type", treeType);
+        return false;
+    }
+
+    var height = randomInt(random, treeShape.minHeight, treeShape.maxHeight);
+    if (treeShape.canopy === "bare") {
+        placeBranches(blockPos, height, treeShape.log, random);
+    } else {
+        var leaves = getBlock(treeShape.leaves + "[persistent=true]");
+        if (treeShape.canopy === "cone") {
+            placeConeCanopy(blockPos, height, leaves, random);
+        } else if (treeShape.canopy === "flat") {
+            placeFlatCanopy(blockPos, height, leaves, random);
+        } else {
+            placeRoundCanopy(blockPos, height, leaves, random);
+        }
+    }
+
+    var log = getBlock(treeShape.log);
+    for (var y = 0; y < height; y++) {
+        var logPos = blockPos.add(0, y, 0);
+        if (!treeBounds || isWithinBounds(logPos, treeBounds)) {
+            setBlock(logPos, log);
+        }
+    }
+
+    return true;
+}
+
+function placeRoundCanopy(blockPos, height, leaves, random) {
+    // Based on Minecraft's oak trees: two wide layers, then two narrow ones,
+    // with some of the corners missing
+    for (var y = height - 3; y <= height; y++) {
+        var radius = y < height - 1 ? 2 : 1;
+        for (var x = -radius; x <= radius; x++) {
+            for (var z = -radius; z <= radius; z++) {
+                var corner = Math.abs(x) === radius && Math.abs(z) === radius;
+                if (corner && (y === height || random() < 0.5)) {
+                    continue;
+                }
+                placeLeaves(blockPos.add(x, y, z), leaves);
+            }
+        }
+    }
+}
+
+function placeConeCanopy(blockPos, height, leaves, random) {
+    // Layers get wider towards the bottom, with a narrower layer every so
+    // often so that it doesn't look too smooth
+    var bottom = randomInt(random, 1, 2);
+    for (var y = height; y >= bottom; y--) {
+        var depth = height - y;
+        var radius = Math.min(3, Math.ceil(depth / 2));
+        if (depth > 2 && depth % 3 === 0) {
+            radius--;
+        }
+        for (var x = -radius; x <= radius; x++) {
+            for (var z = -radius; z <= radius; z++) {
+                if (radius > 0 && Math.abs(x) + Math.abs(z) > radius + 1) {
+                    continue;
+                }
+                placeLeaves(blockPos.add(x, y, z), leaves);
+            }
+        }
+    }
+}
+
+function placeFlatCanopy(blockPos, height, leaves, random) {
+    // Based on Minecraft's acacia trees: one wide, flat layer at the top of
+    // the trunk, and a narrower one above
+    for (var y = height - 1; y <= height; y++) {
+        var radius = y < height ? 3 : 1;
+        for (var x = -radius; x <= radius; x++) {
+            for (var z = -radius; z <= radius; z++) {
+                var edge = Math.abs(x) + Math.abs(z);
+                if (edge > radius + 1 || (edge === radius + 1 && random() < 0.5)) {
+                    continue;
+                }
+                placeLeaves(blockPos.add(x, y, z), leaves);
+            }
+        }
+    }
+}
+
+function placeBranches(blockPos, height, log, random) {
+    // Short branches sticking out sideways from the top half of the trunk
+    var numBranches = randomInt(random, 1, 3);
+    for (var i = 0; i < numBranches; i++) {
+        var facing = OBJECT_FACINGS[randomInt(random, 0, OBJECT_FACINGS.length - 1)];
+        var offset = FACING_OFFSETS[facing];
+        var y = randomInt(random, Math.ceil(height / 2), height - 1);
+        var length = randomInt(random, 1, 2);
+        var branch = getBlock(log + "[axis=" + getAxisFromFacing(facing) + "]");
+        for (var j = 1; j <= length; j++) {
+            placeLeaves(blockPos.add(offset[0] * j, y, offset[1] * j), branch);
+        }
+    }
+}
+
+function placeLeaves(blockPos, leaves) {
+    // Leaves (or branches) shouldn't replace walls, neighbouring trees or the
+    // ground. This goes by what the current sector has built (rather than
+    // what is already in the world), so that it doesn't matter which sector
+    // is generated first.
+    if (treeBounds && !isWithinBounds(blockPos, treeBounds)) {
+        return;
+    }
+    if (structurePositions && getPosKey(blockPos) in structurePositions) {
+        return;
+    }
+    var groundLevel = getGroundLevel(blockPos);
+    if (groundLevel !== null && blockPos.getY() <= BEDROCK_LEVEL + groundLevel) {
+        return;
+    }
+    setBlock(blockPos, leaves);
+}
+
+function placeRoof(blockPos, blockString, replace) {
+    if (clipBounds && !isWithinBounds(blockPos, clipBounds)) {
+        return;
+    }
+    if (!replace && readBlockType(blockPos) !== "air") {
+        return;
+    }
+    setBlock(blockPos, getBlock(blockString));
+}
+
+function getRoofBlock(roofMapping, shape, properties) {
+    // Roofs can be built from the full block alone, if there is nothing better
+    if (!roofMapping[shape]) {
+        return roofMapping.block;
+    }
+    return roofMapping[shape] + "[" + properties + "]";
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Spawns
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Scenery, NPCs and ground items can also be read from the spawn lists used by
+ * RSC servers (see `--scenery`, `--npcs` and `--items`). These can be either:
+ * - JSON: a list of spawns, or an object containing one (e.g. Open-RSC's
+ *   "SceneryLocs.json", "NpcLocs.json" and "GroundItems.json").
+ * - CSV (if the filename ends in ".csv"): a header row naming the columns,
+ *   followed by one spawn per row.
+ * Each spawn needs an `id` and RSC co-ordinates, given as `x` / `y` or in a
+ * `pos` or `start` object. Scenery may also have a `direction`, and items an
+ * `amount`.
+ *
+ * Spawns are placed after everything else in their sector has been built.
+ * NPCs (and items in item frames) are entities, which are given a scoreboard
+ * tag so that they can be found and removed again when the sector is rebuilt.
+ */
+
+const SPAWN_TYPES = ["scenery", "npcs", "items"];
+
+// Item frames can't hold more than a full stack
+const MAX_ITEM_STACK = 64;
+
+function loadSpawns(filename) {
+    // Returns the spawns grouped by sector
+    var file = new File(filename);
+    if (!file.exists()) {
+        throw "Specified spawn file does not exist: " + filename;
+    }
+
+    var text = readTextFile(file);
+    var records = /\.csv$/i.test(filename)
+        ? parseSpawnCsv(text)
+        : findSpawnList(JSON.parse(text));
+
+    var spawnsBySector = {};
+    for (var i = 0; i < records.length; i++) {
+        var spawn = normalizeSpawn(records[i]);
+        var location = getTileForRscCoords(spawn.x, spawn.y);
+        spawn.layer = location.layer;
+        spawn.tileX = location.tileX;
+        spawn.tileY = location.tileY;
+
+        var key = location.sectorX + "," + location.sectorY;
+        if (!(key in spawnsBySector)) {
+            spawnsBySector[key] = [];
+        }
+        spawnsBySector[key].push(spawn);
+    }
+    return spawnsBySector;
+}
+
+function findSpawnList(json) {
+    // Lists are often wrapped in an object, e.g. { "sceneries": [...] }
+    if (json instanceof Array) {
+        return json;
+    }
+    for (var key in json) {
+        if (json[key] instanceof Array) {
+            return json[key];
+        }
+    }
+    throw "No list of spawns found";
+}
+
+function parseSpawnCsv(text) {
+    var lines = text.split(/\r?\n/).filter(function(line) {
+        return line.trim() !== "";
+    });
+    if (lines.length === 0) {
+        return [];
+    }
+
+    var columns = splitCsvLine(lines[0]).map(function(column) {
+        return column.toLowerCase();
+    });
+    var records = [];
+    for (var i = 1; i < lines.length; i++) {
+        var values = splitCsvLine(lines[i]);
+        var record = {};
+        for (var j = 0; j < columns.length; j++) {
+            record[columns[j]] = values[j];
+        }
+        records.push(record);
+    }
+    return records;
+}
+
+function splitCsvLine(line) {
+    // Spawn lists are only numbers, so there is no need to handle commas
+    // within quotes
+    return line.split(",").map(function(value) {
+        return value.trim().replace(/^"(.*)"$/, "$1");
+    });
+}
+
+function normalizeSpawn(record) {
+    // Open-RSC keeps co-ordinates in `pos` (or `start`, for NPCs), with
+    // upper-case keys
+    var pos = record.pos || record.start || record;
+    var spawn = {
+        id: parseInt(record.id, 10),
+        x: parseInt(pos.X !== undefined ? pos.X : pos.x, 10),
+        y: parseInt(pos.Y !== undefined ? pos.Y : pos.y, 10),
+        direction: parseInt(record.direction, 10) || 0,
+        amount: parseInt(record.amount, 10) || 1
+    };
+    if (isNaN(spawn.id) || isNaN(spawn.x) || isNaN(spawn.y) || spawn.x < 0 || spawn.y < 0) {
+        throw "Invalid spawn: " + JSON.stringify(record);
+    }
+    return spawn;
+}
+
+function removeSpawnedEntities(sectorX, sectorY) {
+    // Entities aren't cleared along with the blocks, so any spawned by an
+    // earlier run would otherwise be spawned all over again
+    var spawnTags = {};
+    for (var type in spawnLists) {
+        for (var layer = 0; layer <= UNDERGROUND_LAYER; layer++) {
+            if (isPassEnabled(type) && isLayerEnabled(layer)) {
+                spawnTags[getSpawnTag(type, layer)] = true;
+            }
+        }
+    }
+    if (Object.keys(spawnTags).length === 0) {
+        return;
+    }
+
+    // Covers the same heights as a schematic of the sector (any corners will
+    // do, so rotation doesn't matter here)
+    var bounds = getSectorBounds(getMinBlockPosForSector(sectorX, sectorY));
+    var region = new CuboidRegion(
+            mapToWorld(BlockVector3.at(bounds.minX, BEDROCK_LEVEL - undergroundDepth, bounds.minZ)),
+            mapToWorld(BlockVector3.at(bounds.maxX, BEDROCK_LEVEL + SCHEMATIC_HEIGHT, bounds.maxZ)));
+    var entities = blocks.getEntities(region);
+    for (var i = 0; i < entities.size(); i++) {
+        if (hasSpawnTag(entities.get(i).getState(), spawnTags)) {
+            entities.get(i).remove();
+        }
+    }
+}
+
+function hasSpawnTag(entityState, spawnTags) {
+    var nbt = entityState && entityState.getNbtData();
+    var tagList = nbt && nbt.getValue().get("Tags");
+    if (!tagList) {
+        return false;
+    }
+    var tags = tagList.getValue();
+    for (var i = 0; i < tags.size(); i++) {
+        if (String(tags.get(i).getValue()) in spawnTags) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function getSpawnTag(type, layer) {
+    return "rsc." + type + "." + layer;
+}
+
+function createSpawnTags(type, layer) {
+    // Scoreboard tags for an entity spawned from the given list
+    return new ListTag(StringTag,
+            java.util.Collections.singletonList(new StringTag(getSpawnTag(type, layer))));
+}
+
+function placeSpawns(sector, sectorX, sectorY) {
+    var key = sectorX + "," + sectorY;
+    var sectorMinBlockPos = getMinBlockPosForSector(sectorX, sectorY);
+    for (var type in spawnLists) {
+        var sectorSpawns = spawnLists[type][key] || [];
+        for (var i = 0; i < sectorSpawns.length; i++) {
+            var spawn = sectorSpawns[i];
+            if (!isLayerEnabled(spawn.layer)) {
+                continue;
+            }
+            var tile = sector[spawn.layer][spawn.tileX][spawn.tileY];
+            var groundPos = getBlockPosForTile(sectorMinBlockPos, spawn.tileX, spawn.tileY)
+                    .withY(BEDROCK_LEVEL + tile.mc.elevation);
+            if (type === "scenery") {
+                placeScenery(spawn, sector, groundPos);
+            } else if (type === "npcs") {
+                placeNpc(spawn, getSpawnPos(spawn, groundPos));
+            } else {
+                placeGroundItem(spawn, getSpawnPos(spawn, groundPos));
+            }
+        }
+    }
+}
+
+function getSpawnPos(spawn, groundPos) {
+    // NPCs and items go in the middle of the tile, just above the floor (on
+    // smooth terrain, the ground may slope across the tile)
+    var blockPos = getTileCentre(groundPos);
+    if (spawn.layer === 0) {
+        blockPos = blockPos.withY(BEDROCK_LEVEL + getGroundLevel(blockPos));
+    }
+    return blockPos.add(0, 1, 0);
+}
+
+function placeScenery(spawn, sector, groundPos) {
+    // Scenery IDs start from 0, whereas object IDs in the landscape start
+    // from 1. Most scenery is in the landscape already, so has been built
+    // along with the rest of the sector.
+    var objectId = spawn.id + 1;
+    var layer = spawn.layer;
+    var tileX = spawn.tileX;
+    var tileY = spawn.tileY;
+    if (sector[layer][tileX][tileY].diagonalWalls === objectId + 48000) {
+        return;
+    }
+
+    if (placeGateObject(objectId, sector, layer, tileX, tileY, groundPos)
+            || placeDoorObject(objectId, sector, layer, tileX, tileY, groundPos)) {
+        return;
+    }
+
+    // Every layer has been built by now, so climbs can go straight in
+    var climb = getClimb(objectId, sector, layer, tileX, tileY);
+    if (climb) {
+        buildClimb(climb, sector, tileX, tileY, groundPos);
+        return;
+    }
+
+    placeObject(objectId, spawn.direction, groundPos,
+            getTileRandom(sector, layer, tileX, tileY));
+}
+
+function placeNpc(spawn, blockPos) {
+    if (!isPassEnabled("npcs")) {
+        return;
+    }
+
+    var npcMapping = blockMapping.npcs[spawn.id];
+    if (!npcMapping) {
+        printUnknown("Unknown NPC type", spawn.id);
+        setBlock(blockPos, getBlock(blockMapping.unknown.npc));
+        return;
+    }
+
+    // Names are shown without any doubts about them
+    var name = (npcMapping.name || "").replace(/\s*\(\?\)$/, "");
+    var tags = {
+        PersistenceRequired: new ByteTag(1),
+        Tags: createSpawnTags("npcs", spawn.layer)
+    };
+    if (name) {
+        tags.CustomName = new StringTag(JSON.stringify({ text: name }));
+    }
+    spawnEntity(blockPos, npcMapping.entity || "villager", tags);
+}
+
+function placeGroundItem(spawn, blockPos) {
+    if (!isPassEnabled("items")) {
+        return;
+    }
+
+    var itemMapping = blockMapping.items[spawn.id];
+    if (!itemMapping) {
+        printUnknown("Unknown item type", spawn.id);
+        setBlock(blockPos, getBlock(blockMapping.unknown.item));
+        return;
+    }
+
+    if (!itemMapping.item) {
+        setBlock(blockPos, getBlock(itemMapping.block || blockMapping.unknown.item));
+        return;
+    }
+
+    // The item count was renamed in 1.20.5, so we give both
+    var count = Math.min(spawn.amount, MAX_ITEM_STACK);
+    var item = createCompoundTag({
+        id: new StringTag(getNamespacedId(itemMapping.item)),
+        Count: new ByteTag(count),
+        count: new IntTag(count)
+    });
+
+    // Facing 1 is up, i.e. lying on the block below
+    spawnEntity(blockPos, "item_frame", {
+        Facing: new ByteTag(1),
+        Item: item,
+        Tags: createSpawnTags("items", spawn.layer)
+    });
+}
+
+function spawnEntity(blockPos, entityId, tags) {
+    // Entities stand in the middle of the block. Unlike blocks, they don't
+    // need rotating along with the world.
+    var entityType = EntityTypes.get(getNamespacedId(entityId));
+    if (!entityType) {
+        printUnknown("Unknown entity type", entityId);
+        return;
+    }
+    var worldPos = mapToWorld(blockPos);
+    var location = new Location(blocks,
+            Vector3.at(worldPos.getX() + 0.5, worldPos.getY(), worldPos.getZ() + 0.5));
+    blocks.createEntity(location, new BaseEntity(entityType, createCompoundTag(tags)));
+}
+
+function createCompoundTag(tags) {
+    var map = new java.util.HashMap();
+    for (var name in tags) {
+        map.put(name, tags[name]);
+    }
+    return new CompoundTag(map);
+}
+
+function getNamespacedId(id) {
+    return id.indexOf(":") < 0 ? "minecraft:" + id : id;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Regions
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Regions (see the "regions" section of the block mapping) cover parts of the
+ * surface, such as Karamja or the Wilderness. Each tile belongs to the first
+ * region whose area contains it, or failing that, the first region with no
+ * area at all. Regions decide the biome of each column (so that grass colours
+ * and weather match), and which trees grow there.
+ */
+
+// Minecraft stores biomes in cells of 4x4x4 blocks, so there is no need to set
+// the biome of every block
+const BIOME_CELL_SIZE = 4;
+
+function findRegion(rscCoords) {
+    var fallback = null;
+    for (var key in blockMapping.regions) {
+        var region = blockMapping.regions[key];
+        if (!region.area) {
+            fallback = fallback || region;
+        } else if (isInsidePolygon(rscCoords.x, rscCoords.y, region.area)) {
+            return region;
+        }
+    }
+    return fallback;
+}
+
+function isInsidePolygon(x, y, polygon) {
+    // Counts how many edges a line running from the point crosses; an odd
+    // number means the point is inside. Tiles are tested at their centres, so
+    // they never sit exactly on an edge.
+    x += 0.5;
+    y += 0.5;
+    var inside = false;
+    for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        var xi = polygon[i][0];
+        var yi = polygon[i][1];
+        var xj = polygon[j][0];
+        var yj = polygon[j][1];
+        if ((yi > y) !== (yj > y) && x < xi + (y - yi) / (yj - yi) * (xj - xi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function getRegionTrees(treeTypes, groundPos) {
+    // Trees can be swapped for ones that suit the region, e.g. oak trees
+    // become jungle trees in Karamja
+    var worldTile = getWorldTileForBlockPos(groundPos);
+    var tile = getWorldTile(0, worldTile[0], worldTile[1]);
+    var region = tile && tile.mc.region;
+    if (!region || !region.trees) {
+        return treeTypes;
+    }
+
+    var regionTrees = [];
+    for (var i = 0; i < treeTypes.length; i++) {
+        regionTrees = regionTrees.concat(region.trees[treeTypes[i]] || [treeTypes[i]]);
+    }
+    return regionTrees;
+}
+
+function setBiomes(sectorMinBlockPos, sector, tileX, tileY) {
+    var region = sector[0][tileX][tileY].mc.region;
+    if (!region || !region.biome) {
+        return;
+    }
+
+    var biome = getBiome(region.biome);
+    if (!biome) {
+        return;
+    }
+
+    // Every storey of the surface shares the same biome
+    var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
+    for (var x = 0; x < worldTransform.scale; x++) {
+        for (var z = 0; z < worldTransform.scale; z++) {
+            for (var y = 0; y < SCHEMATIC_HEIGHT; y += BIOME_CELL_SIZE) {
+                blocks.setBiome(mapToWorld(blockPos.add(x, y, z)), biome);
+            }
+        }
+    }
+}
+
+function getBiome(biomeId) {
+    if (!(biomeId in biomeCache)) {
+        biomeCache[biomeId] = BiomeTypes.get(getNamespacedId(biomeId));
+        if (!biomeCache[biomeId]) {
+            printUnknown("Unknown biome", biomeId);
+        }
+    }
+    return biomeCache[biomeId];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Block mapping
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Blocks used to represent each RSC terrain colour, overlay, wall, roof,
+ * object, NPC and ground item, along with the regions of the map. Any of these
+ * can be overridden by a JSON file with the same structure, passed using
+ * `--mapping=<file>`; entries in the file replace the default entries with the
+ * same ID.
+ *
+ * Block strings may contain the following placeholders:
+ * - {facing}:      Direction the wall faces (e.g. "north").
+ * - {connections}: Pane / bar connections running along the wall
+ *                  (e.g. "east=true,west=true").
+ */
+const DEFAULT_BLOCK_MAPPING = {
+
+    // Each tile uses the block whose average colour is closest to the tile's
+    // colour in the RSC terrain palette.
+    // Fields:
+    // - dither: Whether to mix blocks where the palette changes from one
+    //           block to another, for smoother gradients.
+    // - blocks: Candidate blocks (with average top-face colours). `support`
+    //           is used for the blocks underneath, if different, and `half`
+    //           is placed on top for half steps on smooth terrain (if
+    //           missing, the ground is rounded down instead).
+    "terrain": {
+        "dither": true,
+        "blocks": [
+            { "block": "snow_block", "colour": [249, 254, 254], "half": "snow[layers=4]" },
+            { "block": "calcite", "colour": [223, 224, 221], "half": "smooth_quartz_slab" },
+            { "block": "grass_block", "colour": [106, 170, 64], "half": "moss_carpet" },
+            { "block": "moss_block", "colour": [89, 109, 45], "half": "moss_carpet" },
+            { "block": "green_concrete_powder", "colour": [97, 119, 45], "half": "moss_carpet" },
+            { "block": "green_terracotta", "colour": [76, 83, 42], "half": "moss_carpet" },
+            { "block": "dirt_path", "colour": [148, 122, 65], "support": "dirt", "half": "mud_brick_slab" },
+            { "block": "dirt", "colour": [134, 96, 67], "half": "mud_brick_slab" },
+            { "block": "coarse_dirt", "colour": [119, 86, 59], "half": "mud_brick_slab" },
+            { "block": "podzol", "colour": [91, 63, 24], "half": "spruce_slab" }
+        ]
+    },
+
+    // Fields:
+    // - block:         Block to place.
+    // - replaceGround: Whether the overlay replaces the ground block, rather
+    //                  than sitting on top of it (default: true).
+    // - atSeaLevel:    Places the overlay at sea level, raising or lowering
+    //                  the ground to suit. Rivers (water with land close by on
+    //                  both sides) instead take the place of the ground block
+    //                  of their lowest bank, as long as it is above the sea.
+    // - water:         Makes the overlay a body of water, which gets deeper
+    //                  further from the shore. `floors` are the blocks at the
+    //                  bottom, by depth (the last is used for anything
+    //                  deeper), and `shore` replaces any of the terrain
+    //                  blocks in `replaces` on the land beside it.
+    // - cliff:         Makes the overlay a rock face, built from a random mix
+    //                  of `blocks`, with the overlay on top. It rises to the
+    //                  highest ground nearby, or `height` blocks above the
+    //                  ground if given.
+    // - indoors:       Whether the tile counts as indoors, for wall placement.
+    // - isVoid:        Whether the tile is unused (ignored on upper storeys).
+    "overlays": {
+        "1": { "name": "Path", "block": "gravel" },
+        "2": {
+            "name": "Water", "block": "water", "replaceGround": false, "atSeaLevel": true,
+            "water": {
+                "floors": ["sand", "sand", "gravel", "gravel", "clay"],
+                "shore": {
+                    "block": "sand",
+                    "replaces": ["grass_block", "moss_block", "green_concrete_powder", "dirt_path", "dirt", "coarse_dirt"]
+                }
+            }
+        },
+        "3": { "name": "Wood floor", "block": "spruce_planks", "indoors": true },
+        "4": { "name": "Bridge (needs to blend with wood floor, above)", "block": "dark_oak_planks" },
+        "5": { "name": "Swamp", "block": "smooth_stone" },
+        "6": { "name": "Red carpet", "block": "red_wool", "indoors": true },
+        "7": { "name": "Floor tiles", "block": "muddy_mangrove_roots", "indoors": true },
+        "8": { "name": "Void", "block": "black_concrete", "isVoid": true },
+        "9": {
+            "name": "Cliff", "block": "andesite",
+            "cliff": { "blocks": ["stone", "stone", "andesite", "cobblestone", "tuff"] }
+        },
+        "11": { "name": "Lava", "block": "lava" },
+        "12": { "name": "Sloped bridge (Mage Arena)", "block": "spruce_planks" },
+        "13": { "name": "Cyan carpet", "block": "cyan_wool", "indoors": true },
+        "14": { "name": "Star summoning circle", "block": "gray_glazed_terracotta", "indoors": true },
+        "15": { "name": "Purple carpet", "block": "purple_wool", "indoors": true },
+        "16": { "name": "Digsite hole (?)", "block": "black_concrete", "isVoid": true },
+        "17": { "name": "Marble", "block": "chiseled_quartz_block" },
+        "18": { "name": "Tree Gnome Village floor", "block": "spruce_planks" },
+        // (not sure what this is supposed to be exactly)
+        "19": { "name": "Natural bridge (south of Tai Bwo Wannai)", "block": "gravel" },
+        "20": { "name": "Log bridge", "block": "oak_log" },
+        "21": { "name": "Log bridge", "block": "oak_log" },
+        "23": { "name": "Digsite", "block": "brown_wool" },
+        "24": {
+            "name": "Cliff (mud)", "block": "packed_mud",
+            "cliff": { "blocks": ["packed_mud", "packed_mud", "brown_terracotta", "terracotta"] }
+        },
+        "250": { "name": "Out of bounds area", "block": "black_concrete" }
+    },
+
+    // Fields:
+    // - block:             Block to place.
+    // - height:            Wall height, or "random" (default: WALL_HEIGHT).
+    // - door:              Door block, in a material to suit the walls the
+    //                      door type is found in; the rest of the wall tries
+    //                      to blend in with its neighbours. Neighbouring
+    //                      doorways make double doors.
+    // - window:            Block to place in the middle of the wall.
+    // - diagonalWindow:    Window block to use for diagonal walls.
+    // - corner:            Block to place at regular intervals (e.g. beams).
+    // - gate:              For fences, the gate to use in any gaps; for gaps,
+    //                      the gate to use if there is no fence nearby.
+    // - gap:               Whether this is a gap in a fence, to be filled
+    //                      with a gate.
+    // - ensureAboveGround: Whether the wall starts above ground, rather than
+    //                      extending underground.
+    "walls": {
+        "1": { "name": "Stone wall", "block": "stone_bricks" },
+        "2": { "name": "Doorway", "door": "oak_door" },
+        "3": { "name": "Doorway", "door": "oak_door" },
+        "4": { "name": "Stone wall window", "block": "stone_bricks", "window": "glass_pane[{connections}]", "diagonalWindow": "glass" },
+        "5": { "name": "Wooden fence", "block": "jungle_fence", "height": 2, "gate": "jungle_fence_gate", "ensureAboveGround": true },
+        // Minecraft has no metal gates, so this is the closest match
+        "6": { "name": "Metal fence", "block": "iron_bars", "height": 2, "gate": "dark_oak_fence_gate", "ensureAboveGround": true },
+        "7": { "name": "Stained glass window", "block": "stone_bricks", "window": "glass_pane[{connections}]", "diagonalWindow": "glass" },
+        "8": { "name": "Stone wall (extra tall?)", "block": "stone_bricks" },
+        "9": { "name": "Doorway (tall stone wall)", "door": "dark_oak_door" },
+        "11": { "name": "Stone fence (short)", "block": "stone_brick_wall", "height": 1, "ensureAboveGround": true },
+        "14": { "name": "Stone wall window", "block": "stone_bricks", "window": "glass_pane[{connections}]", "diagonalWindow": "glass" },
+        "15": { "name": "Plaster / panelled wall", "block": "mushroom_stem", "corner": "stripped_jungle_log" },
+        "16": { "name": "Panelled window", "block": "mushroom_stem", "corner": "stripped_jungle_log", "window": "jungle_trapdoor[open=true,facing={facing}]" },
+        "17": { "name": "Opening (with overhang above)", "block": "air", "ensureAboveGround": true },
+        "19": { "name": "Slimy wall", "block": "mossy_stone_bricks" },
+        "23": { "name": "Odd looking wall (secret door)", "door": "oak_door" },
+        "24": { "name": "Doorway", "door": "oak_door" },
+        "25": { "name": "Invisible? (Wilderness, Deserted Keep)", "block": "air", "ensureAboveGround": true },
+        "31": { "name": "Doorway (metal fence)", "door": "iron_door" },
+        "33": { "name": "Doorway", "door": "oak_door" },
+        "35": { "name": "Stone wall window (arch)", "block": "stone_bricks", "window": "air" },
+        "37": { "name": "Doorway", "door": "oak_door" },
+        "38": { "name": "Doorway", "door": "oak_door" },
+        "39": { "name": "Doorway", "door": "oak_door" },
+        "40": { "name": "Doorway", "door": "oak_door" },
+        "41": { "name": "Doorway", "door": "oak_door" },
+        "42": { "name": "Broken stone wall", "block": "cracked_stone_bricks", "height": "random" },
+        "43": { "name": "Brick wall (Shantay Pass)", "block": "granite" },
+        "44": { "name": "Doorway (panelled wall)", "door": "jungle_door" },
+        "45": { "name": "Doorway (panelled wall)", "door": "jungle_door" },
+        "49": { "name": "Doorway", "door": "oak_door" },
+        "50": { "name": "Doorway", "door": "oak_door" },
+        "51": { "name": "Doorway", "door": "oak_door" },
+        "55": { "name": "Doorway", "door": "oak_door" },
+        "57": { "name": "Wooden wall", "block": "spruce_planks", "ensureAboveGround": true },
+        "61": { "name": "Doorway", "door": "oak_door" },
+        "63": { "name": "Stone fence", "block": "stone_brick_wall", "height": 2, "ensureAboveGround": true },
+        "67": { "name": "Doorway (wooden wall)", "door": "spruce_door" },
+        "69": { "name": "Doorway (Crafting Guild)", "door": "oak_door" },
+        "75": { "name": "Doorway", "door": "oak_door" },
+        "76": { "name": "Doorway", "door": "oak_door" },
+        "77": { "name": "Interior stone wall (Brimhaven)", "block": "stone_bricks" },
+        "78": { "name": "Doorway", "door": "oak_door" },
+        "79": { "name": "Doorway (panelled wall)", "door": "jungle_door" },
+        "80": { "name": "Strange panel (secret door)", "door": "jungle_door" },
+        "81": { "name": "Doorway", "door": "oak_door" },
+        "82": { "name": "Doorway", "door": "oak_door" },
+        "83": { "name": "Doorway", "door": "oak_door" },
+        "87": { "name": "Invisible wall", "block": "barrier", "ensureAboveGround": true },
+        "94": { "name": "Doorway", "door": "oak_door" },
+        "95": { "name": "Doorway", "door": "oak_door" },
+        "97": { "name": "Doorway", "door": "oak_door" },
+        "98": { "name": "Doorway", "door": "oak_door" },
+        "99": { "name": "Doorway", "door": "oak_door" },
+        "100": { "name": "Doorway", "door": "oak_door" },
+        "101": { "name": "Doorway", "door": "oak_door" },
+        "102": { "name": "Gap in fence", "block": "air", "gap": true, "gate": "oak_fence_gate", "ensureAboveGround": true },
+        "110": { "name": "Doorway", "door": "oak_door" },
+        "111": { "name": "Doorway", "door": "oak_door" },
+        "113": { "name": "Doorway", "door": "oak_door" },
+        "114": { "name": "Doorway", "door": "oak_door" },
+        "115": { "name": "Doorway", "door": "oak_door" },
+        "116": { "name": "Doorway", "door": "oak_door" },
+        "117": { "name": "Draynor Manor - upper wall (?)", "block": "stone_bricks" },
+        "120": { "name": "Wooden wall", "block": "spruce_planks", "ensureAboveGround": true },
+        "121": { "name": "Doorway", "door": "oak_door" },
+        "123": { "name": "Doorway (panelled wall)", "door": "jungle_door" },
+        "124": { "name": "Doorway", "door": "oak_door" },
+        "127": { "name": "Wooden wall - glass window", "block": "spruce_planks", "window": "glass_pane[{connections}]" },
+        "128": { "name": "Wooden fence (extra short)", "block": "jungle_fence", "height": 1, "gate": "jungle_fence_gate", "ensureAboveGround": true },
+        "139": { "name": "Doorway", "door": "oak_door" },
+        "142": { "name": "Doorway", "door": "oak_door" },
+        "145": { "name": "Wooden wall - wood window", "block": "spruce_planks", "window": "oak_trapdoor[open=true,facing={facing}]" },
+        "146": { "name": "Doorway", "door": "oak_door" },
+        "147": { "name": "Doorway", "door": "oak_door" },
+        "148": { "name": "Opening (Yanille tower)", "block": "air", "ensureAboveGround": true },
+        "149": { "name": "Opening (Yanille tower)", "block": "air", "ensureAboveGround": true },
+        "150": { "name": "Opening (Yanille tower)", "block": "air", "ensureAboveGround": true },
+        "151": { "name": "Doorway (wooden wall)", "door": "spruce_door" },
+        "153": { "name": "Doorway", "door": "oak_door" },
+        "162": { "name": "Doorway (wooden wall)", "door": "spruce_door" },
+        "164": { "name": "Agility training area wall (?)", "block": "stone_bricks" },
+        "165": { "name": "Agility training area wall (?)", "block": "stone_bricks" },
+        "166": { "name": "Blacksmith's door", "door": "spruce_door" },
+        "176": { "name": "Straw hut wall", "block": "smooth_sandstone" },
+        "177": { "name": "Opening (with overhang above)", "block": "air", "ensureAboveGround": true },
+        "178": { "name": "Jail door", "door": "iron_door" },
+        "179": { "name": "Barred window", "block": "stone_bricks", "window": "iron_bars[{connections}]", "diagonalWindow": "iron_bars" },
+        "182": { "name": "Fence, east of Baxtorian falls (doesn't appear in world viewer!)", "block": "iron_bars", "height": 2, "gate": "dark_oak_fence_gate", "ensureAboveGround": true },
+        "183": { "name": "Fence, east of Baxtorian falls (doesn't appear in world viewer!)", "block": "iron_bars", "height": 2, "gate": "dark_oak_fence_gate", "ensureAboveGround": true },
+        "184": { "name": "Fence, east of Baxtorian falls (doesn't appear in world viewer!)", "block": "iron_bars", "height": 2, "gate": "dark_oak_fence_gate", "ensureAboveGround": true },
+        "185": { "name": "Fence, east of Baxtorian falls (doesn't appear in world viewer!)", "block": "iron_bars", "height": 2, "gate": "dark_oak_fence_gate", "ensureAboveGround": true },
+        "186": { "name": "Fence, east of Baxtorian falls (doesn't appear in world viewer!)", "block": "iron_bars", "height": 2, "gate": "dark_oak_fence_gate", "ensureAboveGround": true },
+        "187": { "name": "Fence, east of Baxtorian falls (doesn't appear in world viewer!)", "block": "iron_bars", "height": 2, "gate": "dark_oak_fence_gate", "ensureAboveGround": true },
+        "194": { "name": "Fence, east of Baxtorian falls (doesn't appear in world viewer!)", "block": "iron_bars", "height": 2, "gate": "dark_oak_fence_gate", "ensureAboveGround": true },
+        "195": { "name": "Doorway", "door": "oak_door" },
+        "196": { "name": "Battlement", "block": "stone_brick_wall", "height": 1, "ensureAboveGround": true },
+        "197": { "name": "Tent door", "door": "birch_door" },
+        "198": { "name": "Doorway", "door": "oak_door" },
+        "199": { "name": "Straw hut door", "door": "birch_door" },
+        "200": { "name": "Gap in fence", "block": "air", "gap": true, "gate": "oak_fence_gate", "ensureAboveGround": true },
+        "202": { "name": "Broken bridge south of Yanille (?)", "block": "iron_bars", "height": 2, "ensureAboveGround": true },
+        "206": { "name": "Stone wall window", "block": "stone_bricks", "window": "glass_pane[{connections}]", "diagonalWindow": "glass" }
+    },
+
+    // Fields:
+    // - block:  Block to place along the ridge, and to fill in the gable ends.
+    // - stairs: Stairs block to place on the slopes of steep roofs.
+    // - slab:   Slab block to place on the slopes of shallow roofs.
+    // - shape:  "gabled" (the default) or "hipped".
+    "roofs": {
+        "1": { "name": "Normal tile roof", "block": "polished_granite", "stairs": "polished_granite_stairs", "slab": "polished_granite_slab", "shape": "gabled" },
+        "2": { "name": "Wooden roof", "block": "spruce_planks", "stairs": "spruce_stairs", "slab": "spruce_slab", "shape": "gabled" },
+        "3": { "name": "Gray slate (exam centre)", "block": "cobbled_deepslate", "stairs": "cobbled_deepslate_stairs", "slab": "cobbled_deepslate_slab", "shape": "hipped" },
+        "6": { "name": "Straw roof (Shantay Pass)", "block": "smooth_sandstone", "stairs": "smooth_sandstone_stairs", "slab": "smooth_sandstone_slab", "shape": "hipped" }
+    },
+
+    // Objects, keyed by object ID: one more than the ID in the client's object
+    // definitions, which is where their names and sizes come from.
+    // Fields:
+    // - block:    Block to place.
+    // - blocks:   Blocks to stack on top of each other.
+    // - width / height:
+    //             Size of the object in tiles (default: 1), extending to the
+    //             west and south of its tile; `block` or `blocks` are placed
+    //             across all of it.
+    // - template: Layout of the object, from the bottom up: `layers` of rows
+    //             (back to front) of keys into `blocks` (left to right).
+    //             Other keys, such as spaces, are left empty.
+    // - tree:     Tree types to choose from at random (see `TREE_SHAPES`);
+    //             if the chosen type is unknown, `block` is placed instead.
+    // - gate:     Whether this is a gate, to be placed on a neighbouring fence
+    //             (in the style of that fence); if there is no fence, `block`
+    //             is placed instead.
+    // - door:     Door block, to be placed as an open double door on a
+    //             neighbouring wall; if there is no wall, `block` is placed
+    //             instead.
+    // - climb:    For ladders and staircases, whether they lead "up" to the
+    //             next storey or "down" to the one below (from the ground
+    //             floor, this is the underground layer); if there is no such
+    //             storey, `block` is placed instead.
+    // - stairs:   Stairs block for a staircase, which runs along a wall of
+    //             the lower storey.
+    // - ladder:   Ladder block, placed against a wall of the lower storey
+    //             (default: "ladder"); also used for staircases that go
+    //             underground, since they would be far too long.
+    // Blocks can include "{facing}" for the way the object faces, or
+    // "{back}" for the opposite way (e.g. for the back of a chair).
+    "objects": {
+        "1": { "name": "Tree", "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "2": { "name": "Tree", "tree": ["oak"], "block": "dead_bush" },
+        "3": { "name": "Well", "width": 2, "height": 2, "block": "water_cauldron[level=3]" },
+        "4": { "name": "Table", "block": "crafting_table" },
+        "5": { "name": "Treestump", "block": "oak_log" },
+        "6": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "7": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "8": { "name": "Chair", "block": "oak_stairs[facing={back}]" },
+        "9": { "name": "Logs", "block": "oak_wood" },
+        "10": { "name": "Longtable", "width": 4, "block": "oak_planks" },
+        "11": { "name": "Throne", "block": "dark_oak_stairs[facing={back}]" },
+        "12": { "name": "Range", "height": 2, "block": "smoker[facing={facing}]" },
+        "13": { "name": "Gravestone", "block": "cobblestone_wall" },
+        "14": { "name": "Gravestone", "block": "mossy_cobblestone_wall" },
+        "15": {
+            "name": "Bed", "width": 2, "height": 3,
+            "template": {
+                "blocks": { "H": "red_bed[facing={back},part=head]", "F": "red_bed[facing={back},part=foot]" },
+                "layers": [["HH", "FF"]]
+            }
+        },
+        "16": {
+            "name": "Bed", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "H": "red_bed[facing={back},part=head]", "F": "red_bed[facing={back},part=foot]" },
+                "layers": [["H", "F"]]
+            }
+        },
+        "17": { "name": "Bar", "block": "dark_oak_planks" },
+        "18": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "19": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "20": {
+            "name": "Altar", "width": 2,
+            "template": {
+                "blocks": { "W": "white_wool", "C": "white_candle[lit=true,candles=3]" },
+                "layers": [["WW"], ["CC"]]
+            }
+        },
+        "21": { "name": "Post", "block": "smooth_stone" },
+        "22": { "name": "Support", "blocks": ["oak_fence", "oak_fence", "oak_fence", "oak_fence"] },
+        "23": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "24": { "name": "Bench", "width": 2, "block": "oak_stairs[facing={back}]" },
+        "25": { "name": "Portrait", "block": "air" },
+        "26": { "name": "Candles", "blocks": ["end_rod[facing=down]", "white_candle[lit=true]"] },
+        "27": { "name": "Fountain", "width": 2, "height": 2, "block": "water_cauldron[level=3]" },
+        "28": { "name": "Landscape", "block": "air" },
+        "29": {
+            "name": "Millstones", "width": 3, "height": 3,
+            "template": {
+                "blocks": { "S": "smooth_stone_slab", "G": "grindstone[face=floor,facing={facing}]" },
+                "layers": [["SSS", "SGS", "SSS"]]
+            }
+        },
+        "30": { "name": "Counter", "width": 2, "block": "oak_planks" },
+        "31": {
+            "name": "Stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "red_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "32": { "name": "Target", "blocks": ["hay_block", "target"] },
+        "33": { "name": "PalmTree", "tree": ["jungle"], "block": "dead_bush" },
+        "34": { "name": "PalmTree", "tree": ["jungle"], "block": "dead_bush" },
+        "35": { "name": "Fern", "block": "fern" },
+        "36": { "name": "Cactus", "blocks": ["cactus", "cactus"] },
+        "37": { "name": "Bullrushes", "block": "sugar_cane" },
+        "38": { "name": "Flower", "block": "poppy" },
+        "39": { "name": "Mushroom", "block": "brown_mushroom" },
+        "40": {
+            "name": "Coffin", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "C": "dark_oak_slab" },
+                "layers": [["C", "C"]]
+            }
+        },
+        "41": {
+            "name": "Coffin (open)", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "C": "dark_oak_trapdoor[half=bottom,open=true,facing={facing}]" },
+                "layers": [["C", "C"]]
+            }
+        },
+        "42": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "up" },
+        "43": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "down" },
+        "44": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "up" },
+        "45": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "down" },
+        "46": { "name": "Railing", "block": "jungle_fence" },
+        "47": { "name": "Pillar", "blocks": ["stone_brick_wall", "stone_brick_wall", "stone_brick_wall", "stone_brick_wall"] },
+        "48": { "name": "Bookcase", "height": 2, "blocks": ["bookshelf", "bookshelf"] },
+        "49": { "name": "Sink", "height": 2, "block": "water_cauldron[level=1]" },
+        "50": { "name": "Dummy", "blocks": ["oak_fence", "hay_block", "carved_pumpkin[facing={facing}]"] },
+        "51": { "name": "Anvil", "block": "anvil[facing={facing}]" },
+        "52": { "name": "Torch", "block": "torch" },
+        "53": { "name": "Hopper", "width": 2, "height": 2, "block": "hopper" },
+        "54": { "name": "Chute", "width": 2, "height": 2, "block": "hopper" },
+        "55": { "name": "Cart", "width": 2, "height": 3, "block": "spruce_slab[type=top]" },
+        "56": { "name": "Sacks", "block": "brown_wool" },
+        "57": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "58": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "59": { "name": "Gate (open)", "block": "oak_fence_gate", "gate": true },
+        "60": { "name": "Gate (open)", "block": "oak_fence_gate", "gate": true },
+        "61": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "62": { "name": "Signpost", "block": "oak_sign" },
+        "63": { "name": "Signpost", "block": "oak_sign" },
+        "64": { "name": "Doors (open)", "block": "air", "door": "oak_door" },
+        "65": { "name": "Doors", "block": "air", "door": "oak_door" },
+        "66": { "name": "Signpost", "block": "oak_sign" },
+        "67": { "name": "Signpost", "block": "oak_sign" },
+        "68": { "name": "Bookcase", "height": 2, "blocks": ["bookshelf", "bookshelf"] },
+        "69": { "name": "Henge", "width": 2, "height": 2, "blocks": ["mossy_stone_bricks", "mossy_stone_bricks"] },
+        "70": { "name": "Dolmen", "width": 2, "height": 2, "blocks": ["mossy_stone_bricks", "mossy_stone_bricks"] },
+        "71": { "name": "Tree", "tree": ["dead"], "block": "dead_bush" },
+        "72": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "73": { "name": "Wheat", "block": "wheat[age=7]" },
+        "74": { "name": "Sign", "block": "oak_sign" },
+        "75": { "name": "Sails", "block": "air" },
+        "76": { "name": "Sign", "block": "oak_sign" },
+        "77": { "name": "Sign", "block": "oak_sign" },
+        "78": { "name": "Drain", "block": "iron_trapdoor[half=bottom]" },
+        "79": { "name": "Manhole", "block": "iron_trapdoor[half=bottom]" },
+        "80": { "name": "Manhole", "block": "iron_trapdoor[half=bottom,open=true,facing={facing}]" },
+        "81": { "name": "Pipe", "block": "cauldron" },
+        "82": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "83": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "84": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "85": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "86": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "87": { "name": "Fountain", "width": 2, "height": 2, "block": "water_cauldron[level=3]" },
+        "88": { "name": "Signpost", "block": "oak_sign" },
+        "89": { "name": "Tree", "tree": ["dead"], "block": "dead_bush" },
+        "90": { "name": "Sign", "block": "oak_sign" },
+        "91": { "name": "Sign", "block": "oak_sign" },
+        "92": { "name": "Sign", "block": "oak_sign" },
+        "93": { "name": "Sign", "block": "oak_sign" },
+        "94": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "95": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "96": { "name": "Sign", "block": "oak_sign" },
+        "97": { "name": "Sign", "block": "oak_sign" },
+        "98": { "name": "Fire", "block": "campfire" },
+        "99": { "name": "Rock", "block": "stone" },
+        "100": { "name": "Rock", "block": "stone" },
+        "101": { "name": "Rock", "block": "stone" },
+        "102": { "name": "Rock", "block": "stone" },
+        "103": { "name": "Rock", "block": "stone" },
+        "104": { "name": "Rock", "block": "stone" },
+        "105": { "name": "Rock", "block": "stone" },
+        "106": { "name": "Rock", "block": "stone" },
+        "107": { "name": "Rock", "block": "stone" },
+        "108": { "name": "Rock", "block": "stone" },
+        "109": { "name": "Rock", "block": "stone" },
+        "110": { "name": "Rock", "block": "stone" },
+        "111": { "name": "Rock", "block": "stone" },
+        "112": { "name": "Rock", "block": "stone" },
+        "113": { "name": "Rock", "block": "stone" },
+        "114": { "name": "Rock", "block": "stone" },
+        "115": { "name": "Rock", "block": "stone" },
+        "116": { "name": "Rock", "block": "stone" },
+        "117": { "name": "Web", "block": "cobweb" },
+        "118": { "name": "Web", "block": "cobweb" },
+        "119": {
+            "name": "Furnace", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "B": "bricks", "F": "furnace[facing={facing}]" },
+                "layers": [["BB", "FF"], ["BB", "BB"]]
+            }
+        },
+        "120": { "name": "Cook's Range", "height": 2, "block": "smoker[facing={facing}]" },
+        "121": { "name": "Machine", "width": 2, "height": 2, "block": "piston[facing=up]" },
+        "122": { "name": "Spinning wheel", "block": "loom[facing={facing}]" },
+        "123": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "124": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "125": { "name": "LeverA", "block": "lever[face=floor,facing={facing}]" },
+        "126": { "name": "LeverB", "block": "lever[face=floor,facing={facing}]" },
+        "127": { "name": "LeverC", "block": "lever[face=floor,facing={facing}]" },
+        "128": { "name": "LeverD", "block": "lever[face=floor,facing={facing}]" },
+        "129": { "name": "LeverE", "block": "lever[face=floor,facing={facing}]" },
+        "130": { "name": "LeverF", "block": "lever[face=floor,facing={facing}]" },
+        "131": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "132": { "name": "Signpost", "block": "oak_sign" },
+        "133": { "name": "Signpost", "block": "oak_sign" },
+        "134": { "name": "Signpost", "block": "oak_sign" },
+        "135": { "name": "Compost Heap", "width": 2, "height": 2, "block": "composter" },
+        "136": {
+            "name": "Coffin", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "C": "dark_oak_slab" },
+                "layers": [["C", "C"]]
+            }
+        },
+        "137": {
+            "name": "Coffin (open)", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "C": "dark_oak_trapdoor[half=bottom,open=true,facing={facing}]" },
+                "layers": [["C", "C"]]
+            }
+        },
+        "138": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "139": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "140": { "name": "Sign", "block": "oak_sign" },
+        "141": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "142": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "143": { "name": "Doors", "block": "air", "door": "oak_door" },
+        "144": { "name": "Torch", "block": "torch" },
+        "145": {
+            "name": "Altar", "width": 2,
+            "template": {
+                "blocks": { "W": "red_wool", "C": "white_candle[lit=true,candles=3]" },
+                "layers": [["WW"], ["CC"]]
+            }
+        },
+        "146": { "name": "Shield", "block": "air" },
+        "147": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "148": { "name": "Cauldron", "block": "water_cauldron[level=3]" },
+        "149": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "150": { "name": "Mine Cart", "block": "cauldron" },
+        "151": { "name": "Buffers", "block": "oak_fence" },
+        "152": { "name": "Track", "width": 2, "height": 2, "block": "rail" },
+        "153": { "name": "Track", "width": 2, "height": 2, "block": "rail" },
+        "154": { "name": "Track", "block": "rail" },
+        "155": { "name": "Hole", "block": "black_concrete" },
+        "156": { "name": "Ship", "block": "air" },
+        "157": { "name": "Ship", "block": "air" },
+        "158": { "name": "Ship", "block": "air" },
+        "159": { "name": "Emergency escape ladder", "block": "ladder", "climb": "down" },
+        "160": { "name": "Sign", "block": "oak_sign" },
+        "161": { "name": "Sign", "block": "oak_sign" },
+        "162": { "name": "Ship", "block": "air" },
+        "163": { "name": "Ship", "block": "air" },
+        "164": { "name": "Ship", "block": "air" },
+        "165": { "name": "Rocks", "block": "stone" },
+        "166": { "name": "Rocks", "block": "stone" },
+        "167": { "name": "Rocks", "block": "stone" },
+        "168": { "name": "Rocks", "block": "stone" },
+        "169": { "name": "Rocks", "block": "stone" },
+        "170": { "name": "Rocks", "block": "stone" },
+        "171": { "name": "Rocks", "block": "stone" },
+        "172": { "name": "Rocks", "block": "stone" },
+        "173": { "name": "Rocks", "block": "stone" },
+        "174": { "name": "Hopper", "width": 2, "height": 2, "block": "hopper" },
+        "175": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "176": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "177": { "name": "Rocks", "block": "stone" },
+        "178": { "name": "Doric's anvil", "block": "anvil[facing={facing}]" },
+        "179": {
+            "name": "Pottery oven", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "B": "bricks", "F": "blast_furnace[facing={facing}]" },
+                "layers": [["BB", "FF"], ["BB", "BB"]]
+            }
+        },
+        "180": { "name": "Potter's wheel", "block": "stonecutter[facing={facing}]" },
+        "181": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "182": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "183": { "name": "Crate", "block": "composter" },
+        "184": { "name": "Banana tree", "tree": ["jungle"], "block": "dead_bush" },
+        "185": { "name": "Banana tree", "tree": ["jungle"], "block": "dead_bush" },
+        "186": { "name": "Crate", "block": "composter" },
+        "187": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "188": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "189": { "name": "Flower", "block": "poppy" },
+        "190": { "name": "Sign", "block": "oak_sign" },
+        "191": { "name": "Sign", "block": "oak_sign" },
+        "192": { "name": "Potato", "block": "potatoes[age=7]" },
+        "193": { "name": "Fish", "block": "air" },
+        "194": { "name": "Fish", "block": "air" },
+        "195": { "name": "Fish", "block": "air" },
+        "196": { "name": "Rock", "block": "stone" },
+        "197": { "name": "Rock", "block": "stone" },
+        "198": { "name": "Rocks", "block": "stone" },
+        "199": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "200": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "201": {
+            "name": "Monks Altar", "width": 2,
+            "template": {
+                "blocks": { "W": "white_wool", "C": "white_candle[lit=true,candles=3]" },
+                "layers": [["WW"], ["CC"]]
+            }
+        },
+        "202": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "203": {
+            "name": "Coffin", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "C": "dark_oak_slab" },
+                "layers": [["C", "C"]]
+            }
+        },
+        "204": {
+            "name": "Coffin (open)", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "C": "dark_oak_trapdoor[half=bottom,open=true,facing={facing}]" },
+                "layers": [["C", "C"]]
+            }
+        },
+        "205": { "name": "Smashed table", "block": "crafting_table" },
+        "206": { "name": "Fungus", "block": "brown_mushroom" },
+        "207": { "name": "Smashed chair", "block": "oak_slab" },
+        "208": { "name": "Broken pillar", "blocks": ["stone_brick_wall", "stone_brick_wall"] },
+        "209": {
+            "name": "Fallen tree", "width": 3, "height": 2,
+            "template": {
+                "blocks": { "L": "oak_wood" },
+                "layers": [["LLL"]]
+            }
+        },
+        "210": { "name": "Danger Sign", "block": "oak_sign" },
+        "211": { "name": "Rock", "block": "stone" },
+        "212": { "name": "Rock", "block": "stone" },
+        "213": { "name": "Rocks", "block": "stone" },
+        "214": { "name": "Gravestone", "width": 2, "height": 2, "block": "cobblestone_wall" },
+        "215": { "name": "Bone", "block": "bone_block" },
+        "216": { "name": "Bone", "block": "bone_block" },
+        "217": { "name": "Carcass", "width": 2, "height": 2, "block": "bone_block" },
+        "218": { "name": "Animalskull", "block": "bone_block" },
+        "219": { "name": "Vine", "block": "vine" },
+        "220": { "name": "Vine", "block": "vine" },
+        "221": { "name": "Vine", "block": "vine" },
+        "222": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "223": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "224": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "225": { "name": "Ship", "block": "air" },
+        "226": { "name": "Ship", "block": "air" },
+        "227": { "name": "Hole", "block": "black_concrete" },
+        "228": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "229": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "230": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "231": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "232": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "233": { "name": "Hole", "block": "black_concrete" },
+        "234": { "name": "Ship", "block": "air" },
+        "235": { "name": "Ship", "block": "air" },
+        "236": { "name": "Altar of Guthix", "width": 2, "height": 2, "blocks": ["mossy_stone_bricks", "mossy_stone_bricks"] },
+        "237": { "name": "The Cauldron of Thunder", "block": "water_cauldron[level=3]" },
+        "238": { "name": "Tree (open)", "tree": ["oak"], "block": "dead_bush" },
+        "239": { "name": "Ship", "block": "air" },
+        "240": { "name": "Ship", "block": "air" },
+        "241": { "name": "Ship", "block": "air" },
+        "242": { "name": "Ship", "block": "air" },
+        "243": { "name": "Ship", "block": "air" },
+        "244": { "name": "Ship", "block": "air" },
+        "245": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "246": { "name": "Dramen Tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "247": { "name": "Hopper", "width": 2, "height": 2, "block": "hopper" },
+        "248": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "249": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "250": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "251": { "name": "Sign", "block": "oak_sign" },
+        "252": { "name": "Sign", "block": "oak_sign" },
+        "253": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "254": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "255": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "256": { "name": "Door mat (open)", "block": "air" },
+        "257": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "258": { "name": "Cauldron", "block": "water_cauldron[level=3]" },
+        "259": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "260": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "261": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "262": { "name": "Fish", "block": "air" },
+        "263": { "name": "Sign", "block": "oak_sign" },
+        "264": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "265": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "266": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "267": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "268": { "name": "Sign", "block": "oak_sign" },
+        "269": { "name": "Signpost", "block": "oak_sign" },
+        "270": { "name": "Rockslide", "block": "cobblestone" },
+        "271": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "272": { "name": "Fish", "block": "air" },
+        "273": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "274": { "name": "Table", "width": 2, "block": "oak_planks" },
+        "275": {
+            "name": "Fireplace", "width": 2,
+            "template": {
+                "blocks": { "B": "bricks", "F": "campfire" },
+                "layers": [["BB"], ["BB"]]
+            }
+        },
+        "276": { "name": "Egg", "block": "turtle_egg" },
+        "277": { "name": "Eggs", "block": "turtle_egg" },
+        "278": { "name": "Stalagmites", "block": "pointed_dripstone[vertical_direction=up]" },
+        "279": { "name": "Stool", "block": "oak_slab" },
+        "280": { "name": "Bench", "block": "oak_stairs[facing={back}]" },
+        "281": { "name": "Table", "width": 2, "height": 2, "block": "oak_planks" },
+        "282": { "name": "Table", "block": "crafting_table" },
+        "283": { "name": "Fountain of heros", "width": 2, "height": 2, "block": "water_cauldron[level=3]" },
+        "284": { "name": "Bush", "block": "oak_leaves[persistent=true]" },
+        "285": { "name": "Hedge", "block": "oak_leaves[persistent=true]" },
+        "286": { "name": "Flower", "block": "poppy" },
+        "287": { "name": "Plant", "block": "fern" },
+        "288": { "name": "Giant crystal", "width": 3, "height": 3, "block": "amethyst_block" },
+        "289": { "name": "Sign", "block": "oak_sign" },
+        "290": { "name": "Sign", "block": "oak_sign" },
+        "291": { "name": "Crate", "block": "composter" },
+        "292": { "name": "Crate", "block": "composter" },
+        "293": { "name": "Ship", "block": "air" },
+        "294": { "name": "Ship", "block": "air" },
+        "295": { "name": "Beehive", "blocks": ["oak_fence", "bee_nest[facing={facing}]"] },
+        "296": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "297": {
+            "name": "Altar", "width": 2,
+            "template": {
+                "blocks": { "W": "red_wool", "C": "white_candle[lit=true,candles=3]" },
+                "layers": [["WW"], ["CC"]]
+            }
+        },
+        "298": { "name": "Sign", "block": "oak_sign" },
+        "299": { "name": "Signpost", "block": "oak_sign" },
+        "301": { "name": "Obelisk of water", "blocks": ["quartz_pillar", "quartz_pillar", "quartz_pillar", "blue_stained_glass"] },
+        "302": { "name": "Obelisk of fire", "blocks": ["quartz_pillar", "quartz_pillar", "quartz_pillar", "red_stained_glass"] },
+        "304": { "name": "Obelisk of air", "blocks": ["quartz_pillar", "quartz_pillar", "quartz_pillar", "white_stained_glass"] },
+        "305": { "name": "Obelisk of earth", "blocks": ["quartz_pillar", "quartz_pillar", "quartz_pillar", "brown_stained_glass"] },
+        "306": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "307": { "name": "Oak Tree", "width": 2, "height": 2, "tree": ["oak"], "block": "dead_bush" },
+        "308": { "name": "Willow Tree", "width": 2, "height": 2, "tree": ["oak"], "block": "dead_bush" },
+        "309": { "name": "Maple Tree", "width": 2, "height": 2, "tree": ["birch"], "block": "dead_bush" },
+        "310": { "name": "Yew Tree", "width": 2, "height": 2, "tree": ["dark_oak"], "block": "dead_bush" },
+        "311": { "name": "Tree", "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "312": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "313": { "name": "Sign", "block": "oak_sign" },
+        "314": { "name": "Flax", "block": "cornflower" },
+        "315": { "name": "Large treestump", "width": 2, "height": 2, "block": "oak_log" },
+        "316": { "name": "Rocks", "block": "stone" },
+        "317": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "318": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "319": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "320": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "321": { "name": "Ship", "block": "air" },
+        "322": { "name": "Ship", "block": "air" },
+        "323": {
+            "name": "Bakers Stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "red_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "324": {
+            "name": "Silk Stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "red_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "325": {
+            "name": "Fur Stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "red_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "326": {
+            "name": "Silver Stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "red_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "327": {
+            "name": "Spices Stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "red_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "328": {
+            "name": "Gems Stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "red_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "329": { "name": "Crate", "block": "composter" },
+        "330": { "name": "Crate", "block": "composter" },
+        "331": { "name": "Sign", "block": "oak_sign" },
+        "332": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "up" },
+        "333": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "334": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "335": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "336": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "337": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "338": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "339": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "340": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "341": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "342": {
+            "name": "Empty stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "white_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "343": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "up" },
+        "344": { "name": "Hopper", "width": 2, "height": 2, "block": "hopper" },
+        "345": { "name": "Signpost", "block": "oak_sign" },
+        "346": { "name": "Sign", "block": "oak_sign" },
+        "347": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "348": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "349": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "350": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "351": { "name": "Pipe", "block": "cauldron" },
+        "352": { "name": "Fish", "block": "air" },
+        "353": { "name": "Fish", "block": "air" },
+        "354": { "name": "Fish", "block": "air" },
+        "355": { "name": "Fish", "block": "air" },
+        "356": { "name": "Vine", "block": "vine" },
+        "357": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "358": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "359": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "360": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "down" },
+        "361": { "name": "Broken cart", "width": 2, "height": 3, "block": "spruce_slab[type=top]" },
+        "362": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "369": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "370": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "up" },
+        "371": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "down" },
+        "372": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "373": { "name": "Gate (open)", "block": "oak_fence_gate", "gate": true },
+        "374": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "375": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "376": { "name": "Foodtrough", "width": 2, "block": "composter" },
+        "377": { "name": "Fish", "block": "air" },
+        "379": { "name": "Hornedskull", "width": 2, "height": 2, "block": "bone_block" },
+        "380": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "381": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "382": { "name": "Guardscupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "383": { "name": "Guardscupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "384": { "name": "Coal truck", "block": "cauldron" },
+        "385": { "name": "Ship", "block": "air" },
+        "386": { "name": "Ship", "block": "air" },
+        "387": { "name": "Ship", "block": "air" },
+        "388": { "name": "Tree", "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "391": { "name": "Spirit tree", "width": 2, "height": 2, "tree": ["dark_oak"], "block": "dead_bush" },
+        "392": { "name": "Young spirit Tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "393": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "394": { "name": "Wall", "width": 3, "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "395": { "name": "Tree", "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "396": { "name": "Tree", "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "397": { "name": "Fern", "block": "fern" },
+        "398": { "name": "Fern", "block": "fern" },
+        "399": { "name": "Fern", "block": "fern" },
+        "400": { "name": "Fern", "block": "fern" },
+        "401": { "name": "Fly trap", "block": "fern" },
+        "402": { "name": "Fern", "block": "fern" },
+        "403": { "name": "Fern", "block": "fern" },
+        "404": { "name": "Plant", "block": "fern" },
+        "405": { "name": "Plant", "block": "fern" },
+        "406": { "name": "Plant", "block": "fern" },
+        "407": { "name": "Stone head", "width": 2, "height": 2, "blocks": ["chiseled_stone_bricks", "chiseled_stone_bricks"] },
+        "408": { "name": "Dead Tree", "tree": ["dead"], "block": "dead_bush" },
+        "409": { "name": "Sacks", "block": "brown_wool" },
+        "410": { "name": "Khazard open Chest", "block": "chest[facing={facing}]" },
+        "411": { "name": "Khazard shut Chest", "block": "chest[facing={facing}]" },
+        "412": { "name": "Doorframe (open)", "block": "air", "door": "oak_door" },
+        "413": { "name": "Sewer valve", "block": "lever[face=floor,facing={facing}]" },
+        "414": { "name": "Sewer valve 2", "block": "lever[face=floor,facing={facing}]" },
+        "415": { "name": "Sewer valve 3", "block": "lever[face=floor,facing={facing}]" },
+        "416": { "name": "Sewer valve 4", "block": "lever[face=floor,facing={facing}]" },
+        "417": { "name": "Sewer valve 5", "block": "lever[face=floor,facing={facing}]" },
+        "418": { "name": "Cave entrance", "width": 2, "height": 2, "block": "black_concrete" },
+        "419": { "name": "Log bridge", "block": "oak_slab" },
+        "420": { "name": "Log bridge", "block": "oak_slab" },
+        "421": { "name": "Tree platform", "block": "oak_slab" },
+        "422": { "name": "Tree platform", "block": "oak_slab" },
+        "423": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "424": { "name": "Tree platform", "block": "oak_slab" },
+        "425": { "name": "Tree platform", "block": "oak_slab" },
+        "426": { "name": "Log bridge", "block": "oak_slab" },
+        "427": { "name": "Log bridge", "block": "oak_slab" },
+        "428": { "name": "Tree platform", "block": "oak_slab" },
+        "429": { "name": "Tree platform", "block": "oak_slab" },
+        "430": { "name": "Tribal brew", "block": "water_cauldron[level=3]" },
+        "431": { "name": "Pineapple tree", "tree": ["jungle"], "block": "dead_bush" },
+        "432": { "name": "Pineapple tree", "tree": ["jungle"], "block": "dead_bush" },
+        "433": { "name": "Log raft", "block": "oak_slab" },
+        "434": { "name": "Log raft", "block": "oak_slab" },
+        "435": { "name": "Tomb of hazeel", "height": 2, "block": "polished_blackstone" },
+        "436": { "name": "Range", "height": 2, "block": "smoker[facing={facing}]" },
+        "437": { "name": "Bookcase (open)", "height": 2, "blocks": ["bookshelf", "bookshelf"] },
+        "438": { "name": "Carnillean Chest", "block": "chest[facing={facing}]" },
+        "439": { "name": "Carnillean Chest", "block": "chest[facing={facing}]" },
+        "440": { "name": "Crate (open)", "block": "composter" },
+        "441": { "name": "Butlers cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "442": { "name": "Butlers cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "443": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "444": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "445": {
+            "name": "Cattle furnace", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "B": "bricks", "F": "furnace[facing={facing}]" },
+                "layers": [["BB", "FF"], ["BB", "BB"]]
+            }
+        },
+        "446": { "name": "Ardounge wall", "height": 3, "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "447": { "name": "Ardounge wall corner", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "448": { "name": "Dug up soil", "block": "coarse_dirt" },
+        "449": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "450": { "name": "Large Sewer pipe", "block": "cauldron" },
+        "451": { "name": "Ardounge wall gateway", "block": "oak_fence_gate", "gate": true },
+        "452": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "453": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "454": { "name": "Fishing crane", "height": 2, "blocks": ["oak_fence", "oak_fence", "oak_fence"] },
+        "455": { "name": "Rowboat", "width": 2, "height": 2, "block": "oak_slab" },
+        "456": { "name": "Damaged Rowboat", "width": 2, "height": 2, "block": "oak_slab" },
+        "457": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "458": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "459": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "460": { "name": "Fishing crane", "blocks": ["oak_fence", "oak_fence", "oak_fence"] },
+        "461": { "name": "Fishing crane", "blocks": ["oak_fence", "oak_fence", "oak_fence"] },
+        "462": { "name": "Waterfall", "height": 2, "block": "water" },
+        "463": { "name": "LeaflessTree", "tree": ["dead"], "block": "dead_bush" },
+        "464": { "name": "LeaflessTree", "tree": ["dead"], "block": "dead_bush" },
+        "465": { "name": "Log raft", "block": "oak_slab" },
+        "466": { "name": "Doors", "block": "air", "door": "oak_door" },
+        "467": { "name": "Well", "width": 2, "height": 2, "block": "water_cauldron[level=3]" },
+        "468": { "name": "Tomb of glarial (open)", "width": 2, "height": 4, "block": "polished_blackstone" },
+        "469": { "name": "Waterfall", "height": 2, "block": "water" },
+        "470": { "name": "Waterfall", "height": 2, "block": "water" },
+        "471": { "name": "Bookcase (open)", "height": 2, "blocks": ["bookshelf", "bookshelf"] },
+        "472": { "name": "Doors", "block": "air", "door": "oak_door" },
+        "473": { "name": "Doors", "block": "air", "door": "oak_door" },
+        "474": { "name": "Stone stand", "block": "polished_andesite" },
+        "475": { "name": "Stone stand", "block": "polished_andesite" },
+        "476": { "name": "Stone stand", "block": "polished_andesite" },
+        "477": { "name": "Stone stand", "block": "polished_andesite" },
+        "478": { "name": "Stone stand", "block": "polished_andesite" },
+        "479": { "name": "Stone stand", "block": "polished_andesite" },
+        "480": { "name": "Glarial's Gravestone", "block": "cobblestone_wall" },
+        "481": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "482": { "name": "Crate (open)", "block": "composter" },
+        "483": { "name": "LeaflessTree", "tree": ["dead"], "block": "dead_bush" },
+        "484": { "name": "Statue of glarial", "blocks": ["chiseled_stone_bricks", "andesite_wall", "andesite_wall"] },
+        "485": { "name": "Chalice of eternity", "block": "gold_block" },
+        "486": { "name": "Chalice of eternity", "block": "gold_block" },
+        "487": { "name": "Doors", "block": "air", "door": "oak_door" },
+        "488": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "489": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "490": { "name": "Log raft remains", "block": "oak_slab" },
+        "491": { "name": "Tree", "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "492": { "name": "Range", "height": 2, "block": "smoker[facing={facing}]" },
+        "493": { "name": "Crate", "block": "composter" },
+        "494": { "name": "Fish", "block": "air" },
+        "496": { "name": "Signpost", "block": "oak_sign" },
+        "497": { "name": "Rocks", "block": "stone" },
+        "498": { "name": "Doors", "block": "air", "door": "oak_door" },
+        "499": { "name": "Rope ladder", "block": "ladder" },
+        "500": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "501": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "502": { "name": "Rope ladder", "block": "ladder" },
+        "503": { "name": "Cooking pot", "block": "water_cauldron[level=3]" },
+        "505": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "506": { "name": "Crate", "block": "composter" },
+        "507": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "508": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "509": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "510": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "511": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "512": { "name": "Sign", "block": "oak_sign" },
+        "513": { "name": "Grand tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "514": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "515": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "516": { "name": "Rocks", "block": "stone" },
+        "517": { "name": "Rocks", "block": "stone" },
+        "518": { "name": "Rocks", "block": "stone" },
+        "519": { "name": "Rocks", "block": "stone" },
+        "520": { "name": "Rocks", "block": "stone" },
+        "521": { "name": "Rocks", "block": "stone" },
+        "522": { "name": "Rocks", "block": "stone" },
+        "523": { "name": "Rocks", "block": "stone" },
+        "524": { "name": "Rocks", "block": "stone" },
+        "525": { "name": "Log bridge", "block": "oak_slab" },
+        "527": { "name": "Log bridge", "block": "oak_slab" },
+        "528": { "name": "Climbing rocks", "block": "air" },
+        "529": { "name": "Ledge", "block": "stone_brick_slab" },
+        "530": { "name": "Ledge", "block": "stone_brick_slab" },
+        "531": { "name": "Log", "block": "oak_wood" },
+        "532": { "name": "Log", "block": "oak_wood" },
+        "533": { "name": "Rocks", "block": "stone" },
+        "534": { "name": "Rocks", "block": "stone" },
+        "535": { "name": "Rocks", "block": "stone" },
+        "536": { "name": "Rocks", "block": "stone" },
+        "537": { "name": "Rocks", "block": "stone" },
+        "538": { "name": "Rocks", "block": "stone" },
+        "539": { "name": "Rocks", "block": "stone" },
+        "540": { "name": "Rocks", "block": "stone" },
+        "541": { "name": "Rocks", "block": "stone" },
+        "542": { "name": "Rocks", "block": "stone" },
+        "543": { "name": "Rocks", "block": "stone" },
+        "544": { "name": "Rocks", "block": "stone" },
+        "545": { "name": "Rocks", "block": "stone" },
+        "546": { "name": "Rocks", "block": "stone" },
+        "547": { "name": "Rocks", "block": "stone" },
+        "548": { "name": "Rocks", "block": "stone" },
+        "549": { "name": "Rocks", "block": "stone" },
+        "550": { "name": "Rocks", "block": "stone" },
+        "551": { "name": "Rocks", "block": "stone" },
+        "552": { "name": "Rocks", "block": "stone" },
+        "553": { "name": "Rocks", "block": "stone" },
+        "554": { "name": "PalmTree", "tree": ["jungle"], "block": "dead_bush" },
+        "555": { "name": "Scorched Earth", "block": "coarse_dirt" },
+        "556": { "name": "Rocks", "block": "stone" },
+        "557": { "name": "Sign", "block": "oak_sign" },
+        "558": { "name": "Fish", "block": "air" },
+        "559": { "name": "Rocky Walkway", "block": "stone_brick_slab" },
+        "560": { "name": "Rocky Walkway", "block": "stone_brick_slab" },
+        "561": { "name": "Rocky Walkway", "block": "stone_brick_slab" },
+        "562": { "name": "Rocky Walkway", "block": "stone_brick_slab" },
+        "563": { "name": "Fight Dummy", "blocks": ["oak_fence", "hay_block", "carved_pumpkin[facing={facing}]"] },
+        "564": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "565": { "name": "Jungle Vine", "block": "vine" },
+        "566": { "name": "Statue", "blocks": ["chiseled_stone_bricks", "andesite_wall", "andesite_wall"] },
+        "567": { "name": "Sign", "block": "oak_sign" },
+        "568": { "name": "Grand tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "569": { "name": "Grand tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "570": { "name": "Grand tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "571": { "name": "Grand tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "572": { "name": "Grand tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "573": { "name": "Hillside Entrance", "height": 2, "block": "black_concrete" },
+        "574": { "name": "Tree", "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "575": { "name": "Log bridge", "block": "oak_slab" },
+        "576": { "name": "Tree platform", "block": "oak_slab" },
+        "577": { "name": "Tree platform", "block": "oak_slab" },
+        "578": { "name": "Metalic Dungeon Gate", "block": "iron_bars", "gate": true },
+        "579": { "name": "Log bridge", "block": "oak_slab" },
+        "580": { "name": "Log bridge", "block": "oak_slab" },
+        "583": { "name": "Shallow water", "width": 2, "height": 2, "block": "water" },
+        "584": { "name": "Doors", "block": "air", "door": "oak_door" },
+        "585": { "name": "Grand tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "586": { "name": "Tree Ladder", "block": "ladder", "climb": "up" },
+        "587": { "name": "Tree Ladder", "block": "ladder", "climb": "down" },
+        "589": { "name": "Gem Rocks", "block": "amethyst_block" },
+        "591": { "name": "Ropeswing", "block": "air" },
+        "592": { "name": "Net", "width": 2, "block": "cobweb" },
+        "594": { "name": "Tree", "width": 2, "height": 2, "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "595": { "name": "Tree", "width": 2, "height": 2, "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "596": { "name": "Tree", "width": 2, "height": 2, "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "597": { "name": "Cart", "width": 2, "height": 3, "block": "spruce_slab[type=top]" },
+        "598": { "name": "Fence", "block": "oak_fence" },
+        "599": { "name": "Beam", "block": "oak_slab" },
+        "600": { "name": "Sign", "block": "oak_sign" },
+        "601": { "name": "Sign", "block": "oak_sign" },
+        "602": { "name": "Sign", "block": "oak_sign" },
+        "603": { "name": "Sign", "block": "oak_sign" },
+        "604": { "name": "Sign", "block": "oak_sign" },
+        "605": { "name": "Sign", "block": "oak_sign" },
+        "606": { "name": "Sign", "block": "oak_sign" },
+        "607": { "name": "Sign", "block": "oak_sign" },
+        "608": { "name": "Sign", "block": "oak_sign" },
+        "609": { "name": "Sign", "block": "oak_sign" },
+        "610": { "name": "Root (open)", "block": "mangrove_roots" },
+        "611": { "name": "Root (open)", "block": "mangrove_roots" },
+        "612": { "name": "Metal Gate", "block": "iron_bars", "gate": true },
+        "613": { "name": "Metal Gate", "block": "iron_bars", "gate": true },
+        "614": { "name": "A farm cart", "width": 2, "height": 3, "block": "spruce_slab[type=top]" },
+        "615": { "name": "Ledge", "block": "stone_brick_slab" },
+        "616": { "name": "Ledge", "block": "stone_brick_slab" },
+        "617": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "618": { "name": "Cage", "block": "iron_bars" },
+        "620": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "621": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "622": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "up" },
+        "624": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "625": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "626": {
+            "name": "Chaos altar", "width": 2,
+            "template": {
+                "blocks": { "W": "red_wool", "C": "white_candle[lit=true,candles=3]" },
+                "layers": [["WW"], ["CC"]]
+            }
+        },
+        "627": { "name": "Gnome stronghold gate", "block": "oak_fence_gate", "gate": true },
+        "628": { "name": "Ropeswing", "block": "air" },
+        "629": { "name": "Ropeswing", "block": "air" },
+        "630": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "up" },
+        "631": { "name": "Stairs", "block": "oak_planks", "stairs": "oak_stairs", "climb": "down" },
+        "632": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "633": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "634": { "name": "Pile of rubble", "width": 2, "block": "cobblestone" },
+        "635": { "name": "Stone stand", "block": "polished_andesite" },
+        "637": { "name": "Pile of rubble", "width": 2, "block": "cobblestone" },
+        "638": { "name": "Root (open)", "block": "mangrove_roots" },
+        "639": { "name": "Root", "block": "mangrove_roots" },
+        "640": { "name": "Root", "block": "mangrove_roots" },
+        "641": { "name": "Sign", "block": "oak_sign" },
+        "642": {
+            "name": "Hammock", "height": 2,
+            "template": {
+                "blocks": { "H": "white_bed[facing={back},part=head]", "F": "white_bed[facing={back},part=foot]" },
+                "layers": [["H", "F"]]
+            }
+        },
+        "644": { "name": "Stone tile", "block": "stone_brick_slab" },
+        "645": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "646": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "648": { "name": "Net", "width": 2, "block": "cobweb" },
+        "651": { "name": "Ropeswing", "block": "air" },
+        "652": { "name": "Bumpy Dirt", "block": "coarse_dirt" },
+        "653": { "name": "Pipe", "block": "cauldron" },
+        "654": { "name": "Net", "width": 2, "block": "cobweb" },
+        "655": { "name": "Pipe", "block": "cauldron" },
+        "656": { "name": "Log", "block": "oak_wood" },
+        "657": { "name": "Pipe", "block": "cauldron" },
+        "658": { "name": "Pipe", "block": "cauldron" },
+        "659": { "name": "Handholds", "block": "air" },
+        "660": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "661": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "662": { "name": "Stronghold spirit Tree", "tree": ["dark_oak"], "block": "dead_bush" },
+        "663": { "name": "Tree", "width": 2, "height": 2, "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "664": { "name": "Tree", "width": 2, "height": 2, "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "665": { "name": "Tree", "width": 2, "height": 2, "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "666": { "name": "Spiked pit", "width": 2, "height": 2, "block": "pointed_dripstone[vertical_direction=up]" },
+        "667": { "name": "Spiked pit", "width": 2, "height": 2, "block": "pointed_dripstone[vertical_direction=up]" },
+        "668": { "name": "Cave", "width": 2, "height": 2, "block": "black_concrete" },
+        "669": { "name": "Stone pebble", "block": "stone" },
+        "670": { "name": "Pile of rubble", "width": 2, "block": "cobblestone" },
+        "671": { "name": "Pile of rubble", "width": 2, "block": "cobblestone" },
+        "672": { "name": "Pipe", "block": "cauldron" },
+        "673": { "name": "Pipe", "block": "cauldron" },
+        "674": { "name": "Stone", "block": "stone" },
+        "675": { "name": "Stone", "block": "stone" },
+        "676": { "name": "Ropeswing", "block": "air" },
+        "677": { "name": "Log", "block": "oak_wood" },
+        "678": { "name": "Net", "width": 2, "block": "cobweb" },
+        "679": { "name": "Ledge", "block": "stone_brick_slab" },
+        "680": { "name": "Handholds", "block": "air" },
+        "681": { "name": "Log", "block": "oak_wood" },
+        "682": { "name": "Log", "block": "oak_wood" },
+        "684": { "name": "Pile of rubble", "width": 2, "block": "cobblestone" },
+        "685": { "name": "Ropeswing", "block": "air" },
+        "686": { "name": "Ropeswing", "block": "air" },
+        "687": { "name": "Ocks", "block": "stone" },
+        "688": { "name": "Tree", "tree": ["dead"], "block": "dead_bush" },
+        "689": { "name": "Well stacked rocks", "block": "stone" },
+        "690": { "name": "Tomb Dolmen", "width": 2, "height": 2, "blocks": ["mossy_stone_bricks", "mossy_stone_bricks"] },
+        "691": { "name": "Handholds", "block": "air" },
+        "692": { "name": "Bridge Blockade", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "693": { "name": "Log Bridge", "block": "oak_slab" },
+        "694": { "name": "Handholds", "block": "air" },
+        "695": { "name": "Tree", "width": 2, "height": 2, "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "696": { "name": "Tree", "width": 2, "height": 2, "tree": ["oak", "spruce"], "block": "dead_bush" },
+        "697": { "name": "Wet rocks", "block": "stone" },
+        "698": { "name": "Smashed table", "block": "crafting_table" },
+        "699": { "name": "Crude Raft", "block": "oak_slab" },
+        "700": { "name": "Daconia rock", "block": "stone" },
+        "701": { "name": "Statue", "blocks": ["chiseled_stone_bricks", "andesite_wall", "andesite_wall"] },
+        "702": { "name": "Stepping stones", "block": "stone_brick_slab" },
+        "703": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "704": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "705": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "706": { "name": "Pipe", "block": "cauldron" },
+        "707": { "name": "Ropeswing", "block": "air" },
+        "708": { "name": "Stone", "block": "stone" },
+        "709": { "name": "Ledge", "block": "stone_brick_slab" },
+        "710": { "name": "Vine", "block": "vine" },
+        "711": { "name": "Rocks", "block": "stone" },
+        "712": { "name": "Wooden Gate", "block": "oak_fence_gate", "gate": true },
+        "713": { "name": "Wooden Gate", "block": "oak_fence_gate", "gate": true },
+        "714": { "name": "Stone bridge", "block": "stone_brick_slab" },
+        "715": { "name": "Stone bridge", "block": "stone_brick_slab" },
+        "716": { "name": "Stone bridge", "block": "stone_brick_slab" },
+        "717": { "name": "Stone bridge", "block": "stone_brick_slab" },
+        "718": { "name": "Stone platform", "block": "stone_brick_slab" },
+        "719": { "name": "Fence", "block": "oak_fence" },
+        "720": { "name": "Rocks", "block": "stone" },
+        "721": { "name": "Stone bridge", "width": 3, "block": "stone_brick_slab" },
+        "722": { "name": "Stone bridge", "width": 3, "block": "stone_brick_slab" },
+        "725": { "name": "Tomb Dolmen", "width": 2, "height": 2, "blocks": ["mossy_stone_bricks", "mossy_stone_bricks"] },
+        "726": { "name": "Cave entrance", "width": 3, "block": "black_concrete" },
+        "729": { "name": "Crumbled rock", "width": 2, "block": "stone" },
+        "730": { "name": "Stalagmite", "block": "pointed_dripstone[vertical_direction=up]" },
+        "731": { "name": "Stalagmite", "block": "pointed_dripstone[vertical_direction=up]" },
+        "732": { "name": "Rocks", "block": "stone" },
+        "733": { "name": "Ledge", "block": "stone_brick_slab" },
+        "734": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "735": { "name": "Stalactite", "block": "air" },
+        "736": { "name": "Stalactite", "block": "air" },
+        "737": { "name": "Stalactite", "block": "air" },
+        "738": { "name": "Rocks", "block": "stone" },
+        "739": { "name": "Rocks", "block": "stone" },
+        "740": { "name": "Rocks", "block": "stone" },
+        "741": { "name": "Rocks", "block": "stone" },
+        "742": { "name": "Rocks", "block": "stone" },
+        "743": { "name": "Rocks", "block": "stone" },
+        "744": { "name": "Rocks", "block": "stone" },
+        "745": { "name": "Rocks", "block": "stone" },
+        "746": { "name": "Rocks", "block": "stone" },
+        "747": { "name": "Rocks", "block": "stone" },
+        "748": { "name": "Rocks", "block": "stone" },
+        "749": { "name": "Rocks", "block": "stone" },
+        "750": { "name": "Rocks", "block": "stone" },
+        "751": { "name": "Ledge", "block": "stone_brick_slab" },
+        "752": { "name": "Ledge", "block": "stone_brick_slab" },
+        "753": { "name": "Ledge", "block": "stone_brick_slab" },
+        "754": { "name": "Ledge", "block": "stone_brick_slab" },
+        "755": { "name": "Swamp", "block": "mud" },
+        "756": { "name": "Swamp", "block": "mud" },
+        "757": { "name": "Rocks", "block": "stone" },
+        "758": { "name": "Rocks", "block": "stone" },
+        "759": { "name": "Rocks", "block": "stone" },
+        "760": { "name": "Rocks", "block": "stone" },
+        "761": { "name": "Rocks", "block": "stone" },
+        "762": { "name": "Rocks", "block": "stone" },
+        "763": { "name": "Rocks", "block": "stone" },
+        "764": { "name": "Rocks", "block": "stone" },
+        "765": { "name": "Rocks", "block": "stone" },
+        "766": { "name": "Rocks", "block": "stone" },
+        "767": { "name": "Rocks", "block": "stone" },
+        "768": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "769": { "name": "Travel Cart", "width": 2, "height": 3, "block": "spruce_slab[type=top]" },
+        "770": { "name": "Travel Cart", "width": 2, "height": 3, "block": "spruce_slab[type=top]" },
+        "771": { "name": "Rocks", "block": "stone" },
+        "772": { "name": "Stalactite", "block": "air" },
+        "773": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "774": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "775": { "name": "Rocks", "height": 3, "block": "stone" },
+        "776": { "name": "Sign", "block": "oak_sign" },
+        "777": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "778": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "779": { "name": "Spiked pit", "block": "pointed_dripstone[vertical_direction=up]" },
+        "780": { "name": "Signpost", "block": "oak_sign" },
+        "781": { "name": "Ship", "block": "air" },
+        "782": { "name": "Ship", "block": "air" },
+        "783": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "784": { "name": "Sacks", "block": "brown_wool" },
+        "786": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "787": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "788": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "789": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "790": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "791": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "792": { "name": "Grill", "block": "iron_trapdoor[half=bottom]" },
+        "793": { "name": "Rocks", "block": "stone" },
+        "794": { "name": "Rocks", "block": "stone" },
+        "795": { "name": "Tomb Doors", "block": "air", "door": "iron_door" },
+        "796": { "name": "Swamp", "block": "mud" },
+        "797": { "name": "Rocks", "width": 2, "block": "stone" },
+        "798": { "name": "Rocks", "width": 2, "block": "stone" },
+        "799": { "name": "Stalactite", "block": "air" },
+        "800": { "name": "Stalactite", "block": "air" },
+        "801": { "name": "Spiked pit", "block": "pointed_dripstone[vertical_direction=up]" },
+        "802": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "803": { "name": "Cage", "block": "iron_bars" },
+        "804": { "name": "Cage", "block": "iron_bars" },
+        "805": { "name": "Rocks", "block": "stone" },
+        "806": { "name": "Spear trap", "block": "pointed_dripstone[vertical_direction=up]" },
+        "807": { "name": "Rocks", "block": "stone" },
+        "808": { "name": "Rocks", "block": "stone" },
+        "809": { "name": "Rocks", "block": "stone" },
+        "810": { "name": "Rocks", "block": "stone" },
+        "811": { "name": "Rocks", "block": "stone" },
+        "812": { "name": "Rocks", "block": "stone" },
+        "813": { "name": "Ledge", "block": "stone_brick_slab" },
+        "814": { "name": "Furnace", "block": "furnace[facing={facing},lit=true]" },
+        "815": { "name": "Well", "block": "cauldron" },
+        "816": { "name": "Passage", "block": "air" },
+        "817": { "name": "Passage", "block": "air" },
+        "818": { "name": "Passage", "block": "air" },
+        "819": { "name": "Stalagmite (open)", "block": "pointed_dripstone[vertical_direction=up]" },
+        "820": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "821": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "822": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "823": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "824": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "825": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "826": { "name": "Passage", "block": "air" },
+        "827": { "name": "Snap trap", "block": "pointed_dripstone[vertical_direction=up]" },
+        "828": { "name": "Wooden planks", "block": "oak_slab" },
+        "829": { "name": "Passage", "block": "air" },
+        "830": { "name": "Passage", "block": "air" },
+        "832": { "name": "Platform", "block": "oak_slab" },
+        "833": { "name": "Rock", "block": "stone" },
+        "834": { "name": "Rock", "block": "stone" },
+        "835": { "name": "Rock", "block": "stone" },
+        "836": { "name": "Rock", "block": "stone" },
+        "837": { "name": "Wall grill", "block": "iron_trapdoor[half=bottom]" },
+        "838": { "name": "Ledge", "block": "stone_brick_slab" },
+        "839": { "name": "Wall grill", "block": "iron_trapdoor[half=bottom]" },
+        "840": { "name": "Dug up soil (open)", "block": "coarse_dirt" },
+        "841": { "name": "Dug up soil (open)", "block": "coarse_dirt" },
+        "842": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "843": { "name": "Stalagmite", "block": "pointed_dripstone[vertical_direction=up]" },
+        "844": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "845": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "846": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "847": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "848": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "849": { "name": "Spiked pit", "block": "pointed_dripstone[vertical_direction=up]" },
+        "850": { "name": "Rocks", "block": "stone" },
+        "851": { "name": "Rocks", "block": "stone" },
+        "852": { "name": "Rocks", "block": "stone" },
+        "853": { "name": "Rocks", "block": "stone" },
+        "854": { "name": "Rocks", "block": "stone" },
+        "855": { "name": "Rocks", "block": "stone" },
+        "856": { "name": "Rocks", "block": "stone" },
+        "857": { "name": "Rocks", "block": "stone" },
+        "858": { "name": "Rocks", "block": "stone" },
+        "859": { "name": "Rocks", "block": "stone" },
+        "860": { "name": "Rocks", "block": "stone" },
+        "861": { "name": "Rocks", "block": "stone" },
+        "862": { "name": "Ledge", "block": "stone_brick_slab" },
+        "863": { "name": "Ledge", "block": "stone_brick_slab" },
+        "864": { "name": "Ledge", "block": "stone_brick_slab" },
+        "865": { "name": "Ledge", "block": "stone_brick_slab" },
+        "866": { "name": "Ledge", "block": "stone_brick_slab" },
+        "867": { "name": "Ledge", "block": "stone_brick_slab" },
+        "868": { "name": "Boulder", "width": 2, "height": 2, "block": "cobblestone" },
+        "869": { "name": "Crate", "block": "composter" },
+        "871": { "name": "Platform", "block": "oak_slab" },
+        "872": { "name": "Cage remains", "block": "iron_bars" },
+        "873": { "name": "Ledge", "block": "stone_brick_slab" },
+        "874": { "name": "Passage", "block": "air" },
+        "875": { "name": "Passage", "block": "air" },
+        "877": { "name": "Rocks", "block": "stone" },
+        "878": { "name": "Bridge support", "block": "stone_brick_slab" },
+        "879": { "name": "Tomb of Iban", "height": 2, "block": "polished_blackstone" },
+        "881": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "882": { "name": "Rock", "block": "stone" },
+        "883": { "name": "Rocks", "block": "stone" },
+        "884": { "name": "Rocks", "block": "stone" },
+        "885": { "name": "Swamp", "block": "mud" },
+        "886": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "887": { "name": "Stone bridge", "block": "stone_brick_slab" },
+        "888": { "name": "Cage (open)", "block": "iron_bars" },
+        "889": { "name": "Cage (open)", "block": "iron_bars" },
+        "890": { "name": "Stone steps", "block": "stone_brick_slab" },
+        "891": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "892": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "893": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "894": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "895": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "896": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "897": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "898": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "899": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "900": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "901": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "902": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "903": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "904": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "905": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "906": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "907": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "908": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "909": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "910": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "911": { "name": "Stone bridge", "height": 3, "block": "stone_brick_slab" },
+        "912": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "913": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "914": { "name": "Pit of the Damned", "block": "black_concrete" },
+        "916": { "name": "Signpost", "block": "oak_sign" },
+        "918": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "919": { "name": "Zodiac", "block": "air" },
+        "920": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "921": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "922": { "name": "Stone steps", "block": "stone_brick_slab" },
+        "923": { "name": "Rock", "block": "stone" },
+        "924": { "name": "Rock", "block": "stone" },
+        "925": { "name": "Rock", "block": "stone" },
+        "926": { "name": "Telescope", "blocks": ["spruce_fence", "lightning_rod"] },
+        "927": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "928": { "name": "Sacks (open)", "block": "brown_wool" },
+        "929": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "930": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "931": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "932": { "name": "Bookcase", "height": 2, "blocks": ["bookshelf", "bookshelf"] },
+        "933": { "name": "Iron Gate", "block": "iron_bars", "gate": true },
+        "934": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "935": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "936": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "937": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "938": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "939": { "name": "Rockslide", "block": "cobblestone" },
+        "940": {
+            "name": "Altar", "width": 2,
+            "template": {
+                "blocks": { "W": "red_wool", "C": "white_candle[lit=true,candles=3]" },
+                "layers": [["WW"], ["CC"]]
+            }
+        },
+        "941": { "name": "Column", "blocks": ["stone_brick_wall", "stone_brick_wall", "stone_brick_wall", "stone_brick_wall"] },
+        "942": { "name": "Grave of Scorpius", "height": 3, "block": "cobblestone_wall" },
+        "943": { "name": "Bank Chest", "block": "ender_chest[facing={facing}]" },
+        "945": { "name": "Disturbed sand", "block": "air" },
+        "946": { "name": "Disturbed sand", "block": "air" },
+        "950": { "name": "Cave", "block": "black_concrete" },
+        "951": { "name": "Cave", "block": "black_concrete" },
+        "952": { "name": "Fence", "block": "oak_fence" },
+        "953": { "name": "Signpost", "block": "oak_sign" },
+        "954": { "name": "Rocks", "block": "stone" },
+        "955": { "name": "Rocks", "block": "stone" },
+        "956": { "name": "Cave entrance", "width": 3, "block": "black_concrete" },
+        "957": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "958": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "959": { "name": "Wooden Doors", "block": "air", "door": "oak_door" },
+        "960": { "name": "Pedestal", "block": "polished_andesite" },
+        "961": { "name": "Bush (open)", "block": "oak_leaves[persistent=true]" },
+        "962": { "name": "Bush (open)", "block": "oak_leaves[persistent=true]" },
+        "963": { "name": "Standard", "block": "white_banner" },
+        "964": { "name": "Mining Cave", "width": 3, "block": "black_concrete" },
+        "965": { "name": "Mining Cave", "width": 3, "block": "black_concrete" },
+        "966": { "name": "Rocks", "block": "stone" },
+        "968": { "name": "Mining Barrel", "block": "barrel[facing=up]" },
+        "969": { "name": "Hole", "block": "black_concrete" },
+        "970": { "name": "Hole", "block": "black_concrete" },
+        "971": { "name": "Cave", "block": "black_concrete" },
+        "972": { "name": "Cave", "block": "black_concrete" },
+        "973": { "name": "Cave", "block": "black_concrete" },
+        "974": { "name": "Counter", "block": "oak_planks" },
+        "975": { "name": "Track", "width": 2, "height": 2, "block": "rail" },
+        "976": { "name": "Cave", "block": "black_concrete" },
+        "977": { "name": "Mine Cart", "block": "cauldron" },
+        "978": { "name": "Lift Platform", "block": "oak_slab" },
+        "979": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "980": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "982": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "983": { "name": "Cave entrance", "width": 2, "height": 2, "block": "black_concrete" },
+        "984": { "name": "Pile of mud", "width": 2, "block": "coarse_dirt" },
+        "985": { "name": "Cave", "block": "black_concrete" },
+        "986": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "987": { "name": "Crate (open)", "block": "composter" },
+        "988": { "name": "Crate (open)", "block": "composter" },
+        "989": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "990": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "991": { "name": "Bush (open)", "block": "oak_leaves[persistent=true]" },
+        "992": { "name": "Bush (open)", "block": "oak_leaves[persistent=true]" },
+        "993": { "name": "Bush (open)", "block": "oak_leaves[persistent=true]" },
+        "994": { "name": "Bush (open)", "block": "oak_leaves[persistent=true]" },
+        "996": { "name": "Rocks", "block": "stone" },
+        "997": { "name": "Rocks", "block": "stone" },
+        "998": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "999": { "name": "Cave entrance", "block": "black_concrete" },
+        "1000": { "name": "Counter", "block": "oak_planks" },
+        "1001": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "1002": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "1003": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "1004": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "1005": { "name": "Bookcase", "height": 2, "blocks": ["bookshelf", "bookshelf"] },
+        "1006": { "name": "Captains Chest", "block": "chest[facing={facing}]" },
+        "1007": { "name": "Experimental Anvil", "block": "anvil[facing={facing}]" },
+        "1008": { "name": "Rocks (open)", "block": "stone" },
+        "1009": { "name": "Rocks (open)", "block": "stone" },
+        "1010": { "name": "Column", "blocks": ["stone_brick_wall", "stone_brick_wall", "stone_brick_wall", "stone_brick_wall"] },
+        "1011": { "name": "Wall", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "1012": { "name": "Wall", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "1013": { "name": "Wall", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "1014": { "name": "Wall", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "1015": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "1016": { "name": "Lever", "block": "lever[face=floor,facing={facing}]" },
+        "1017": { "name": "Wall", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "1018": { "name": "Ladder", "block": "ladder", "climb": "down" },
+        "1019": { "name": "Wall", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "1020": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "1021": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "1022": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "1024": { "name": "Desk", "width": 2, "block": "oak_planks" },
+        "1025": { "name": "Cave", "block": "black_concrete" },
+        "1026": { "name": "Mining Cart", "width": 2, "height": 3, "block": "spruce_slab[type=top]" },
+        "1028": { "name": "Entrance", "block": "black_concrete" },
+        "1029": { "name": "Dried Cactus", "block": "dead_bush" },
+        "1030": { "name": "Climbing rocks", "block": "air" },
+        "1031": { "name": "Rocks", "block": "stone" },
+        "1033": { "name": "Crude Desk", "width": 2, "block": "oak_planks" },
+        "1034": { "name": "Heavy Metal Gate", "block": "iron_bars", "gate": true },
+        "1035": { "name": "Counter", "block": "oak_planks" },
+        "1036": {
+            "name": "Crude bed", "height": 2,
+            "template": {
+                "blocks": { "H": "brown_bed[facing={back},part=head]", "F": "brown_bed[facing={back},part=foot]" },
+                "layers": [["H", "F"]]
+            }
+        },
+        "1037": { "name": "Flames", "block": "campfire" },
+        "1038": { "name": "Carved Rock", "block": "stone" },
+        "1040": { "name": "Crate (open)", "block": "composter" },
+        "1041": { "name": "Crate (open)", "block": "composter" },
+        "1042": { "name": "Barrel (open)", "block": "barrel[facing=up]" },
+        "1043": { "name": "Brick", "block": "bricks" },
+        "1044": { "name": "Brick", "block": "bricks" },
+        "1045": { "name": "Brick", "width": 3, "block": "bricks" },
+        "1046": { "name": "Brick", "width": 3, "block": "bricks" },
+        "1047": { "name": "Brick", "width": 2, "height": 2, "block": "bricks" },
+        "1048": { "name": "Brick", "block": "bricks" },
+        "1049": { "name": "Barrier", "blocks": ["stone_bricks", "stone_bricks", "stone_bricks", "stone_bricks"] },
+        "1050": { "name": "Buried skeleton (open)", "block": "bone_block" },
+        "1051": { "name": "Brick", "block": "bricks" },
+        "1052": { "name": "Brick", "block": "bricks" },
+        "1055": { "name": "Crate (open)", "block": "composter" },
+        "1056": { "name": "Crate (open)", "block": "composter" },
+        "1057": { "name": "Urn", "block": "decorated_pot" },
+        "1058": { "name": "Buried skeleton (open)", "block": "bone_block" },
+        "1059": { "name": "Panning point", "block": "air" },
+        "1060": { "name": "Rocks", "block": "stone" },
+        "1061": { "name": "Signpost", "block": "oak_sign" },
+        "1062": { "name": "Signpost", "block": "oak_sign" },
+        "1063": { "name": "Signpost", "block": "oak_sign" },
+        "1064": { "name": "Signpost", "block": "oak_sign" },
+        "1065": { "name": "Signpost", "block": "oak_sign" },
+        "1066": { "name": "Soil (open)", "block": "coarse_dirt" },
+        "1067": { "name": "Soil (open)", "block": "coarse_dirt" },
+        "1068": { "name": "Soil (open)", "block": "coarse_dirt" },
+        "1069": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "1070": { "name": "Ship", "block": "air" },
+        "1071": { "name": "Barrel", "height": 2, "block": "barrel[facing=up]" },
+        "1072": { "name": "Leak", "block": "air" },
+        "1073": { "name": "Bush (open)", "block": "oak_leaves[persistent=true]" },
+        "1074": { "name": "Bush (open)", "block": "oak_leaves[persistent=true]" },
+        "1075": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "1076": { "name": "Sacks (open)", "block": "brown_wool" },
+        "1077": { "name": "Sacks (open)", "block": "brown_wool" },
+        "1078": { "name": "Leak", "block": "air" },
+        "1079": { "name": "Cupboard (open)", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "1080": { "name": "Wrought Mithril Gates", "block": "iron_bars", "gate": true },
+        "1081": { "name": "Legends Hall Doors", "block": "air", "door": "dark_oak_door" },
+        "1082": {
+            "name": "Camp bed", "height": 2,
+            "template": {
+                "blocks": { "H": "brown_bed[facing={back},part=head]", "F": "brown_bed[facing={back},part=foot]" },
+                "layers": [["H", "F"]]
+            }
+        },
+        "1083": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "1084": { "name": "Barrel (open)", "block": "barrel[facing=up]" },
+        "1085": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "1086": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "1087": { "name": "Dense Jungle Tree", "tree": ["jungle"], "block": "dead_bush" },
+        "1088": { "name": "Jungle tree stump", "block": "jungle_log" },
+        "1089": { "name": "Signpost", "block": "oak_sign" },
+        "1090": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "1091": { "name": "Bookcase (open)", "height": 2, "blocks": ["bookshelf", "bookshelf"] },
+        "1092": { "name": "Dense Jungle Tree", "tree": ["jungle"], "block": "dead_bush" },
+        "1093": { "name": "Dense Jungle Tree", "tree": ["jungle"], "block": "dead_bush" },
+        "1094": { "name": "Spray", "block": "air" },
+        "1095": { "name": "Spray", "block": "air" },
+        "1097": { "name": "Brick (open)", "block": "bricks" },
+        "1098": { "name": "Rope", "block": "chain" },
+        "1099": { "name": "Rope", "block": "chain" },
+        "1100": { "name": "Dense Jungle Palm", "tree": ["jungle"], "block": "dead_bush" },
+        "1101": { "name": "Dense Jungle Palm", "tree": ["jungle"], "block": "dead_bush" },
+        "1102": { "name": "Trawler net", "block": "cobweb" },
+        "1103": { "name": "Trawler net", "block": "cobweb" },
+        "1104": { "name": "Brick", "block": "bricks" },
+        "1105": { "name": "Chest", "block": "chest[facing={facing}]" },
+        "1106": { "name": "Chest (open)", "block": "chest[facing={facing}]" },
+        "1108": { "name": "Yommi Tree", "width": 2, "height": 2, "tree": ["jungle"], "block": "dead_bush" },
+        "1109": { "name": "Grown Yommi Tree", "width": 2, "height": 2, "tree": ["jungle"], "block": "dead_bush" },
+        "1110": { "name": "Chopped Yommi Tree", "width": 2, "height": 2, "tree": ["jungle"], "block": "dead_bush" },
+        "1111": { "name": "Trimmed Yommi Tree", "width": 2, "height": 2, "tree": ["jungle"], "block": "dead_bush" },
+        "1112": { "name": "Totem Pole", "width": 2, "height": 2, "blocks": ["stripped_jungle_log", "stripped_jungle_log", "carved_pumpkin[facing={facing}]"] },
+        "1113": { "name": "Baby Yommi Tree", "width": 2, "height": 2, "tree": ["jungle"], "block": "dead_bush" },
+        "1114": { "name": "Fertile earth", "width": 2, "height": 2, "block": "coarse_dirt" },
+        "1115": { "name": "Rock Hewn Stairs", "width": 2, "height": 3, "block": "cobblestone_stairs[facing={back}]" },
+        "1116": { "name": "Hanging rope", "block": "chain" },
+        "1117": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "1118": { "name": "Boulder", "width": 2, "height": 2, "block": "cobblestone" },
+        "1123": { "name": "Rock", "block": "stone" },
+        "1124": { "name": "Rock Hewn Stairs", "width": 2, "height": 3, "block": "cobblestone_stairs[facing={back}]" },
+        "1125": { "name": "Rock Hewn Stairs", "width": 2, "height": 3, "block": "cobblestone_stairs[facing={back}]" },
+        "1126": { "name": "Rock Hewn Stairs", "width": 2, "height": 3, "block": "cobblestone_stairs[facing={back}]" },
+        "1127": { "name": "Compost Heap", "width": 2, "height": 2, "block": "composter" },
+        "1128": { "name": "Beehive", "blocks": ["oak_fence", "bee_nest[facing={facing}]"] },
+        "1129": { "name": "Drain", "block": "iron_trapdoor[half=bottom]" },
+        "1130": { "name": "Web", "block": "cobweb" },
+        "1131": { "name": "Fountain", "width": 2, "height": 2, "block": "water_cauldron[level=3]" },
+        "1133": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "1134": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "1135": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "1136": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "1137": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "1138": { "name": "Barrel", "block": "barrel[facing=up]" },
+        "1139": { "name": "Flour Barrel", "block": "barrel[facing=up]" },
+        "1140": { "name": "Sacks", "block": "brown_wool" },
+        "1141": { "name": "Gate", "block": "oak_fence_gate", "gate": true },
+        "1142": { "name": "Dead Yommi Tree", "width": 2, "height": 2, "tree": ["dead"], "block": "dead_bush" },
+        "1144": { "name": "Rocks", "width": 2, "height": 2, "block": "stone" },
+        "1145": { "name": "Crate", "block": "composter" },
+        "1146": { "name": "Cavernous Opening", "width": 3, "block": "black_concrete" },
+        "1147": {
+            "name": "Ancient Lava Furnace", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "B": "bricks", "F": "furnace[facing={facing}]" },
+                "layers": [["BB", "FF"], ["BB", "BB"]]
+            }
+        },
+        "1149": { "name": "Rocks", "block": "stone" },
+        "1150": { "name": "Cupboard", "height": 2, "blocks": ["barrel[facing={facing}]", "barrel[facing={facing}]"] },
+        "1151": { "name": "Sacks (open)", "block": "brown_wool" },
+        "1152": { "name": "Rock", "block": "stone" },
+        "1153": { "name": "Saradomin stone", "block": "chiseled_stone_bricks" },
+        "1154": { "name": "Guthix stone", "block": "chiseled_stone_bricks" },
+        "1155": { "name": "Zamorak stone", "block": "chiseled_stone_bricks" },
+        "1156": { "name": "Magical pool", "width": 2, "height": 2, "block": "water" },
+        "1157": { "name": "Wooden Beam", "block": "oak_slab" },
+        "1158": { "name": "Rope down into darkness", "block": "chain" },
+        "1159": { "name": "Cave entrance", "width": 3, "block": "black_concrete" },
+        "1160": { "name": "Cave entrance", "width": 2, "height": 2, "block": "black_concrete" },
+        "1161": { "name": "Ancient Wooden Doors", "block": "air", "door": "dark_oak_door" },
+        "1162": { "name": "Table", "block": "crafting_table" },
+        "1163": {
+            "name": "Crude bed", "height": 2,
+            "template": {
+                "blocks": { "H": "brown_bed[facing={back},part=head]", "F": "brown_bed[facing={back},part=foot]" },
+                "layers": [["H", "F"]]
+            }
+        },
+        "1164": { "name": "Tall Reeds", "block": "sugar_cane" },
+        "1165": { "name": "Goblin foot prints", "block": "air" },
+        "1166": { "name": "Dark Metal Gate", "block": "iron_bars", "gate": true },
+        "1167": { "name": "Magical pool", "width": 2, "height": 2, "block": "water" },
+        "1168": { "name": "Rope Up", "block": "chain" },
+        "1169": { "name": "Half buried remains", "block": "bone_block" },
+        "1170": { "name": "Totem Pole", "blocks": ["stripped_jungle_log", "stripped_jungle_log", "carved_pumpkin[facing={facing}]"] },
+        "1171": { "name": "Totem Pole", "blocks": ["stripped_jungle_log", "stripped_jungle_log", "carved_pumpkin[facing={facing}]"] },
+        "1172": {
+            "name": "Comfy bed", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "H": "red_bed[facing={back},part=head]", "F": "red_bed[facing={back},part=foot]" },
+                "layers": [["H", "F"]]
+            }
+        },
+        "1173": { "name": "Rotten Yommi Tree", "width": 2, "height": 2, "tree": ["dead"], "block": "dead_bush" },
+        "1174": { "name": "Rotten Yommi Tree", "width": 2, "height": 2, "tree": ["dead"], "block": "dead_bush" },
+        "1175": { "name": "Rotten Yommi Tree", "width": 2, "height": 2, "tree": ["dead"], "block": "dead_bush" },
+        "1176": { "name": "Rotten Totem Pole", "width": 2, "height": 2, "blocks": ["stripped_jungle_log", "stripped_jungle_log", "carved_pumpkin[facing={facing}]"] },
+        "1177": { "name": "Leafy Palm Tree", "tree": ["jungle"], "block": "dead_bush" },
+        "1178": { "name": "Grand Viziers Desk", "width": 2, "block": "oak_planks" },
+        "1179": { "name": "Strange Barrel", "block": "barrel[facing=up]" },
+        "1180": { "name": "Ship", "block": "air" },
+        "1181": { "name": "Ship", "block": "air" },
+        "1182": { "name": "Ship", "block": "air" },
+        "1183": {
+            "name": "Digsite bed", "height": 2,
+            "template": {
+                "blocks": { "H": "brown_bed[facing={back},part=head]", "F": "brown_bed[facing={back},part=foot]" },
+                "layers": [["H", "F"]]
+            }
+        },
+        "1184": {
+            "name": "Tea stall", "width": 2, "height": 2,
+            "template": {
+                "blocks": { "P": "spruce_planks", "F": "spruce_fence", "W": "red_wool" },
+                "layers": [["FF", "PP"], ["FF", "  "], ["WW", "WW"]]
+            }
+        },
+        "1185": { "name": "Boulder", "width": 2, "height": 2, "block": "cobblestone" },
+        "1186": { "name": "Boulder", "width": 2, "height": 2, "block": "cobblestone" },
+        "1187": { "name": "Damaged Earth", "block": "coarse_dirt" },
+        "1188": { "name": "Ladder", "block": "ladder", "climb": "up" },
+        "1189": { "name": "Ladder", "block": "ladder", "climb": "down" }
+    },
+
+    // NPCs from `--npcs`, keyed by NPC ID.
+    // Fields:
+    // - entity: Entity to spawn (default: "villager"), named after the NPC.
+    //           Armour stands stay exactly where they are put.
+    "npcs": {
+        "2": { "name": "Sheep", "entity": "sheep" },
+        "3": { "name": "Chicken", "entity": "chicken" },
+        "6": { "name": "Cow", "entity": "cow" },
+        "11": { "name": "Man", "entity": "villager" },
+        "65": { "name": "Guard", "entity": "armor_stand" },
+        "95": { "name": "Banker", "entity": "villager" }
+    },
+
+    // Ground items from `--items`, keyed by item ID.
+    // Fields:
+    // - item:  Item to show in an item frame, lying on the ground.
+    // - block: Block to place instead (e.g. a chest).
+    "items": {
+        "10": { "name": "Coins", "item": "gold_nugget" },
+        "20": { "name": "Bones", "item": "bone" }
+    },
+
+    // Parts of the surface that look different, keyed by any name (see
+    // `findRegion`). Areas are only approximate.
+    // Fields:
+    // - area:  Outline of the region, as a list of RSC co-ordinates [x, y].
+    //          A region without an area covers everywhere else.
+    // - biome: Biome to use for the region.
+    // - trees: Tree types to use instead of others (see `TREE_SHAPES`).
+    "regions": {
+        "karamja": {
+            "name": "Karamja", "biome": "jungle",
+            "trees": { "oak": ["jungle"], "spruce": ["jungle"] },
+            "area": [[320, 675], [480, 675], [480, 940], [320, 940]]
+        },
+        "desert": {
+            "name": "Kharidian Desert", "biome": "desert",
+            "trees": { "oak": ["acacia"], "spruce": ["acacia"] },
+            "area": [[0, 700], [100, 700], [100, 940], [0, 940]]
+        },
+        "wilderness": {
+            "name": "Wilderness", "biome": "badlands",
+            "trees": { "oak": ["dead"], "spruce": ["dead"] },
+            "area": [[48, 0], [440, 0], [440, 427], [48, 427]]
+        },
+        "morytania": {
+            "name": "Morytania", "biome": "swamp",
+            "trees": { "oak": ["dead"], "spruce": ["dark_oak"] },
+            "area": [[0, 427], [48, 427], [48, 560], [0, 560]]
+        },
+        "default": { "name": "Everywhere else", "biome": "plains" }
+    },
+
+    // Blocks used to highlight anything missing from the mapping
+    "unknown": {
+        "overlay": "cyan_wool",
+        "wall": "red_wool",
+        "roof": "pink_wool",
+        "object": "lime_wool",
+        "npc": "yellow_wool",
+        "item": "chest"
+    }
+};
+
+function loadBlockMapping(filename) {
+    var file = new File(filename);
+    if (!file.exists()) {
+        throw "Specified mapping file does not exist: " + filename;
+    }
+
+    var overrides = JSON.parse(readTextFile(file));
+    return mergeBlockMapping(DEFAULT_BLOCK_MAPPING, overrides);
+}
+
+function mergeBlockMapping(defaults, overrides) {
+    var mapping = {};
+    for (var section in defaults) {
+        if (!(section in overrides)) {
+            mapping[section] = defaults[section];
+        } else {
+            mapping[section] = {};
+            for (var key in defaults[section]) {
+                mapping[section][key] = defaults[section][key];
+            }
+            for (var key in overrides[section]) {
+                mapping[section][key] = overrides[section][key];
+            }
+        }
+    }
+    return mapping;
+}
+
+function printUnknown(description, id) {
+    // Each ID is only mentioned once, rather than flooding the chat
+    // (see `report` for a full list)
+    var key = description + ": " + id;
+    if (!(key in unknownIds)) {
+        unknownIds[key] = true;
+        player.print(key);
+    }
+}
+
+function getBlock(blockString) {
+    if (!(blockString in blockCache)) {
+        blockCache[blockString] = context.getBlock(blockString);
+    }
+    return blockCache[blockString];
+}
+
+function expandBlockString(blockString, facing) {
+    // Properties can't be left blank, so pick something arbitrary if the
+    // facing is not known
+    facing = facing || "north";
+    var connections = (facing === "east" || facing === "west")
+        ? "north=true,south=true"
+        : "east=true,west=true";
+    return blockString
+            .replace("{facing}", facing)
+            .replace("{connections}", connections);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Utilities
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Block positions are worked out in "map space": the map laid out with its
+ * origin at (0, 0), scaled, but not otherwise transformed. `mapToWorld` and
+ * `worldToMap` convert between this and the real world, according to the
+ * world transform (see `--scale`, `--offset`, `--rotate` and `--base-y`).
+ *
+ * All of these conversions are exact inverses of each other.
+ */
+
+function getContainingSectorCoords(blockPos) {
+    // See: https://github.com/2003scape/rsc-landscape/blob/master/src/landscape.js#L173
+    var sectorBlocks = SECTOR_SIZE * worldTransform.scale;
+    var sectorX = Math.floor(blockPos.getX() / sectorBlocks);
+    var sectorY = Math.floor(blockPos.getZ() / sectorBlocks);
+
+    // RuneScape and Minecraft use different co-ordinate systems so we have to
+    // flip our x co-ordinates to prevent the world becoming mirrored.
+    sectorX = NUM_SECTORS_X - sectorX;
+
+    // In effect, adding MIN_SECTOR_X/Y offsets the entire RuneScape world
+    // relative to the Minecraft world, so that we can start generating from
+    // (0, 0). As far as I can tell it's a convenience, not a necessity.
+    sectorX += MIN_SECTOR_X;
+    sectorY += MIN_SECTOR_Y;
+
+    return BlockVector3.at(sectorX, 0, sectorY);
+}
+
+function getSelectedSectors() {
+    region = session.getRegionSelector(player.getWorld()).getRegion();
+    var minSectorCoords = getContainingSectorCoords(worldToMap(region.getMinimumPoint()));
+    var maxSectorCoords = getContainingSectorCoords(worldToMap(region.getMaximumPoint()));
+
+    // The x-axis is flipped (and the world may be rotated), so the minimum
+    // block doesn't necessarily give the minimum sector
+    return [
+        BlockVector3.at(Math.min(minSectorCoords.getX(), maxSectorCoords.getX()), 0,
+                Math.min(minSectorCoords.getZ(), maxSectorCoords.getZ())),
+        BlockVector3.at(Math.max(minSectorCoords.getX(), maxSectorCoords.getX()), 0,
+                Math.max(minSectorCoords.getZ(), maxSectorCoords.getZ()))
+    ];
+}
+
+function getRscCoords(layer, sectorX, sectorY, tileX, tileY) {
+    // Co-ordinates as used by the game / server
+    return {
+        x: (sectorX - MIN_SECTOR_X) * SECTOR_SIZE + tileX,
+        y: (sectorY - MIN_SECTOR_Y) * SECTOR_SIZE + tileY + layer * RSC_LAYER_OFFSET
+    };
+}
+
+function getTileForRscCoords(x, y) {
+    // The reverse of `getRscCoords`
+    var layer = Math.floor(y / RSC_LAYER_OFFSET);
+    y -= layer * RSC_LAYER_OFFSET;
+    return {
+        layer: layer,
+        sectorX: MIN_SECTOR_X + Math.floor(x / SECTOR_SIZE),
+        sectorY: MIN_SECTOR_Y + Math.floor(y / SECTOR_SIZE),
+        tileX: x % SECTOR_SIZE,
+        tileY: y % SECTOR_SIZE
+    };
+}
+
+function getSectorId(layer, sectorX, sectorY) {
+    return "h" + layer + "x" + sectorX + "y" + sectorY;
+}
+
+function getMinBlockPosForSector(sectorX, sectorY) {
+    // Convert from RuneScape -> Minecraft co-ordinates.
+    // This is basically the opposite of `getContainingSectorCoords`.
+    var mcSectorX = (sectorX - MIN_SECTOR_X);
+    var mcSectorZ = (sectorY - MIN_SECTOR_Y);
+
+    mcSectorX = -(mcSectorX - NUM_SECTORS_X);
+
+    var blockX = mcSectorX * SECTOR_SIZE * worldTransform.scale;
+    var blockZ = mcSectorZ * SECTOR_SIZE * worldTransform.scale;
+
+    return BlockVector3.at(blockX, BEDROCK_LEVEL, blockZ);
+}
+
+function getBlockPosForTile(sectorMinBlockPos, tileX, tileY) {
+    // Convert from RuneScape -> Minecraft co-ordinates (inverted x-axis).
+    // This gives the north-west corner of the tile.
+    var scale = worldTransform.scale;
+    var blockX = sectorMinBlockPos.getX() + (SECTOR_SIZE - tileX - 1) * scale;
+    var blockY = sectorMinBlockPos.getY();
+    var blockZ = sectorMinBlockPos.getZ() + tileY * scale;
+    return BlockVector3.at(blockX, blockY, blockZ);
+}
+
+function getTileForBlockPos(blockPos) {
+    // The reverse of `getBlockPosForTile`, for any block within the tile
+    var sectorCoords = getContainingSectorCoords(blockPos);
+    var sectorMinBlockPos = getMinBlockPosForSector(sectorCoords.getX(), sectorCoords.getZ());
+    var scale = worldTransform.scale;
+    return {
+        sectorX: sectorCoords.getX(),
+        sectorY: sectorCoords.getZ(),
+        tileX: SECTOR_SIZE - 1 - Math.floor((blockPos.getX() - sectorMinBlockPos.getX()) / scale),
+        tileY: Math.floor((blockPos.getZ() - sectorMinBlockPos.getZ()) / scale)
+    };
+}
+
+function getAdjacentTilePos(blockPos, dx, dz) {
+    // Offsets are in tiles, along Minecraft's axes (+x is east, +z is south)
+    return blockPos.add(dx * worldTransform.scale, 0, dz * worldTransform.scale);
+}
+
+function getTileCentre(blockPos) {
+    var middle = Math.floor(worldTransform.scale / 2);
+    return blockPos.add(middle, 0, middle);
+}
+
+function getSectorBounds(sectorMinBlockPos) {
+    var sectorBlocks = SECTOR_SIZE * worldTransform.scale;
+    return {
+        minX: sectorMinBlockPos.getX(),
+        maxX: sectorMinBlockPos.getX() + sectorBlocks - 1,
+        minZ: sectorMinBlockPos.getZ(),
+        maxZ: sectorMinBlockPos.getZ() + sectorBlocks - 1
+    };
+}
+
+function isWithinBounds(blockPos, bounds) {
+    return blockPos.getX() >= bounds.minX && blockPos.getX() <= bounds.maxX
+            && blockPos.getZ() >= bounds.minZ && blockPos.getZ() <= bounds.maxZ;
+}
+
+function mapToWorld(blockPos) {
+    // Rotate clockwise (as seen from above) about the origin, then offset
+    var x = blockPos.getX();
+    var z = blockPos.getZ();
+    for (var i = 0; i < worldTransform.rotation / 90; i++) {
+        var temp = x;
+        x = -z;
+        z = temp;
+    }
+    return BlockVector3.at(
+            x + worldTransform.offsetX,
+            blockPos.getY() - BEDROCK_LEVEL + worldTransform.baseY,
+            z + worldTransform.offsetZ);
+}
+
+function worldToMap(blockPos) {
+    // The reverse of `mapToWorld`
+    var x = blockPos.getX() - worldTransform.offsetX;
+    var z = blockPos.getZ() - worldTransform.offsetZ;
+    for (var i = 0; i < worldTransform.rotation / 90; i++) {
+        var temp = x;
+        x = z;
+        z = -temp;
+    }
+    return BlockVector3.at(x, blockPos.getY() - worldTransform.baseY + BEDROCK_LEVEL, z);
+}
+
+function setBlock(blockPos, block) {
+    // Directional blocks (stairs, doors, etc.) have to be rotated along with
+    // the world. WorldEdit rotates anti-clockwise, hence the negative angle.
+    if (worldTransform.rotation) {
+        block = BlockTransformExtent.transform(block,
+                new AffineTransform().rotateY(-worldTransform.rotation));
+    }
+    blocks.setBlock(mapToWorld(blockPos), block);
+    if (structurePositions) {
+        structurePositions[getPosKey(blockPos)] = true;
+    }
+}
+
+function setTileBlock(blockPos, block) {
+    // Fill the whole tile (at a single height)
+    for (var x = 0; x < worldTransform.scale; x++) {
+        for (var z = 0; z < worldTransform.scale; z++) {
+            setBlock(blockPos.add(x, 0, z), block);
+        }
+    }
+}
+
+function isTileInSector(tileX, tileY) {
+    return tileX >= 0 && tileX < SECTOR_SIZE && tileY >= 0 && tileY < SECTOR_SIZE;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Random numbers
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Anything random is derived from the seed (see `--seed`) and the position of
+ * the tile in question, so regenerating a sector always gives the same result,
+ * no matter which sectors are generated alongside it, or in what order.
+ */
+
+const DEFAULT_SEED = 0;
+
+function getTileRandom(sector, layer, tileX, tileY) {
+    // Tile co-ordinates are relative to the given sector, but may fall outside
+    // it (like `getNeighbourTile`)
+    var worldTileX = sector.sectorX * SECTOR_SIZE + tileX;
+    var worldTileY = sector.sectorY * SECTOR_SIZE + tileY;
+    var state = hashInt(seed);
+    state = hashInt(state ^ layer);
+    state = hashInt(state ^ worldTileX);
+    state = hashInt(state ^ worldTileY);
+    return createRandom(state);
+}
+
+function createRandom(state) {
+    // Mulberry32; returns a function giving numbers in the range [0, 1)
+    return function() {
+        state = (state + 0x6d2b79f5) | 0;
+        var t = multiply32(state ^ (state >>> 15), 1 | state);
+        t = (t + multiply32(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function hashInt(val) {
+    // Mixes up the bits of a 32-bit integer ("lowbias32")
+    val = val | 0;
+    val ^= val >>> 16;
+    val = multiply32(val, 0x7feb352d);
+    val ^= val >>> 15;
+    val = multiply32(val, 0x846ca68b);
+    val ^= val >>> 16;
+    return val;
+}
+
+function multiply32(a, b) {
+    // Same as `Math.imul`, which Rhino may not have. Splitting `a` keeps each
+    // product small enough to be exact.
+    var aHigh = (a >>> 16) & 0xffff;
+    var aLow = a & 0xffff;
+    return ((aLow * b) + (((aHigh * b) & 0xffff) << 16)) | 0;
+}
+
+function randomInt(random, min, max) {
+    // Inclusive of both `min` and `max`
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// World data
+////////////////////////////////////////////////////////////////////////////////
+
+// Sectors are cached so that neighbouring tiles can be looked up across sector
+// boundaries without reloading them every time. Sectors are generated a column
+// at a time, and neighbours are only ever one sector away, so it's enough to
+// keep three columns (plus the sectors just beyond either end) around.
+const MAX_CACHED_SECTORS = 3 * (MAX_SECTOR_Y - MIN_SECTOR_Y + 3);
+
+function getSector(sectorX, sectorY) {
+    var key = sectorX + "," + sectorY;
+    if (key in sectorCache.sectors) {
+        return sectorCache.sectors[key];
+    }
+    return addToSectorCache(sectorCache, key, loadWorldSector(sectorX, sectorY));
+}
+
+function getLandscapeGround(sectorX, sectorY) {
+    // The ground layer of a sector, as loaded from the landscape (it's only
+    // prepared once the whole sector is loaded; see `getSector`)
+    var key = sectorX + "," + sectorY;
+    if (key in groundLayerCache.sectors) {
+        return groundLayerCache.sectors[key];
+    }
+    var groundLayer = null;
+    if (sectorX >= MIN_SECTOR_X && sectorX <= MAX_SECTOR_X
+            && sectorY >= MIN_SECTOR_Y && sectorY <= MAX_SECTOR_Y) {
+        groundLayer = loadSectorLayer(landscape, 0, sectorX, sectorY);
+    }
+    return addToSectorCache(groundLayerCache, key, groundLayer);
+}
+
+function addToSectorCache(cache, key, sector) {
+    // Evict the oldest sector if the cache is full
+    cache.order.push(key);
+    cache.sectors[key] = sector;
+    if (cache.order.length > MAX_CACHED_SECTORS) {
+        delete cache.sectors[cache.order.shift()];
+    }
+    return sector;
+}
+
+function loadWorldSector(sectorX, sectorY) {
+    var groundLayer = getLandscapeGround(sectorX, sectorY);
+    if (!groundLayer) {
+        return null;
+    }
+
+    // All layers are loaded up-front; any missing ones are left empty
+    var sector = new Array(UNDERGROUND_LAYER + 1);
+    sector[0] = groundLayer;
+    for (var layer = 1; layer < sector.length; layer++) {
+        sector[layer] = loadSectorLayer(landscape, layer, sectorX, sectorY);
+        if (layer === UNDERGROUND_LAYER) {
+            // Most sectors have nothing underground, so nothing is built there
+            sector.hasUnderground = !!sector[layer];
+        }
+        sector[layer] = sector[layer] || createEmptySector();
+    }
+
+    sector.sectorX = sectorX;
+    sector.sectorY = sectorY;
+    prepareSector(sector);
+    return sector;
+}
+
+function hasWorldSector(sectorX, sectorY) {
+    // Whether `loadWorldSector` would find the sector, without loading it
+    if (sectorX < MIN_SECTOR_X || sectorX > MAX_SECTOR_X
+            || sectorY < MIN_SECTOR_Y || sectorY > MAX_SECTOR_Y) {
+        return false;
+    }
+    return hasSectorLayer(landscape, 0, sectorX, sectorY);
+}
+
+function getNeighbourTile(sector, layer, tileX, tileY) {
+    // Tile co-ordinates are relative to the given sector, but may fall outside
+    // it; returns null if there is no such tile.
+    if (isTileInSector(tileX, tileY)) {
+        return sector[layer][tileX][tileY];
+    }
+    return getWorldTile(layer,
+            sector.sectorX * SECTOR_SIZE + tileX,
+            sector.sectorY * SECTOR_SIZE + tileY);
+}
+
+function getLandscapeTile(sector, tileX, tileY) {
+    // Like `getNeighbourTile` for the ground layer, except that tiles outside
+    // the sector come straight from the landscape data, so this is safe to use
+    // while the sector is being prepared. Such tiles have no `mc` data.
+    if (isTileInSector(tileX, tileY)) {
+        return sector[0][tileX][tileY];
+    }
+    var worldTileX = sector.sectorX * SECTOR_SIZE + tileX;
+    var worldTileY = sector.sectorY * SECTOR_SIZE + tileY;
+    var sectorX = Math.floor(worldTileX / SECTOR_SIZE);
+    var sectorY = Math.floor(worldTileY / SECTOR_SIZE);
+    var groundLayer = getLandscapeGround(sectorX, sectorY);
+    if (!groundLayer) {
+        return null;
+    }
+    return groundLayer[worldTileX - sectorX * SECTOR_SIZE][worldTileY - sectorY * SECTOR_SIZE];
+}
+
+function getWorldTile(layer, worldTileX, worldTileY) {
+    // World tile co-ordinates count from the very first sector (h0x0y0), i.e.
+    // `sectorX * SECTOR_SIZE + tileX`.
+    var sectorX = Math.floor(worldTileX / SECTOR_SIZE);
+    var sectorY = Math.floor(worldTileY / SECTOR_SIZE);
+    var sector = getSector(sectorX, sectorY);
+    if (!sector) {
+        return null;
+    }
+    return sector[layer][worldTileX - sectorX * SECTOR_SIZE][worldTileY - sectorY * SECTOR_SIZE];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Data loading
+////////////////////////////////////////////////////////////////////////////////
+
+function loadLandscapeData(filename) {
+    var file = new File(filename);
+    if (!file.exists()) {
+        player.printError("Specified landscape file does not exist");
+    }
+
+    // A directory is assumed to be a client cache containing the original
+    // land / maps archives
+    if (file.isDirectory()) {
+        return loadJagLandscape(file);
+    }
+
+    // Load ZIP file
+    return { zip: new ZipFile(file) };
+}
+
+function loadSectorLayer(landscape, layer, sectorX, sectorY) {
+    if (landscape.zip) {
+        var sectorEntry = landscape.zip.getEntry(getSectorId(layer, sectorX, sectorY));
+        if (!sectorEntry) {
+            return null;
+        }
+        return loadSector(landscape.zip, sectorEntry);
+    }
+    return loadJagSector(landscape, layer, sectorX, sectorY);
+}
+
+function hasSectorLayer(landscape, layer, sectorX, sectorY) {
+    // Whether `loadSectorLayer` would find anything, without loading it
+    if (landscape.zip) {
+        return !!landscape.zip.getEntry(getSectorId(layer, sectorX, sectorY));
+    }
+    var name = getJagSectorName(layer, sectorX, sectorY);
+    return hasJagEntry(landscape.land, name + ".hei")
+            || hasJagEntry(landscape.landMembers, name + ".hei")
+            || hasJagEntry(landscape.maps, name + ".dat")
+            || hasJagEntry(landscape.mapsMembers, name + ".dat");
+}
+
+function createEmptySector() {
+    var sector = new Array(SECTOR_SIZE);
+    for (var x = 0; x < SECTOR_SIZE; x++) {
+        sector[x] = new Array(SECTOR_SIZE);
+        for (var y = 0; y < SECTOR_SIZE; y++) {
+            sector[x][y] = {
+                groundElevation: 0,
+                groundTexture: 0,
+                groundOverlay: 0,
+                roofTexture: 0,
+                rightBorderWall: 0,
+                topBorderWall: 0,
+                diagonalWalls: 0,
+                direction: 0
+            };
+        }
+    }
+    return sector;
+}
+
+function loadSector(archive, sectorEntry) {
+    buffer = streamToBuffer(new BufferedInputStream(archive.getInputStream(sectorEntry)));
+    sector = new Array(SECTOR_SIZE);
+    for (var x = 0; x < SECTOR_SIZE; x++) {
+        sector[x] = new Array(SECTOR_SIZE);
+        for (var y = 0; y < SECTOR_SIZE; y++) {
+            // See: https://github.com/Open-RSC/2D-Landscape-Editor/blob/main/src/main/java/org/openrsc/editor/model/Tile.java#L206
+            var tile = {}
+            tile.groundElevation = toUnsigned(buffer.get());
+            tile.groundTexture = toUnsigned(buffer.get());
+            tile.groundOverlay = toUnsigned(buffer.get());
+            tile.roofTexture = toUnsigned(buffer.get());
+            tile.rightBorderWall = toUnsigned(buffer.get());
+            tile.topBorderWall = toUnsigned(buffer.get());
+            // 0-12000 is /, 12000-48000 is \, 48000+ is an object ID
+            tile.diagonalWalls = buffer.getInt();
+            // Object directions are not stored here
+            tile.direction = 0;
+            sector[x][y] = tile;
+        }
+    }
+    return sector;
+}
+
+function streamToBuffer(inputStream) {
+    var size = inputStream.available();
+    var buffer = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, size);
+    for (var i = 0; i < size; i++) {
+        buffer[i] = toSigned(inputStream.read());
+    }
+
+    // TODO: This would be more efficient but doesn't seem to work!
+    //inputStream.read(buffer, 0, size);
+
+    return ByteBuffer.wrap(buffer);
+}
+
+function mod(val, n) {
+    // Unlike `%`, this never returns a negative number
+    return ((val % n) + n) % n;
+}
+
+function toSigned(val) {
+    if (val > 127) {
+        val -= 256;
+    }
+    return val;
+}
+
+function toUnsigned(val) {
+    if (val < 0) {
+        val += 256;
+    }
+    return val;
+}
+
+function readTextFile(file) {
+    var bytes = Packages.java.nio.file.Files.readAllBytes(file.toPath());
+    return String(new java.lang.String(bytes, "UTF-8"));
+}
+
+function writeTextFile(file, text) {
+    var bytes = new java.lang.String(text).getBytes("UTF-8");
+    Packages.java.nio.file.Files.write(file.toPath(), bytes);
+}
+
+function readFileBytes(file) {
+    // Copy into a plain array of unsigned values, which is far easier to work
+    // with than a Java byte array
+    var javaBytes = Packages.java.nio.file.Files.readAllBytes(file.toPath());
+    var bytes = new Array(javaBytes.length);
+    for (var i = 0; i < javaBytes.length; i++) {
+        bytes[i] = javaBytes[i] & 0xff;
+    }
+    return bytes;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Client cache (.jag / .mem)
+////////////////////////////////////////////////////////////////////////////////
+
+// The original client stores heights in `land*.jag` and walls / objects in
+// `maps*.jag`, with members areas split into the equivalent `.mem` archives.
+// See:
+// https://github.com/2003scape/rsc-landscape/blob/master/src/sector.js
+// https://github.com/2003scape/rsc-archiver
+
+const SECTOR_TILES = SECTOR_SIZE * SECTOR_SIZE;
+
+function loadJagLandscape(directory) {
+    var landscape = {
+        land: loadJagArchive(findCacheFile(directory, "land", ".jag")),
+        maps: loadJagArchive(findCacheFile(directory, "maps", ".jag")),
+        landMembers: loadJagArchive(findCacheFile(directory, "land", ".mem")),
+        mapsMembers: loadJagArchive(findCacheFile(directory, "maps", ".mem"))
+    };
+
+    if (!landscape.land || !landscape.maps) {
+        throw "Missing land / maps archives in " + directory.getPath();
+    }
+
+    return landscape;
+}
+
+function findCacheFile(directory, prefix, extension) {
+    // Archives are versioned (e.g. "land63.jag"), so pick the latest one
+    var bestFile = null;
+    var bestVersion = -1;
+    var files = directory.listFiles();
+    for (var i = 0; i < files.length; i++) {
+        var name = String(files[i].getName()).toLowerCase();
+        if (name.indexOf(prefix) !== 0
+                || name.lastIndexOf(extension) !== name.length - extension.length) {
+            continue;
+        }
+        var version = parseInt(name.substring(prefix.length, name.length - extension.length), 10);
+        if (isNaN(version)) {
+            continue;
+        }
+        if (version > bestVersion) {
+            bestVersion = version;
+            bestFile = files[i];
+        }
+    }
+    return bestFile;
+}
+
+function loadJagArchive(file) {
+    if (!file) {
+        return null;
+    }
+
+    var data = readFileBytes(file);
+    var decompressedSize = readUInt24(data, 0);
+    var compressedSize = readUInt24(data, 3);
+    var offset = 6;
+
+    // If the sizes differ, the whole archive is compressed in one go;
+    // otherwise each entry is compressed individually
+    if (decompressedSize !== compressedSize) {
+        data = decompressBzip2(data, offset, compressedSize, decompressedSize);
+        offset = 0;
+    }
+
+    var numEntries = (data[offset] << 8) | data[offset + 1];
+    var entryOffset = offset + 2 + numEntries * 10;
+    var entries = {};
+
+    for (var i = 0; i < numEntries; i++) {
+        var headerOffset = offset + 2 + i * 10;
+        var hash = readInt32(data, headerOffset);
+        var entry = {
+            offset: entryOffset,
+            decompressedSize: readUInt24(data, headerOffset + 4),
+            compressedSize: readUInt24(data, headerOffset + 7)
+        };
+        entries[hash] = entry;
+        entryOffset += entry.compressedSize;
+    }
+
+    return { data: data, entries: entries };
+}
+
+function getJagEntry(archive, name) {
+    if (!archive) {
+        return null;
+    }
+
+    var entry = archive.entries[getJagHash(name)];
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.decompressedSize !== entry.compressedSize) {
+        return decompressBzip2(
+                archive.data, entry.offset, entry.compressedSize, entry.decompressedSize);
+    }
+
+    return archive.data.slice(entry.offset, entry.offset + entry.decompressedSize);
+}
+
+function hasJagEntry(archive, name) {
+    return !!(archive && archive.entries[getJagHash(name)]);
+}
+
+function getJagHash(name) {
+    name = name.toUpperCase();
+    var hash = 0;
+    for (var i = 0; i < name.length; i++) {
+        hash = ((hash * 61) + name.charCodeAt(i) - 32) | 0;
+    }
+    return hash;
+}
+
+function getJagSectorName(layer, sectorX, sectorY) {
+    // e.g. "m04837" for h0x48y37
+    return "m" + layer
+            + Math.floor(sectorX / 10) + (sectorX % 10)
+            + Math.floor(sectorY / 10) + (sectorY % 10);
+}
+
+function loadJagSector(landscape, layer, sectorX, sectorY) {
+    var name = getJagSectorName(layer, sectorX, sectorY);
+
+    var heights = getJagEntry(landscape.land, name + ".hei")
+            || getJagEntry(landscape.landMembers, name + ".hei");
+    var walls = getJagEntry(landscape.maps, name + ".dat")
+            || getJagEntry(landscape.mapsMembers, name + ".dat");
+    var objects = getJagEntry(landscape.maps, name + ".loc")
+            || getJagEntry(landscape.mapsMembers, name + ".loc");
+
+    if (!heights && !walls) {
+        return null;
+    }
+
+    // Decode everything into flat arrays first, as the client does, since the
+    // files are stored column by column (x * SECTOR_SIZE + y).
+    var elevation = new Array(SECTOR_TILES);
+    var colour = new Array(SECTOR_TILES);
+    var rightBorderWall = new Array(SECTOR_TILES);
+    var topBorderWall = new Array(SECTOR_TILES);
+    var diagonalWalls = new Array(SECTOR_TILES);
+    var roofTexture = new Array(SECTOR_TILES);
+    var overlay = new Array(SECTOR_TILES);
+    var direction = new Array(SECTOR_TILES);
+
+    for (var i = 0; i < SECTOR_TILES; i++) {
+        elevation[i] = 0;
+        colour[i] = 0;
+        rightBorderWall[i] = 0;
+        topBorderWall[i] = 0;
+        diagonalWalls[i] = 0;
+        roofTexture[i] = 0;
+        overlay[i] = 0;
+        direction[i] = 0;
+    }
+
+    if (heights) {
+        var offset = decodeRunLength(heights, 0, elevation, true);
+        decodeDeltas(elevation, 64);
+        offset = decodeRunLength(heights, offset, colour, true);
+        decodeDeltas(colour, 35);
+    }
+
+    if (walls) {
+        var offset = 0;
+        for (var i = 0; i < SECTOR_TILES; i++) {
+            rightBorderWall[i] = walls[offset++];
+        }
+        for (var i = 0; i < SECTOR_TILES; i++) {
+            topBorderWall[i] = walls[offset++];
+        }
+        // 0-12000 is /, 12000-48000 is \
+        for (var i = 0; i < SECTOR_TILES; i++) {
+            diagonalWalls[i] = walls[offset++];
+        }
+        for (var i = 0; i < SECTOR_TILES; i++) {
+            var val = walls[offset++];
+            if (val > 0) {
+                diagonalWalls[i] = val + 12000;
+            }
+        }
+        offset = decodeRunLength(walls, offset, roofTexture, false);
+        offset = decodeRunLength(walls, offset, overlay, true);
+        // The direction that each object faces (see `OBJECT_FACINGS`)
+        if (offset < walls.length) {
+            offset = decodeRunLength(walls, offset, direction, false);
+        }
+    }
+
+    if (objects) {
+        // Object IDs are stored in the same field as diagonal walls
+        var offset = 0;
+        for (var i = 0; i < SECTOR_TILES; ) {
+            var val = objects[offset++];
+            if (val < 128) {
+                diagonalWalls[i++] = val + 48000;
+            } else {
+                i += val - 128;
+            }
+        }
+    }
+
+    // Convert to the same structure produced by `loadSector`
+    var sector = new Array(SECTOR_SIZE);
+    for (var x = 0; x < SECTOR_SIZE; x++) {
+        sector[x] = new Array(SECTOR_SIZE);
+        for (var y = 0; y < SECTOR_SIZE; y++) {
+            var i = x * SECTOR_SIZE + y;
+            sector[x][y] = {
+                groundElevation: elevation[i],
+                groundTexture: colour[i],
+                groundOverlay: overlay[i],
+                roofTexture: roofTexture[i],
+                rightBorderWall: rightBorderWall[i],
+                topBorderWall: topBorderWall[i],
+                diagonalWalls: diagonalWalls[i],
+                direction: direction[i]
+            };
+        }
+    }
+    return sector;
+}
+
+function decodeRunLength(data, offset, values, repeatLast) {
+    // Values below 128 are literal; anything else is a run of (val - 128)
+    // tiles, repeating either the last value or zero.
+    var lastVal = 0;
+    for (var i = 0; i < SECTOR_TILES; ) {
+        var val = data[offset++];
+        if (val < 128) {
+            values[i++] = val;
+            lastVal = val;
+        } else {
+            for (var run = 0; run < val - 128; run++) {
+                values[i++] = repeatLast ? lastVal : 0;
+            }
+        }
+    }
+    return offset;
+}
+
+function decodeDeltas(values, initialVal) {
+    // Heights and colours are stored as differences from the previous tile,
+    // which (unlike the run-length encoding) runs row by row.
+    var lastVal = initialVal;
+    for (var y = 0; y < SECTOR_SIZE; y++) {
+        for (var x = 0; x < SECTOR_SIZE; x++) {
+            var i = x * SECTOR_SIZE + y;
+            lastVal = (values[i] + lastVal) & 0x7f;
+            values[i] = (lastVal * 2) & 0xff;
+        }
+    }
+}
+
+function readUInt24(data, offset) {
+    return (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+}
+
+function readInt32(data, offset) {
+    return (data[offset] << 24) | (data[offset + 1] << 16)
+            | (data[offset + 2] << 8) | data[offset + 3];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// BZip2
+////////////////////////////////////////////////////////////////////////////////
+
+// Java has no built-in BZip2 support, so this is a minimal decoder based on
+// the reference implementation. Jagex strips the "BZh" stream header, so the
+// data begins directly with the first block.
+
+const BZIP2_MAX_GROUPS = 6;
+const BZIP2_GROUP_SIZE = 50;
+const BZIP2_MAX_CODE_LENGTH = 20;
+
+function decompressBzip2(data, offset, length, decompressedSize) {
+    var reader = {
+        data: data,
+        pos: offset,
+        end: offset + length,
+        bitBuffer: 0,
+        bitCount: 0
+    };
+    var output = new Array(decompressedSize);
+    var outputPos = 0;
+
+    while (reader.pos < reader.end || reader.bitCount >= 48) {
+        var magicHigh = readBits(reader, 24);
+        var magicLow = readBits(reader, 24);
+
+        if (magicHigh === 0x177245 && magicLow === 0x385090) {
+            // End of stream
+            break;
+        }
+        if (magicHigh !== 0x314159 || magicLow !== 0x265359) {
+            throw "Invalid BZip2 block header";
+        }
+
+        outputPos = decompressBzip2Block(reader, output, outputPos);
+    }
+
+    return output;
+}
+
+function decompressBzip2Block(reader, output, outputPos) {
+    // Skip the CRC
+    readBits(reader, 16);
+    readBits(reader, 16);
+
+    if (readBits(reader, 1)) {
+        throw "Randomised BZip2 blocks are not supported";
+    }
+
+    var origPtr = readBits(reader, 24);
+
+    // Symbols in use
+    var seqToUnseq = [];
+    var inUse16 = readBits(reader, 16);
+    for (var i = 0; i < 16; i++) {
+        if (inUse16 & (0x8000 >> i)) {
+            var inUse = readBits(reader, 16);
+            for (var j = 0; j < 16; j++) {
+                if (inUse & (0x8000 >> j)) {
+                    seqToUnseq.push(i * 16 + j);
+                }
+            }
+        }
+    }
+    var alphaSize = seqToUnseq.length + 2;
+    var endOfBlock = seqToUnseq.length + 1;
+
+    // Huffman table selectors (move-to-front encoded)
+    var numGroups = readBits(reader, 3);
+    var numSelectors = readBits(reader, 15);
+    if (numGroups < 2 || numGroups > BZIP2_MAX_GROUPS) {
+        throw "Invalid number of BZip2 Huffman tables";
+    }
+    var groupOrder = [];
+    for (var i = 0; i < numGroups; i++) {
+        groupOrder.push(i);
+    }
+    var selectors = new Array(numSelectors);
+    for (var i = 0; i < numSelectors; i++) {
+        var index = 0;
+        while (readBits(reader, 1)) {
+            index++;
+        }
+        var group = groupOrder[index];
+        groupOrder.splice(index, 1);
+        groupOrder.unshift(group);
+        selectors[i] = group;
+    }
+
+    // Huffman code lengths (delta encoded)
+    var tables = [];
+    for (var t = 0; t < numGroups; t++) {
+        var lengths = new Array(alphaSize);
+        var currentLength = readBits(reader, 5);
+        for (var i = 0; i < alphaSize; i++) {
+            while (true) {
+                if (currentLength < 1 || currentLength > BZIP2_MAX_CODE_LENGTH) {
+                    throw "Invalid BZip2 code length";
+                }
+                if (!readBits(reader, 1)) {
+                    break;
+                }
+                currentLength += readBits(reader, 1) ? -1 : 1;
+            }
+            lengths[i] = currentLength;
+        }
+        tables.push(createHuffmanTable(lengths));
+    }
+
+    // Decode the Huffman / move-to-front / run-length layers
+    var mtf = [];
+    for (var i = 0; i < 256; i++) {
+        mtf.push(i);
+    }
+    var counts = new Array(256);
+    for (var i = 0; i < 256; i++) {
+        counts[i] = 0;
+    }
+    var tt = [];
+    var selectorIndex = 0;
+    var groupRemaining = 0;
+    var table = null;
+    var runLength = 0;
+    var runWeight = 1;
+
+    while (true) {
+        if (groupRemaining === 0) {
+            if (selectorIndex >= numSelectors) {
+                throw "Invalid BZip2 selector";
+            }
+            table = tables[selectors[selectorIndex++]];
+            groupRemaining = BZIP2_GROUP_SIZE;
+        }
+        groupRemaining--;
+
+        var symbol = decodeHuffmanSymbol(reader, table);
+
+        // RUNA / RUNB encode a run of the symbol at the front of the list
+        if (symbol <= 1) {
+            runLength += (symbol + 1) * runWeight;
+            runWeight <<= 1;
+            continue;
+        }
+
+        if (runLength > 0) {
+            var runByte = seqToUnseq[mtf[0]];
+            counts[runByte] += runLength;
+            while (runLength > 0) {
+                tt.push(runByte);
+                runLength--;
+            }
+            runWeight = 1;
+        }
+
+        if (symbol === endOfBlock) {
+            break;
+        }
+
+        var mtfIndex = symbol - 1;
+        var value = mtf[mtfIndex];
+        mtf.splice(mtfIndex, 1);
+        mtf.unshift(value);
+
+        var nextByte = seqToUnseq[value];
+        counts[nextByte]++;
+        tt.push(nextByte);
+    }
+
+    if (origPtr >= tt.length) {
+        throw "Invalid BZip2 origin pointer";
+    }
+
+    // Inverse Burrows-Wheeler transform
+    var cumulative = new Array(256);
+    var total = 0;
+    for (var i = 0; i < 256; i++) {
+        cumulative[i] = total;
+        total += counts[i];
+    }
+    for (var i = 0; i < tt.length; i++) {
+        var b = tt[i] & 0xff;
+        tt[cumulative[b]] |= (i << 8);
+        cumulative[b]++;
+    }
+
+    // Undo the initial run-length encoding while writing the output
+    var tPos = tt[origPtr] >> 8;
+    var lastByte = -1;
+    var repeats = 0;
+    for (var i = 0; i < tt.length; i++) {
+        tPos = tt[tPos];
+        var b = tPos & 0xff;
+        tPos >>= 8;
+
+        if (repeats === 4) {
+            for (var j = 0; j < b; j++) {
+                output[outputPos++] = lastByte;
+            }
+            repeats = 0;
+            continue;
+        }
+
+        if (b === lastByte) {
+            repeats++;
+        } else {
+            repeats = 1;
+            lastByte = b;
+        }
+        output[outputPos++] = b;
+    }
+
+    return outputPos;
+}
+
+function createHuffmanTable(lengths) {
+    var minLength = BZIP2_MAX_CODE_LENGTH;
+    var maxLength = 0;
+    for (var i = 0; i < lengths.length; i++) {
+        minLength = Math.min(minLength, lengths[i]);
+        maxLength = Math.max(maxLength, lengths[i]);
+    }
+
+    var permute = [];
+    for (var length = minLength; length <= maxLength; length++) {
+        for (var i = 0; i < lengths.length; i++) {
+            if (lengths[i] === length) {
+                permute.push(i);
+            }
+        }
+    }
+
+    var base = new Array(BZIP2_MAX_CODE_LENGTH + 2);
+    var limit = new Array(BZIP2_MAX_CODE_LENGTH + 2);
+    for (var i = 0; i < base.length; i++) {
+        base[i] = 0;
+        limit[i] = 0;
+    }
+    for (var i = 0; i < lengths.length; i++) {
+        base[lengths[i] + 1]++;
+    }
+    for (var i = 1; i < base.length; i++) {
+        base[i] += base[i - 1];
+    }
+
+    var code = 0;
+    for (var length = minLength; length <= maxLength; length++) {
+        code += base[length + 1] - base[length];
+        limit[length] = code - 1;
+        code <<= 1;
+    }
+    for (var length = minLength + 1; length <= maxLength; length++) {
+        base[length] = ((limit[length - 1] + 1) << 1) - base[length];
+    }
+
+    return {
+        minLength: minLength,
+        maxLength: maxLength,
+        base: base,
+        limit: limit,
+        permute: permute
+    };
+}
+
+function decodeHuffmanSymbol(reader, table) {
+    var length = table.minLength;
+    var code = readBits(reader, length);
+    while (code > table.limit[length]) {
+        length++;
+        if (length > table.maxLength) {
+            throw "Invalid BZip2 Huffman code";
+        }
+        code = (code << 1) | readBits(reader, 1);
+    }
+    return table.permute[code - table.base[length]];
+}
+
+function readBits(reader, numBits) {
+    while (reader.bitCount < numBits) {
+        var nextByte = reader.pos < reader.end ? reader.data[reader.pos] : 0;
+        reader.pos++;
+        reader.bitBuffer = (reader.bitBuffer << 8) | nextByte;
+        reader.bitCount += 8;
+    }
+    reader.bitCount -= numBits;
+    var value = (reader.bitBuffer >>> reader.bitCount) & ((1 << numBits) - 1);
+    reader.bitBuffer &= (1 << reader.bitCount) - 1;
+    return value;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Navigation
+////////////////////////////////////////////////////////////////////////////////
+
+// Well-known places, in RSC co-ordinates.
+// These are approximate, and point somewhere near the middle of each place
+// (or the entrance, for dungeons).
+const PLACES = {
+    // Towns
+    "Lumbridge": [120, 648],
+    "Varrock": [120, 504],
+    "Falador": [312, 552],
+    "Draynor Village": [216, 640],
+    "Al Kharid": [86, 690],
+    "Port Sarim": [270, 640],
+    "Edgeville": [215, 445],
+    "Barbarian Village": [230, 510],
+    "Rimmington": [320, 655],
+    "Karamja": [330, 713],
+    "Entrana": [420, 560],
+    "Catherby": [440, 500],
+    "Camelot": [465, 456],
+    "Seers Village": [500, 455],
+    "Ardougne": [588, 621],
+    "Yanille": [590, 750],
+
+    // Landmarks
+    "Wizards Tower": [218, 693],
+    "Ice Mountain": [290, 455],
+    "Wilderness": [215, 400],
+    "Watchtower": [637, 740],
+
+    // Dungeons
+    "Varrock Sewers": [104, 3336],
+    "Edgeville Dungeon": [222, 3270],
+    "Taverley Dungeon": [376, 3352],
+    "Dwarven Mine": [279, 3326],
+    "Asgarnian Ice Dungeon": [285, 3543],
+    "Karamja Dungeon": [422, 3527]
+};
+
+function findPlace(place) {
+    // Either "x,y"...
+    var coordsMatch = /^(\d+),(\d+)$/.exec(place);
+    if (coordsMatch) {
+        return [parseInt(coordsMatch[1], 10), parseInt(coordsMatch[2], 10)];
+    }
+
+    // ...or a name, which is forgiving about case, spaces and punctuation
+    var key = normalizePlaceName(place);
+    for (var name in PLACES) {
+        if (normalizePlaceName(name) === key) {
+            return PLACES[name];
+        }
+    }
+    return null;
+}
+
+function normalizePlaceName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function listPlaces() {
+    var names = [];
+    for (var name in PLACES) {
+        names.push(name);
+    }
+    player.print("Known places: " + names.join(", "));
+}
+
+function gotoPlace(rscCoords) {
+    var location = getTileForRscCoords(rscCoords[0], rscCoords[1]);
+    var sectorMinBlockPos = getMinBlockPosForSector(location.sectorX, location.sectorY);
+    var blockPos = getTileCentre(getBlockPosForTile(sectorMinBlockPos, location.tileX, location.tileY));
+
+    // Stand on the floor of the right layer, if we know where that is
+    var y = SEA_LEVEL + 1;
+    var sector = getSector(location.sectorX, location.sectorY);
+    if (sector && sector[location.layer]) {
+        var tile = sector[location.layer][location.tileX][location.tileY];
+        y = BEDROCK_LEVEL + tile.mc.elevation + 1;
+    }
+
+    player.print("Teleporting to: " + rscCoords[0] + ", " + rscCoords[1]);
+    var worldPos = mapToWorld(blockPos.withY(y));
+    player.trySetPosition(Vector3.at(worldPos.getX() + 0.5, worldPos.getY(), worldPos.getZ() + 0.5));
+}
+
+function getSectorsAround(rscCoords, radius) {
+    // Sectors contain every layer, so only the position within the layer
+    // matters
+    var min = getTileForRscCoords(Math.max(0, rscCoords[0] - radius),
+            Math.max(0, (rscCoords[1] % RSC_LAYER_OFFSET) - radius));
+    var max = getTileForRscCoords(rscCoords[0] + radius,
+            (rscCoords[1] % RSC_LAYER_OFFSET) + radius);
+    return [
+        BlockVector3.at(min.sectorX, 0, min.sectorY),
+        BlockVector3.at(Math.min(max.sectorX, MAX_SECTOR_X), 0, Math.min(max.sectorY, MAX_SECTOR_Y))
+    ];
+}
+
+function inspectTile(blockPos) {
+    var location = getTileForBlockPos(blockPos);
+    var rscCoords = getRscCoords(0, location.sectorX, location.sectorY, location.tileX, location.tileY);
+    player.print("Sector: " + getSectorId(0, location.sectorX, location.sectorY)
+            + ", tile: " + location.tileX + ", " + location.tileY);
+    player.print("RSC co-ordinates: " + rscCoords.x + ", " + rscCoords.y);
+    var region = findRegion(rscCoords);
+    player.print("Region: " + (region ? region.name : "(none)"));
+
+    // Raw data, exactly as loaded
+    for (var layer = 0; layer <= UNDERGROUND_LAYER; layer++) {
+        var sectorLayer = loadSectorLayer(landscape, layer, location.sectorX, location.sectorY);
+        if (!sectorLayer) {
+            player.print("Layer " + layer + ": (no data)");
+            continue;
+        }
+        var tile = sectorLayer[location.tileX][location.tileY];
+        rscCoords = getRscCoords(layer, location.sectorX, location.sectorY, location.tileX, location.tileY);
+        player.print("Layer " + layer + " (" + rscCoords.x + ", " + rscCoords.y + "): "
+                + "elevation=" + tile.groundElevation
+                + ", texture=" + tile.groundTexture
+                + ", overlay=" + tile.groundOverlay
+                + ", roof=" + tile.roofTexture
+                + ", rightWall=" + tile.rightBorderWall
+                + ", topWall=" + tile.topBorderWall
+                + ", diagonalWall=" + describeDiagonalWall(tile.diagonalWalls)
+                + ", object=" + (tile.diagonalWalls >= 48000 ? tile.diagonalWalls - 48000 : 0)
+                + ", direction=" + tile.direction);
+    }
+}
+
+function describeDiagonalWall(diagonalWalls) {
+    if (!isWall(diagonalWalls)) {
+        return 0;
+    }
+    var direction = diagonalWalls >= 12000 ? "\\" : "/";
+    return normalizeWallType(diagonalWalls) + " (" + direction + ")";
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Schematics
+////////////////////////////////////////////////////////////////////////////////
+
+// Height of schematics above BEDROCK_LEVEL; enough for every storey, plus the
+// tallest trees
+const SCHEMATIC_HEIGHT = 64;
+
+function createSchematic(minSectorX, minSectorY, maxSectorX, maxSectorY, underground) {
+    // The x-axis is flipped, so the maximum sector gives the minimum block
+    var minBlockPos = getMinBlockPosForSector(maxSectorX, minSectorY);
+    var sectorBlocks = SECTOR_SIZE * worldTransform.scale;
+    var maxBlockPos = getMinBlockPosForSector(minSectorX, maxSectorY)
+            .add(sectorBlocks - 1, 0, sectorBlocks - 1);
+
+    // Walls may extend below the ground
+    var minY = underground
+        ? BEDROCK_LEVEL - undergroundDepth
+        : BEDROCK_LEVEL - WALL_HEIGHT;
+
+    // Any corners will do, so rotation doesn't matter here
+    var schematicRegion = new CuboidRegion(
+            mapToWorld(minBlockPos.withY(minY)),
+            mapToWorld(maxBlockPos.withY(BEDROCK_LEVEL + SCHEMATIC_HEIGHT)));
+    var clipboard = new BlockArrayClipboard(schematicRegion);
+    clipboard.setOrigin(schematicRegion.getMinimumPoint());
+    return clipboard;
+}
+
+function saveSchematic(clipboard, directory, name) {
+    directory.mkdirs();
+    var file = new File(directory, name + ".schem");
+    player.print("Saving schematic: " + file.getPath());
+    // Closing the writer closes the file too, but the file still needs closing
+    // if the writer can't be created
+    var output = new FileOutputStream(file);
+    try {
+        var writer = BuiltInClipboardFormat.SPONGE_SCHEMATIC.getWriter(output);
+        try {
+            writer.write(clipboard);
+        } finally {
+            writer.close();
+        }
+    } finally {
+        output.close();
+    }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Report
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * A report lists every ID found in the landscape, without placing any blocks,
+ * so that we can see which ones still need mapping. It is written as CSV if the
+ * output filename ends in ".csv", or JSON otherwise.
+ */
+
+const MAX_REPORT_EXAMPLES = 5;
+
+const REPORT_CATEGORIES = ["texture", "overlay", "wall", "roof", "object"];
+
+function writeReport(minSectorCoords, maxSectorCoords, outputFilename) {
+    var entries = {};
+    var numSectors = 0;
+
+    for (var sectorX = minSectorCoords.getX(); sectorX <= maxSectorCoords.getX(); sectorX++) {
+        for (var sectorY = minSectorCoords.getZ(); sectorY <= maxSectorCoords.getZ(); sectorY++) {
+            // Layers are read directly, since there's no need to prepare them
+            // for building
+            var found = false;
+            for (var layer = 0; layer <= UNDERGROUND_LAYER; layer++) {
+                var sectorLayer = loadSectorLayer(landscape, layer, sectorX, sectorY);
+                if (!sectorLayer) {
+                    continue;
+                }
+                found = true;
+                for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+                    for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+                        var coords = getRscCoords(layer, sectorX, sectorY, tileX, tileY);
+                        addTileToReport(entries, sectorLayer[tileX][tileY], coords);
+                    }
+                }
+            }
+            if (found) {
+                numSectors++;
+            }
+        }
+    }
+
+    // Most common first, so it's obvious what to map next
+    var sortedEntries = [];
+    for (var key in entries) {
+        sortedEntries.push(entries[key]);
+    }
+    sortedEntries.sort(function(a, b) {
+        var categoryDiff = REPORT_CATEGORIES.indexOf(a.category) - REPORT_CATEGORIES.indexOf(b.category);
+        return categoryDiff || (b.count - a.count) || (a.id - b.id);
+    });
+
+    var text;
+    if (/\.csv$/i.test(outputFilename)) {
+        text = formatReportCsv(sortedEntries);
+    } else {
+        text = JSON.stringify({ sectors: numSectors, entries: sortedEntries }, null, 2);
+    }
+    writeTextFile(new File(outputFilename), text);
+
+    var unmapped = 0;
+    for (var i = 0; i < sortedEntries.length; i++) {
+        if (!sortedEntries[i].mapped) {
+            unmapped++;
+        }
+    }
+    player.print("Sectors read: " + numSectors);
+    player.print("IDs found: " + sortedEntries.length + " (" + unmapped + " unmapped)");
+}
+
+function addTileToReport(entries, tile, coords) {
+    addToReport(entries, "texture", tile.groundTexture, coords);
+    if (tile.groundOverlay) {
+        addToReport(entries, "overlay", tile.groundOverlay, coords);
+    }
+    if (tile.roofTexture) {
+        addToReport(entries, "roof", tile.roofTexture, coords);
+    }
+    if (tile.topBorderWall) {
+        addToReport(entries, "wall", tile.topBorderWall, coords);
+    }
+    if (tile.rightBorderWall) {
+        addToReport(entries, "wall", tile.rightBorderWall, coords);
+    }
+    if (isWall(tile.diagonalWalls)) {
+        addToReport(entries, "wall", normalizeWallType(tile.diagonalWalls), coords);
+    } else if (tile.diagonalWalls >= 48000) {
+        addToReport(entries, "object", normalizeWallType(tile.diagonalWalls), coords);
+    }
+}
+
+function addToReport(entries, category, id, coords) {
+    var key = category + ":" + id;
+    var entry = entries[key];
+    if (!entry) {
+        var mapping = getReportMapping(category, id);
+        entry = {
+            category: category,
+            id: id,
+            name: (mapping && mapping.name) || "",
+            mapped: !!mapping,
+            count: 0,
+            examples: []
+        };
+        entries[key] = entry;
+    }
+
+    entry.count++;
+    if (entry.examples.length < MAX_REPORT_EXAMPLES) {
+        entry.examples.push([coords.x, coords.y]);
+    }
+}
+
+function getReportMapping(category, id) {
+    if (category === "texture") {
+        // Every colour maps to something
+        return { name: getTerrainMatch(id).best.block };
+    } else if (category === "overlay") {
+        return blockMapping.overlays[id];
+    } else if (category === "wall") {
+        return blockMapping.walls[id];
+    } else if (category === "roof") {
+        return blockMapping.roofs[id];
+    }
+    return blockMapping.objects[id];
+}
+
+function formatReportCsv(entries) {
+    var lines = ["category,id,name,mapped,count,examples"];
+    for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        var examples = entry.examples.map(function(coords) {
+            return coords[0] + " " + coords[1];
+        });
+        lines.push([
+            entry.category,
+            entry.id,
+            "\"" + entry.name.replace(/"/g, "\"\"") + "\"",
+            entry.mapped,
+            entry.count,
+            "\"" + examples.join("; ") + "\""
+        ].join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Export
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Exporting reads generated sectors back from the world, reversing the block
+ * mapping to recover the tile data.
+ *
+ * This can never be perfect (RSC walls are 2D, several IDs can share a block,
+ * objects are not recognised, etc.), so every tile starts out as a copy of the
+ * original landscape data, and only changes where the world clearly differs
+ * from what would have been generated. Likewise, layers that the original
+ * landscape doesn't have are only written if something has been built there.
+ */
+
+// Size of each tile in a Landscape.data sector (see `loadSector`)
+const TILE_DATA_SIZE = 10;
+
+function exportSectors(minSectorCoords, maxSectorCoords, outputFilename, underground) {
+    var outputFile = new File(outputFilename);
+    if (outputFile.exists()) {
+        throw "Output file already exists: " + outputFilename;
+    }
+
+    // Walls are built differently at larger scales
+    if (worldTransform.scale !== 1) {
+        throw "Export only supports a scale of 1";
+    }
+
+    // Read floors first, since walls and roofs are positioned relative to the
+    // ground, and walls can belong to tiles in neighbouring sectors
+    var exported = {};
+    for (var sectorX = minSectorCoords.getX(); sectorX <= maxSectorCoords.getX(); sectorX++) {
+        for (var sectorY = minSectorCoords.getZ(); sectorY <= maxSectorCoords.getZ(); sectorY++) {
+            var sectorId = getSectorId(0, sectorX, sectorY);
+            var sector = getSector(sectorX, sectorY);
+            if (!sector) {
+                player.printError("Invalid sector: " + sectorId);
+                continue;
+            }
+
+            player.print("Exporting sector: " + sectorId);
+            var exportSector = createExportSector(sector);
+            readFloors(sector, exportSector, underground && sector.hasUnderground);
+            exported[sectorX + "," + sectorY] = exportSector;
+        }
+    }
+
+    var lastLayer = underground ? UNDERGROUND_LAYER : NUM_LAYERS - 1;
+    for (var layer = 0; layer <= lastLayer; layer++) {
+        readWalls(exported, layer);
+        if (layer !== UNDERGROUND_LAYER) {
+            for (var key in exported) {
+                readRoofs(exported[key], layer);
+            }
+        }
+    }
+
+    player.print("Writing landscape: " + outputFilename);
+    writeLandscape(outputFile, exported);
+}
+
+function createExportSector(sector) {
+    var exportSector = new Array(sector.length);
+    for (var layer = 0; layer < sector.length; layer++) {
+        exportSector[layer] = createEmptySector();
+        for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+            for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+                var baseTile = sector[layer][tileX][tileY];
+                var tile = exportSector[layer][tileX][tileY];
+                for (var field in tile) {
+                    tile[field] = baseTile[field];
+                }
+
+                // Keep hold of what was generated, so we can tell what has
+                // changed
+                tile.base = baseTile;
+                tile.elevation = baseTile.mc.elevation;
+            }
+        }
+    }
+    exportSector.sectorX = sector.sectorX;
+    exportSector.sectorY = sector.sectorY;
+    return exportSector;
+}
+
+function getExportTile(exported, layer, worldTileX, worldTileY) {
+    var sectorX = Math.floor(worldTileX / SECTOR_SIZE);
+    var sectorY = Math.floor(worldTileY / SECTOR_SIZE);
+    var exportSector = exported[sectorX + "," + sectorY];
+    if (!exportSector) {
+        return null;
+    }
+    return exportSector[layer][worldTileX - sectorX * SECTOR_SIZE][worldTileY - sectorY * SECTOR_SIZE];
+}
+
+function getBlockPosForWorldTile(worldTileX, worldTileY) {
+    var sectorX = Math.floor(worldTileX / SECTOR_SIZE);
+    var sectorY = Math.floor(worldTileY / SECTOR_SIZE);
+    return getBlockPosForTile(getMinBlockPosForSector(sectorX, sectorY),
+            worldTileX - sectorX * SECTOR_SIZE,
+            worldTileY - sectorY * SECTOR_SIZE);
+}
+
+function readFloors(sector, exportSector, underground) {
+    var sectorMinBlockPos = getMinBlockPosForSector(sector.sectorX, sector.sectorY);
+    for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+        for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+            var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
+            var worldTileX = sector.sectorX * SECTOR_SIZE + tileX;
+            var worldTileY = sector.sectorY * SECTOR_SIZE + tileY;
+
+            readGround(exportSector[0][tileX][tileY], blockPos, worldTileX, worldTileY);
+
+            // Cliffs may rise past the floors of upper storeys
+            var groundBase = exportSector[0][tileX][tileY].base;
+            var cliffTopY = isCliffTile(groundBase)
+                    ? BEDROCK_LEVEL + groundBase.mc.elevation
+                    : BEDROCK_LEVEL;
+
+            // Upper storeys sit at a fixed height above the ground (beneath
+            // any cliff)
+            var groundElevation = exportSector[0][tileX][tileY].elevation
+                    - groundBase.mc.elevation + getBaseElevation(groundBase);
+            for (var layer = 1; layer < NUM_LAYERS; layer++) {
+                var tile = exportSector[layer][tileX][tileY];
+                tile.elevation = groundElevation + layer * WALL_HEIGHT;
+
+                var floorY = BEDROCK_LEVEL + tile.elevation;
+                if (floorY <= cliffTopY) {
+                    continue;
+                }
+
+                // Roofs of the storey below are built at the same height
+                var roofBelow = blockMapping.roofs[exportSector[layer - 1][tileX][tileY].roofTexture];
+                if (roofBelow && readBlockType(blockPos.withY(floorY)) === getBlockType(roofBelow.block)) {
+                    continue;
+                }
+
+                readOverlay(tile, blockPos, floorY);
+            }
+
+            if (underground) {
+                readUndergroundFloor(exportSector[UNDERGROUND_LAYER][tileX][tileY],
+                        blockPos, worldTileX, worldTileY);
+            }
+        }
+    }
+}
+
+function readGround(tile, blockPos, worldTileX, worldTileY) {
+    // Water is dug out to different depths (see `buildWaterFloor`), so as long
+    // as the surface is still there, it counts as unchanged
+    if (isWaterTile(tile.base)) {
+        var surfaceY = BEDROCK_LEVEL + tile.base.mc.elevation + 1;
+        if (readBlockType(blockPos.withY(surfaceY)) === getBlockType(tile.base.mc.overlaySettings.block)) {
+            return;
+        }
+    }
+
+    // Likewise for cliffs, as long as the top is still there
+    if (isCliffTile(tile.base)) {
+        var topY = BEDROCK_LEVEL + tile.base.mc.elevation;
+        if (readBlockType(blockPos.withY(topY)) === getBlockType(tile.base.mc.overlaySettings.block)) {
+            return;
+        }
+    }
+
+    // Climb through the supporting blocks to find the ground (which may have
+    // been turned into a beach)
+    var maxY = BEDROCK_LEVEL + 5 + Math.ceil(8 * terrainExaggeration) + NUM_LAYERS * WALL_HEIGHT;
+    var y = BEDROCK_LEVEL + 1;
+    var blockType = readBlockType(blockPos.withY(y));
+    while (y < maxY && (isTerrainBlock(blockType) || isShoreBlock(blockType))) {
+        y++;
+        blockType = readBlockType(blockPos.withY(y));
+    }
+
+    // Ground in front of doors may have been dug out (see `clearDoorApproach`),
+    // which doesn't count as a change
+    if (y <= BEDROCK_LEVEL + tile.base.mc.elevation && isNextToDoor(blockPos.withY(y))) {
+        return;
+    }
+
+    if (isHalfStepBlock(blockType)) {
+        // Half steps on smooth terrain sit on top of the ground
+        blockType = "air";
+    }
+    var overlayId = findOverlayId(blockType, tile.base.groundOverlay);
+    var groundY = y - 1;
+
+    if (overlayId && blockMapping.overlays[overlayId].replaceGround !== false) {
+        // Overlay has replaced the ground block, so the texture is unknown
+        groundY = y;
+    } else if (groundY === BEDROCK_LEVEL || !isAirOrOverlay(blockType)) {
+        // No ground to be found; most likely, a wall was built here
+        return;
+    } else {
+        tile.groundTexture = findPaletteIndex(readBlockType(blockPos.withY(groundY)),
+                tile.base.groundTexture, worldTileX, worldTileY);
+    }
+
+    tile.groundOverlay = overlayId;
+
+    var overlayMapping = blockMapping.overlays[overlayId];
+    if (!overlayMapping || !overlayMapping.atSeaLevel) {
+        // Smooth terrain slopes within the tile, so measure any change
+        // against the ground that was generated here
+        var generatedElevation = getGroundLevel(blockPos);
+        tile.elevation = groundY - BEDROCK_LEVEL + tile.base.mc.elevation - generatedElevation;
+        tile.groundElevation = getGroundElevation(tile.elevation, tile.base);
+    }
+}
+
+function isNextToDoor(blockPos) {
+    for (var facing in FACING_OFFSETS) {
+        var offset = FACING_OFFSETS[facing];
+        if (isDoorBlock(readBlockType(blockPos.add(offset[0], 0, offset[1])))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function readOverlay(tile, blockPos, floorY) {
+    var blockType = readBlockType(blockPos.withY(floorY));
+    var overlayId = findOverlayId(blockType, tile.base.groundOverlay);
+    if (overlayId && blockMapping.overlays[overlayId].replaceGround !== false) {
+        tile.groundOverlay = overlayId;
+        return;
+    }
+
+    var aboveOverlayId = findOverlayId(readBlockType(blockPos.withY(floorY + 1)),
+            tile.base.groundOverlay);
+    if (aboveOverlayId && blockMapping.overlays[aboveOverlayId].replaceGround === false) {
+        tile.groundOverlay = aboveOverlayId;
+    } else if (blockType === "air" && !isStairwell(blockPos, floorY)) {
+        // Floor has been removed.
+        // Anything else (e.g. a roof from the storey below) is left alone.
+        tile.groundOverlay = 0;
+    }
+}
+
+function isStairwell(blockPos, floorY) {
+    // Staircases cut through the floor above them (see `buildClimb`)
+    for (var y = floorY - 2; y < floorY; y++) {
+        if (isClimbBlock(readBlockType(blockPos.withY(y)))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function isClimbBlock(blockType) {
+    for (var objectId in blockMapping.objects) {
+        var objectMapping = blockMapping.objects[objectId];
+        if (objectMapping.climb && objectMapping.stairs
+                && blockType === getBlockType(objectMapping.stairs)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function readUndergroundFloor(tile, blockPos, worldTileX, worldTileY) {
+    var floorY = BEDROCK_LEVEL + tile.elevation;
+    var floorType = readBlockType(blockPos.withY(floorY));
+    var aboveType = readBlockType(blockPos.withY(floorY + 1));
+
+    if (floorType === "stone" && aboveType === "stone") {
+        // Filled in with rock
+        tile.groundTexture = 0;
+        tile.groundOverlay = 0;
+        return;
+    }
+
+    if (isTerrainBlock(floorType)) {
+        tile.groundTexture = findPaletteIndex(floorType,
+                tile.base.groundTexture, worldTileX, worldTileY);
+    }
+    readOverlay(tile, blockPos, floorY);
+}
+
+function readWalls(exported, layer) {
+    // Columns that can be explained by walls in the original data
+    var explained = {};
+
+    // Check which of the original walls are still standing
+    for (var key in exported) {
+        var exportSector = exported[key];
+        for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+            for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+                var worldTileX = exportSector.sectorX * SECTOR_SIZE + tileX;
+                var worldTileY = exportSector.sectorY * SECTOR_SIZE + tileY;
+                checkWalls(exportSector[layer][tileX][tileY], worldTileX, worldTileY, explained);
+                explainDoorObject(exportSector, layer, tileX, tileY, explained);
+                explainObjectFootprint(exportSector[layer][tileX][tileY], worldTileX, worldTileY, explained);
+            }
+        }
+    }
+
+    // Any other walls must be new
+    for (var key in exported) {
+        var exportSector = exported[key];
+        for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+            for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+                var worldTileX = exportSector.sectorX * SECTOR_SIZE + tileX;
+                var worldTileY = exportSector.sectorY * SECTOR_SIZE + tileY;
+                var tile = exportSector[layer][tileX][tileY];
+                if (explained[worldTileX + "," + worldTileY] || tile.diagonalWalls >= 48000) {
+                    // Objects can look like walls, but they are left alone
+                    continue;
+                }
+
+                var wallType = findWallTypeAt(exported, layer, worldTileX, worldTileY);
+                if (wallType) {
+                    addWall(exported, layer, worldTileX, worldTileY, wallType);
+                }
+            }
+        }
+    }
+}
+
+function checkWalls(tile, worldTileX, worldTileY, explained) {
+    var floorY = BEDROCK_LEVEL + tile.elevation;
+
+    // Positions match `buildLayerWalls`
+    if (tile.topBorderWall) {
+        var observed = readWallBlocks(worldTileX, worldTileY - 1, floorY);
+        if (isWallStanding(observed, tile.topBorderWall, false)) {
+            explained[worldTileX + "," + (worldTileY - 1)] = true;
         } else {
-            wallSettings.windowBlock = context.getBlock("glass_pane" + getWindowProperties(facing));
-        }
-    } else if (wallType === 5) {
-        // Wooden fence
-        wallSettings.block = context.getBlock("jungle_fence");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 6) {
-        // Metal fence
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 7) {
-        // Stained glass window
-        wallSettings.block = context.getBlock("stone_bricks");
-        if (tile.diagonalWalls) {
-            wallSettings.windowBlock = context.getBlock("glass");
+            tile.topBorderWall = 0;
+        }
+    }
+
+    if (tile.rightBorderWall) {
+        var doorway = blockMapping.walls[tile.rightBorderWall]
+                && blockMapping.walls[tile.rightBorderWall].door;
+        if (tile.topBorderWall && (!tile.base.mc.indoors || doorway)) {
+            // Outdoor corners only have their top wall built, and doors are
+            // only built once per corner, so there is nothing else to check
+            if (tile.base.mc.indoors) {
+                explained[(worldTileX - 1) + "," + worldTileY] = true;
+                explained[(worldTileX - 1) + "," + (worldTileY - 1)] = true;
+            }
         } else {
-            wallSettings.windowBlock = context.getBlock("glass_pane" + getWindowProperties(facing));
-        }
-    } else if (wallType === 8) {
-        // Stone wall (extra tall?)
-        wallSettings.block = context.getBlock("stone_bricks");
-    } else if (wallType === 9) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 11) {
-        // Stone fence (short)
-        wallSettings.block = context.getBlock("stone_brick_wall");
-        wallSettings.height = 1;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 14) {
-        // Stone wall window
-        wallSettings.block = context.getBlock("stone_bricks");
-        if (tile.diagonalWalls) {
-            wallSettings.windowBlock = context.getBlock("glass");
+            var observed = readWallBlocks(worldTileX - 1, worldTileY, floorY);
+            if (isWallStanding(observed, tile.rightBorderWall, false)) {
+                explained[(worldTileX - 1) + "," + worldTileY] = true;
+                if (tile.topBorderWall) {
+                    explained[(worldTileX - 1) + "," + (worldTileY - 1)] = true;
+                }
+            } else {
+                tile.rightBorderWall = 0;
+            }
+        }
+    }
+
+    if (isWall(tile.diagonalWalls)) {
+        // Diagonals are built at 2 opposite corners of the tile, but the
+        // first of these is enough to tell if the wall is still standing
+        var corners = getDiagonalCorners(tile.diagonalWalls, worldTileX, worldTileY);
+        var observed = readWallBlocks(corners[0][0], corners[0][1], floorY);
+        if (isWallStanding(observed, normalizeWallType(tile.diagonalWalls), true)) {
+            explained[corners[0][0] + "," + corners[0][1]] = true;
+            explained[corners[1][0] + "," + corners[1][1]] = true;
         } else {
-            wallSettings.windowBlock = context.getBlock("glass_pane" + getWindowProperties(facing));
-        }
-    } else if (wallType === 15) {
-        // Plaster / panelled wall
-        wallSettings.block = context.getBlock("mushroom_stem");
-        wallSettings.cornerBlock = context.getBlock("stripped_jungle_log");
-    } else if (wallType === 16) {
-        // Panelled window
-        wallSettings.block = context.getBlock("mushroom_stem");
-        wallSettings.cornerBlock = context.getBlock("stripped_jungle_log");
-        wallSettings.windowBlock = context.getBlock("jungle_trapdoor[open=true,facing=" + facing + "]");
-    } else if (wallType === 17) {
-        // Opening (with overhang above)
-        wallSettings.block = context.getBlock("air");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 19) {
-        // Slimy wall
-        wallSettings.block = context.getBlock("mossy_stone_bricks");
-    } else if (wallType === 23) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 24) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 25) {
-        // Invisible? (Wilderness, Deserted Keep)
-        wallSettings.block = context.getBlock("air");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 31) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 33) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 35) {
-        // Stone wall window (arch)
-        wallSettings.block = context.getBlock("stone_bricks");
-        wallSettings.windowBlock = context.getBlock("air");
-    } else if (wallType === 37) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 38) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 39) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 40) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 41) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 42) {
-        // Broken stone wall
-        wallSettings.block = context.getBlock("cracked_stone_bricks");
-        wallSettings.height = Math.random() * WALL_HEIGHT;
-    } else if (wallType === 43) {
-        // Brick wall (Shantay Pass)
-        wallSettings.block = context.getBlock("granite");
-    } else if (wallType === 44) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 45) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 49) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 50) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 51) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 55) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 57) {
-        // Wooden wall
-        wallSettings.block = context.getBlock("spruce_planks");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 61) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 63) {
-        // Stone fence
-        wallSettings.block = context.getBlock("stone_brick_wall");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 67) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 69) {
-        // Doorway (Crafting Guild)
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 77) {
-        // Interior stone wall (Brimhaven)
-        wallSettings.block = context.getBlock("stone_bricks");
-    } else if (wallType === 75) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 76) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 78) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 79) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 80) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 81) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 82) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 83) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 87) {
-        // Invisible wall
-        wallSettings.block = context.getBlock("barrier");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 94) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 95) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 97) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 98) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 99) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 100) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 102) {
-        // Gap in fence
-        // TODO: This should probably be a gate
-        wallSettings.block = context.getBlock("air");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 101) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 110) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 111) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 113) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 114) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 115) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 116) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 117) {
-        // Draynor Manor - upper wall (?)
-        wallSettings.block = context.getBlock("stone_bricks");
-    } else if (wallType === 120) {
-        // Wooden wall
-        wallSettings.block = context.getBlock("spruce_planks");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 121) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 123) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 124) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 127) {
-        // Wooden wall - glass window
-        wallSettings.block = context.getBlock("spruce_planks");
-        wallSettings.windowBlock = context.getBlock("glass_pane" + getWindowProperties(facing));
-    } else if (wallType === 128) {
-        // Wooden fence (extra short)
-        wallSettings.block = context.getBlock("jungle_fence");
-        wallSettings.height = 1;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 139) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 142) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 145) {
-        // Wooden wall - wood window
-        wallSettings.block = context.getBlock("spruce_planks");
-        wallSettings.windowBlock = context.getBlock("oak_trapdoor[open=true,facing=" + facing + "]");
-    } else if (wallType === 146) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 147) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 148) {
-        // Opening (Yanille tower)
-        wallSettings.block = context.getBlock("air");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 149) {
-        // Opening (Yanille tower)
-        wallSettings.block = context.getBlock("air");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 150) {
-        // Opening (Yanille tower)
-        wallSettings.block = context.getBlock("air");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 151) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 153) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 162) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 164) {
-        // Agility training area wall (?)
-        wallSettings.block = context.getBlock("stone_bricks");
-    } else if (wallType === 165) {
-        // Agility training area wall (?)
-        wallSettings.block = context.getBlock("stone_bricks");
-    } else if (wallType === 166) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 176) {
-        // Straw hut wall
-        wallSettings.block = context.getBlock("smooth_sandstone");
-    } else if (wallType === 177) {
-        // Opening (with overhang above)
-        wallSettings.block = context.getBlock("air");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 178) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 179) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 182) {
-        // Fence, east of Baxtorian falls (doesn't appear in world viewer!)
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 183) {
-        // Fence, east of Baxtorian falls (doesn't appear in world viewer!)
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 184) {
-        // Fence, east of Baxtorian falls (doesn't appear in world viewer!)
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 185) {
-        // Fence, east of Baxtorian falls (doesn't appear in world viewer!)
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 186) {
-        // Fence, east of Baxtorian falls (doesn't appear in world viewer!)
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 187) {
-        // Fence, east of Baxtorian falls (doesn't appear in world viewer!)
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 194) {
-        // Fence, east of Baxtorian falls (doesn't appear in world viewer!)
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 195) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 196) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 197) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 198) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 199) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else if (wallType === 200) {
-        // Gap in fence
-        // TODO: This should probably be a gate
-        wallSettings.block = context.getBlock("air");
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 202) {
-        // Broken bridge south of Yanille (?)
-        wallSettings.block = context.getBlock("iron_bars");
-        wallSettings.height = 2;
-        wallSettings.ensureAboveGround = true;
-    } else if (wallType === 206) {
-        // Doorway
-        setDoorway(facing, wallSettings);
-    } else {
-        player.print("Unknown wall type: " + wallType);
+            tile.diagonalWalls = 0;
+        }
     }
+}
 
-    return wallSettings;
+function getDiagonalCorners(diagonalWalls, worldTileX, worldTileY) {
+    // Positions match `getWallPositions`, but in world tile co-ordinates
+    // (which run from east to west)
+    if (diagonalWalls >= 12000) {
+        // North-west and south-east corners
+        return [[worldTileX, worldTileY - 1], [worldTileX - 1, worldTileY]];
+    }
+    // South-west and north-east corners
+    return [[worldTileX, worldTileY], [worldTileX - 1, worldTileY - 1]];
 }
 
-function setDoorway(facing, wallSettings) {
-    // Doors will try to blend with the surrounding blocks, but otherwise, we
-    // default to something inoffensive.
-    wallSettings.block = context.getBlock("glass");
-    wallSettings.doorBlock = "oak_door[facing=" + facing + "]";
-    wallSettings.ensureAboveGround = true;
+function explainDoorObject(exportSector, layer, tileX, tileY, explained) {
+    // Door objects are placed on the wall line beside them (see
+    // `placeDoorObject`), so they shouldn't be mistaken for new doorways
+    var tile = exportSector[layer][tileX][tileY];
+    var objectMapping = tile.diagonalWalls >= 48000
+            && blockMapping.objects[tile.diagonalWalls - 48000];
+    if (!objectMapping || !objectMapping.door) {
+        return;
+    }
+
+    var sector = getSector(exportSector.sectorX, exportSector.sectorY);
+    var sectorMinBlockPos = getMinBlockPosForSector(exportSector.sectorX, exportSector.sectorY);
+    var groundPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY)
+            .withY(BEDROCK_LEVEL + tile.elevation);
+    var doors = getDoorObjectPositions(sector, layer, tileX, tileY, groundPos) || [];
+    for (var i = 0; i < doors.length; i++) {
+        var location = getTileForBlockPos(doors[i].pos);
+        explained[(location.sectorX * SECTOR_SIZE + location.tileX) + ","
+                + (location.sectorY * SECTOR_SIZE + location.tileY)] = true;
+    }
 }
 
-function getAxisFromFacing(facing) {
-    return (facing === "east" || facing === "west") ? "x" : "z";
+function explainObjectFootprint(tile, worldTileX, worldTileY, explained) {
+    // Objects can spill into neighbouring tiles (see `getObjectFootprint`),
+    // where they shouldn't be mistaken for new walls
+    var objectMapping = tile.diagonalWalls >= 48000
+            && blockMapping.objects[tile.diagonalWalls - 48000];
+    if (!objectMapping) {
+        return;
+    }
+
+    var footprint = getObjectFootprint(objectMapping, getObjectFacing(tile.direction));
+    for (var x = 0; x < footprint.width; x++) {
+        for (var y = 0; y < footprint.height; y++) {
+            explained[(worldTileX + x) + "," + (worldTileY + y)] = true;
+        }
+    }
 }
 
-function getWindowProperties(facing) {
-    if (facing === "east" || facing === "west") {
-        return "[north=true,south=true]";
-    } else {
-        return "[east=true,west=true]";
+function addWall(exported, layer, worldTileX, worldTileY, wallType) {
+    // Walls are built to the north-east of the tile that defines them, so the
+    // direction of the wall tells us which tile that was
+    var horizontal = findWallTypeAt(exported, layer, worldTileX - 1, worldTileY)
+            || findWallTypeAt(exported, layer, worldTileX + 1, worldTileY);
+    var vertical = findWallTypeAt(exported, layer, worldTileX, worldTileY - 1)
+            || findWallTypeAt(exported, layer, worldTileX, worldTileY + 1);
+
+    if (horizontal) {
+        var southTile = getExportTile(exported, layer, worldTileX, worldTileY + 1);
+        if (southTile) {
+            southTile.topBorderWall = wallType;
+        }
+    }
+    if (vertical) {
+        var westTile = getExportTile(exported, layer, worldTileX + 1, worldTileY);
+        if (westTile) {
+            westTile.rightBorderWall = wallType;
+        }
+    }
+    if (horizontal || vertical) {
+        return;
+    }
+
+    // Anything else becomes a diagonal wall ("/" unless it clearly runs the
+    // other way)
+    var backslash = findWallTypeAt(exported, layer, worldTileX + 1, worldTileY - 1)
+            || findWallTypeAt(exported, layer, worldTileX - 1, worldTileY + 1);
+    var diagonalWalls = backslash ? wallType + 12000 : wallType;
+
+    // Neighbouring diagonals share a corner, so this is the first corner of a
+    // tile, unless it is the end of a line
+    var corners = getDiagonalCorners(diagonalWalls, 0, 0);
+    var stepX = corners[1][0] - corners[0][0];
+    var stepY = corners[1][1] - corners[0][1];
+    var corner = corners[0];
+    if (!findWallTypeAt(exported, layer, worldTileX + stepX, worldTileY + stepY)
+            && findWallTypeAt(exported, layer, worldTileX - stepX, worldTileY - stepY)) {
+        corner = corners[1];
+    }
+    var tile = getExportTile(exported, layer, worldTileX - corner[0], worldTileY - corner[1]);
+    if (tile) {
+        tile.diagonalWalls = diagonalWalls;
     }
 }
 
-function buildWall(sector, tileX, tileY, layer, wallPos, elevation, wallSettings) {
-    var startY = 0;
+function findWallTypeAt(exported, layer, worldTileX, worldTileY) {
+    var tile = getExportTile(exported, layer, worldTileX, worldTileY)
+            || getWorldTile(layer, worldTileX, worldTileY);
+    if (!tile) {
+        return 0;
+    }
 
-    // Determine wall start
-    if (wallSettings.ensureAboveGround) {
-        startY = 1;
-    } else if (layer === 0) {
-        // Start underground in case the wall is on a steep slope
-        startY = -5;
+    var elevation = tile.mc ? tile.mc.elevation : tile.elevation;
+    var observed = readWallBlocks(worldTileX, worldTileY, BEDROCK_LEVEL + elevation);
+    if (observed[0] === "air") {
+        return 0;
     }
 
-    // Determine wall end
-    var endY = wallSettings.height;
+    // Doorways all look the same, so prefer anything else
+    var doorway = 0;
+    for (var wallType in blockMapping.walls) {
+        var wallMapping = blockMapping.walls[wallType];
+        if (wallMapping.block === "air" || !isWallMatch(observed, wallType, false)) {
+            continue;
+        }
+        if (!wallMapping.door) {
+            return parseInt(wallType, 10);
+        }
+        doorway = doorway || parseInt(wallType, 10);
+    }
 
-    // Build the wall
-    for (var i = startY; i <= endY; i++) {
-        wallPos = wallPos.withY(BEDROCK_LEVEL + elevation + i);
+    return doorway;
+}
 
-        if (wallSettings.doorBlock) {
-            if (i === 1) {
-                // Door (lower)
-                // TODO: Place an air block in front of the door in case it
-                // is embedded in the ground.
-                var doorBlock = wallSettings.doorBlock.replace("]", ",half=lower]");
-                blocks.setBlock(wallPos, context.getBlock(doorBlock));
-            } else if (i === 2) {
-                // Door (upper)
-                var doorBlock = wallSettings.doorBlock.replace("]", ",half=upper]");
-                blocks.setBlock(wallPos, context.getBlock(doorBlock));
-            } else {
-                var wallBlock = getNeighbouringWallBlock(sector, layer, tileX, tileY);
-                if (wallBlock) {
-                    blocks.setBlock(wallPos, wallBlock);
-                } else {
-                    blocks.setBlock(wallPos, wallSettings.block);
-                }
+function readWallBlocks(worldTileX, worldTileY, floorY) {
+    // The bottom of the wall is enough to identify it
+    var blockPos = getBlockPosForWorldTile(worldTileX, worldTileY);
+    return [
+        readBlockType(blockPos.withY(floorY + 1)),
+        readBlockType(blockPos.withY(floorY + 2))
+    ];
+}
+
+function isWallStanding(observed, wallType, diagonal) {
+    // Doors take priority over other walls (see `buildWall`), so a door where
+    // a wall should be doesn't mean the wall has gone
+    return isWallMatch(observed, wallType, diagonal) || isDoorBlock(observed[0]);
+}
+
+function isDoorBlock(blockType) {
+    return /_door$/.test(blockType);
+}
+
+function isWallMatch(observed, wallType, diagonal) {
+    var wallMapping = blockMapping.walls[wallType];
+    if (!wallMapping) {
+        return false;
+    }
+
+    // Compare against what `buildWall` would place there
+    var height = wallMapping.height === undefined ? WALL_HEIGHT : wallMapping.height;
+    for (var i = 1; i <= observed.length; i++) {
+        var expected;
+        if (wallMapping.door) {
+            expected = wallMapping.door;
+        } else if (wallMapping.gap && i === 1) {
+            // Gates take the style of the fence around them
+            if (!/_fence_gate$/.test(observed[0])) {
+                return false;
             }
-        } else if (wallSettings.windowBlock && i > 1 && i < wallSettings.height - 1) {
-            // Window
-            blocks.setBlock(wallPos, wallSettings.windowBlock);
-        } else if (wallSettings.cornerBlock && i % 4 === 0) {
-            blocks.setBlock(wallPos, wallSettings.cornerBlock);
+            continue;
+        } else if (height === "random") {
+            // Broken walls can be any height
+            return observed[0] === getBlockType(wallMapping.block);
+        } else if (i > height) {
+            expected = "air";
+        } else if (wallMapping.window && i > 1 && i < height - 1) {
+            expected = (diagonal && wallMapping.diagonalWindow)
+                ? wallMapping.diagonalWindow
+                : wallMapping.window;
         } else {
-            blocks.setBlock(wallPos, wallSettings.block);
+            expected = wallMapping.block;
+        }
+
+        if (observed[i - 1] !== getBlockType(expected)) {
+            return false;
         }
     }
+
+    return true;
 }
 
-function getNeighbouringWallBlock(sector, layer, tileX, tileY) {
+function readRoofs(exportSector, layer) {
+    var sectorMinBlockPos = getMinBlockPosForSector(exportSector.sectorX, exportSector.sectorY);
+    for (var tileX = 0; tileX < SECTOR_SIZE; tileX++) {
+        for (var tileY = 0; tileY < SECTOR_SIZE; tileY++) {
+            var tile = exportSector[layer][tileX][tileY];
+            var blockPos = getBlockPosForTile(sectorMinBlockPos, tileX, tileY);
+            var roofY = BEDROCK_LEVEL + tile.elevation + ROOF_HEIGHT;
+            var blockType = readBlockType(blockPos.withY(roofY));
+
+            // Pitched roofs are hollow, so look for the first block above the
+            // walls (see `buildRoof`)
+            if (tile.base.roofTexture) {
+                for (var y = roofY + 1; y <= roofY + MAX_ROOF_RISE && blockType === "air"; y++) {
+                    blockType = readBlockType(blockPos.withY(y));
+                }
+                tile.roofTexture = findRoofTexture(blockType, tile.base.roofTexture);
+                continue;
+            }
+
+            // Floors of the storey above are built at the same height
+            var tileAbove = layer + 1 < NUM_LAYERS ? exportSector[layer + 1][tileX][tileY] : null;
+            var overlayAbove = tileAbove ? blockMapping.overlays[tileAbove.groundOverlay] : null;
+            if (overlayAbove && blockType === getBlockType(overlayAbove.block)) {
+                continue;
+            }
+
+            // Gable ends are filled in over the walls of neighbouring tiles, so
+            // a new roof only counts if there is nothing on top of it
+            if (readBlockType(blockPos.withY(roofY + 1)) !== "air") {
+                continue;
+            }
+
+            tile.roofTexture = findRoofTexture(blockType, tile.base.roofTexture);
+        }
+    }
+}
+
+function findRoofTexture(blockType, baseRoofTexture) {
+    // Roof edges (stairs and slabs) are often placed over a neighbouring
+    // tile, so they only count if the tile already had that roof
+    var baseRoofMapping = blockMapping.roofs[baseRoofTexture];
+    if (baseRoofMapping && (blockType === getBlockType(baseRoofMapping.block)
+            || blockType === getBlockType(baseRoofMapping.stairs)
+            || blockType === getBlockType(baseRoofMapping.slab))) {
+        return baseRoofTexture;
+    }
+
+    for (var roofTexture in blockMapping.roofs) {
+        if (blockType === getBlockType(blockMapping.roofs[roofTexture].block)) {
+            return parseInt(roofTexture, 10);
+        }
+    }
+
+    return 0;
+}
+
+function findOverlayId(blockType, baseOverlay) {
+    if (blockType === "air") {
+        return 0;
+    }
+
+    var baseOverlayMapping = blockMapping.overlays[baseOverlay];
+    if (baseOverlayMapping && blockType === getBlockType(baseOverlayMapping.block)) {
+        return baseOverlay;
+    }
+
+    for (var overlayId in blockMapping.overlays) {
+        if (blockType === getBlockType(blockMapping.overlays[overlayId].block)) {
+            return parseInt(overlayId, 10);
+        }
+    }
+
+    return 0;
+}
+
+function isAirOrOverlay(blockType) {
+    return blockType === "air" || findOverlayId(blockType, 0) > 0;
+}
+
+function isTerrainBlock(blockType) {
+    var candidates = blockMapping.terrain.blocks;
+    for (var i = 0; i < candidates.length; i++) {
+        if (blockType === getBlockType(candidates[i].block)
+                || blockType === getBlockType(candidates[i].support)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function isShoreBlock(blockType) {
+    for (var overlayId in blockMapping.overlays) {
+        var water = blockMapping.overlays[overlayId].water;
+        if (water && water.shore && blockType === getBlockType(water.shore.block)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function isHalfStepBlock(blockType) {
+    var candidates = blockMapping.terrain.blocks;
+    for (var i = 0; i < candidates.length; i++) {
+        if (candidates[i].half && blockType === getBlockType(candidates[i].half)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function findPaletteIndex(blockType, basePaletteIndex, worldTileX, worldTileY) {
+    // Keep the original colour if it would still produce this block
+    var match = getTerrainMatch(basePaletteIndex);
+    if (blockType === getBlockType(getTerrainMapping(basePaletteIndex, worldTileX, worldTileY).block)
+            || blockType === getBlockType(match.best.block)
+            || (match.neighbour && blockType === getBlockType(match.neighbour.block))) {
+        return basePaletteIndex;
+    }
+
+    // Otherwise, pick the colour that best represents the block
+    var bestIndex = basePaletteIndex;
+    var bestDist = Infinity;
+    for (var paletteIndex = 0; paletteIndex < 256; paletteIndex++) {
+        var candidate = getTerrainMatch(paletteIndex).best;
+        if (blockType !== getBlockType(candidate.block)) {
+            continue;
+        }
+        var dist = getColourDistance(rgbToLab(getTerrainColour(paletteIndex)),
+                rgbToLab(candidate.colour));
+        if (dist < bestDist) {
+            bestIndex = paletteIndex;
+            bestDist = dist;
+        }
+    }
+    return bestIndex;
+}
+
+function readBlockType(blockPos) {
+    return getBlockType(String(blocks.getBlock(mapToWorld(blockPos)).getBlockType().getId()));
+}
+
+function getBlockType(blockString) {
+    // Block type without namespace or properties, for comparison with the
+    // block mapping
+    if (!blockString) {
+        return null;
+    }
+    return String(blockString).replace(/^minecraft:/, "").replace(/\[.*$/, "");
+}
+
+function writeLandscape(outputFile, exported) {
+    var output = new ZipOutputStream(new FileOutputStream(outputFile));
     try {
-        // North
-        var tile = sector[layer][tileX][tileY - 1];
-        var wallType = getWallType(tile);
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
-            var wallSettings = getWallSettings(tile, wallType, null);
-            if (wallSettings.block && !wallSettings.doorBlock) {
-                return wallSettings.block;
+        var written = {};
+        for (var key in exported) {
+            var exportSector = exported[key];
+            for (var layer = 0; layer < exportSector.length; layer++) {
+                // Layers missing from the landscape are left out, unless
+                // something has been built there
+                if (!hasSectorLayer(landscape, layer, exportSector.sectorX, exportSector.sectorY)
+                        && isEmptySectorLayer(exportSector[layer])) {
+                    continue;
+                }
+                var sectorId = getSectorId(layer, exportSector.sectorX, exportSector.sectorY);
+                writeSectorEntry(output, sectorId, exportSector[layer]);
+                written[sectorId] = true;
+            }
+        }
+
+        // Everything else is copied from the original landscape
+        if (landscape.zip) {
+            var entries = landscape.zip.entries();
+            while (entries.hasMoreElements()) {
+                var entry = entries.nextElement();
+                var name = String(entry.getName());
+                if (written[name]) {
+                    continue;
+                }
+                output.putNextEntry(new ZipEntry(name));
+                var buffer = streamToBuffer(new BufferedInputStream(landscape.zip.getInputStream(entry)));
+                output.write(buffer.array());
+                output.closeEntry();
+            }
+        } else {
+            for (var sectorX = MIN_SECTOR_X; sectorX <= MAX_SECTOR_X; sectorX++) {
+                for (var sectorY = MIN_SECTOR_Y; sectorY <= MAX_SECTOR_Y; sectorY++) {
+                    for (var layer = 0; layer <= UNDERGROUND_LAYER; layer++) {
+                        var sectorId = getSectorId(layer, sectorX, sectorY);
+                        if (written[sectorId]) {
+                            continue;
+                        }
+                        var sectorLayer = loadSectorLayer(landscape, layer, sectorX, sectorY);
+                        if (sectorLayer) {
+                            writeSectorEntry(output, sectorId, sectorLayer);
+                        }
+                    }
+                }
+            }
+        }
+    } finally {
+        output.close();
+    }
+}
+
+function isEmptySectorLayer(sectorLayer) {
+    // Whether every tile is the same as in `createEmptySector`
+    var emptyLayer = createEmptySector();
+    for (var x = 0; x < SECTOR_SIZE; x++) {
+        for (var y = 0; y < SECTOR_SIZE; y++) {
+            for (var field in emptyLayer[x][y]) {
+                if (sectorLayer[x][y][field] !== emptyLayer[x][y][field]) {
+                    return false;
+                }
+            }
+        }
+    }
+    return true;
+}
+
+function writeSectorEntry(output, sectorId, sectorLayer) {
+    // The exact reverse of `loadSector`
+    var buffer = ByteBuffer.allocate(SECTOR_TILES * TILE_DATA_SIZE);
+    for (var x = 0; x < SECTOR_SIZE; x++) {
+        for (var y = 0; y < SECTOR_SIZE; y++) {
+            var tile = sectorLayer[x][y];
+            buffer.put(toSigned(tile.groundElevation));
+            buffer.put(toSigned(tile.groundTexture));
+            buffer.put(toSigned(tile.groundOverlay));
+            buffer.put(toSigned(tile.roofTexture));
+            buffer.put(toSigned(tile.rightBorderWall));
+            buffer.put(toSigned(tile.topBorderWall));
+            buffer.putInt(tile.diagonalWalls);
+        }
+    }
+    output.putNextEntry(new ZipEntry(sectorId));
+    output.write(buffer.array());
+    output.closeEntry();
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Jobs
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * Generating many sectors takes longer than the default scripting timeout, so
+ * generation is split into batches of sectors. Progress is saved to a JSON file
+ * after each sector, so that the next run can pick up where the last one left
+ * off:
+ *
+ *      {
+ *          "options": { ... },
+ *          "sectors": [
+ *              { "x": 50, "y": 50, "status": "done" },
+ *              { "x": 50, "y": 51, "status": "failed", "error": "..." },
+ *              { "x": 50, "y": 52, "status": "pending" }
+ *          ]
+ *      }
+ */
+
+// Sectors to generate per run. WorldEdit's default scripting timeout is only 3
+// seconds, so this is deliberately small.
+const DEFAULT_BATCH_SIZE = 4;
+
+// Appended to the landscape filename, if no progress file is given
+const PROGRESS_FILE_SUFFIX = ".progress.json";
+
+function createJob(minSectorCoords, maxSectorCoords, options) {
+    var job = {
+        options: options,
+        sectors: []
+    };
+    for (var sectorX = minSectorCoords.getX(); sectorX <= maxSectorCoords.getX(); sectorX++) {
+        for (var sectorY = minSectorCoords.getZ(); sectorY <= maxSectorCoords.getZ(); sectorY++) {
+            // Much of the map is empty, and there is nothing to generate there
+            if (!hasWorldSector(sectorX, sectorY)) {
+                continue;
+            }
+            job.sectors.push({ x: sectorX, y: sectorY, status: "pending" });
+        }
+    }
+    return job;
+}
+
+function loadJob(progressFile) {
+    if (!progressFile.exists()) {
+        throw "Progress file does not exist: " + progressFile.getPath();
+    }
+    return JSON.parse(readTextFile(progressFile));
+}
+
+function saveJob(job, progressFile) {
+    writeTextFile(progressFile, JSON.stringify(job, null, 2));
+}
+
+function isJobInProgress(progressFile) {
+    if (!progressFile.exists()) {
+        return false;
+    }
+    var job = loadJob(progressFile);
+    return countJobSectors(job, "pending") > 0 || countJobSectors(job, "failed") > 0;
+}
+
+function countJobSectors(job, status) {
+    var count = 0;
+    for (var i = 0; i < job.sectors.length; i++) {
+        if (job.sectors[i].status === status) {
+            count++;
+        }
+    }
+    return count;
+}
+
+function runJob(job, progressFile, landscapeFilename) {
+    // Sectors that failed are tried again, but only once there are no pending
+    // sectors left, so that they can't hold up the rest
+    var nextStatus = countJobSectors(job, "pending") > 0 ? "pending" : "failed";
+    var processed = 0;
+    for (var i = 0; i < job.sectors.length && processed < job.options.batchSize; i++) {
+        var jobSector = job.sectors[i];
+        if (jobSector.status !== nextStatus) {
+            continue;
+        }
+
+        // A failed sector shouldn't stop the rest from being generated
+        try {
+            generateSector(jobSector.x, jobSector.y, job.options);
+            jobSector.status = "done";
+            delete jobSector.error;
+        } catch (err) {
+            player.printError("Failed to generate sector: " + getSectorId(0, jobSector.x, jobSector.y));
+            player.printError(err);
+            jobSector.status = "failed";
+            jobSector.error = String(err);
+        }
+
+        processed++;
+        saveJob(job, progressFile);
+    }
+
+    // Report progress
+    var pending = countJobSectors(job, "pending");
+    var failed = countJobSectors(job, "failed");
+    player.print("Sectors done: " + countJobSectors(job, "done") + " / " + job.sectors.length);
+    for (var i = 0; i < job.sectors.length; i++) {
+        var jobSector = job.sectors[i];
+        if (jobSector.status === "failed") {
+            player.printError("Failed: " + getSectorId(0, jobSector.x, jobSector.y)
+                    + " (" + jobSector.error + ")");
+        }
+    }
+    if (pending > 0) {
+        player.print(pending + " sectors remaining; to continue, run:");
+    } else if (failed > 0) {
+        player.print(failed + " sectors failed; to try them again, run:");
+    } else {
+        player.print("Generation complete");
+        return;
+    }
+    player.print("/cs rsc_gen_terrain " + landscapeFilename + " resume"
+            + (job.options.progress ? " --progress=" + job.options.progress : ""));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Entry point
+////////////////////////////////////////////////////////////////////////////////
+
+// Things that can be switched off (or on, with `--only`) when generating
+const BUILD_PASSES = ["floors", "biomes", "walls", "roofs", "objects", "trees", "npcs", "items"];
+
+const MODE_DESCRIPTIONS = [
+    ["region", "generate the sectors within the selection"],
+    ["full", "generate the entire map"],
+    ["chunk", "generate the sector at the player's position"],
+    ["around <place|x,y> <radius>", "generate the sectors around a place"],
+    ["resume", "continue generating from the progress file (retrying failed sectors)"],
+    ["export <output>", "write the sectors within the selection back to Landscape.data"],
+    ["report <output>", "list the IDs used in the landscape"],
+    ["inspect", "show the RSC tile at the player's position"],
+    ["goto <place|x,y>", "teleport to a place"]
+];
+
+/*
+ * Each option has a name, a placeholder for its value (if it takes one), a
+ * description for `--help`, and a function to apply it to the options object.
+ * This returns an error message if the value is invalid.
+ */
+const OPTION_DEFINITIONS = [
+    {
+        name: "--help",
+        description: "show this list",
+        apply: function(options) {}
+    },
+    {
+        name: "--clean",
+        description: "clear the area before generating (not with --layers, unless it has 0-2)",
+        apply: function(options) {
+            player.print("Clean enabled");
+            options.clean = true;
+        }
+    },
+    {
+        name: "--layers",
+        value: "<layers>",
+        description: "only build these layers, e.g. 0,1 (3 is underground)",
+        apply: function(options, value) {
+            options.layers = parseLayers(value);
+            if (!options.layers) {
+                return "Layers must be a list of numbers from 0 to " + UNDERGROUND_LAYER;
+            }
+        }
+    },
+    {
+        name: "--only",
+        value: "<parts>",
+        description: "only build these parts: " + BUILD_PASSES.join(","),
+        apply: function(options, value) {
+            options.passes = parsePasses(value);
+            if (!options.passes) {
+                return "Parts must be a list of: " + BUILD_PASSES.join(", ");
+            }
+        }
+    },
+    {
+        name: "--no-floors",
+        description: "skip the ground, overlays and floors",
+        apply: function(options) {
+            options.passes.floors = false;
+        }
+    },
+    {
+        name: "--no-biomes",
+        description: "leave the biomes alone",
+        apply: function(options) {
+            options.passes.biomes = false;
+        }
+    },
+    {
+        name: "--no-walls",
+        description: "skip walls",
+        apply: function(options) {
+            options.passes.walls = false;
+        }
+    },
+    {
+        name: "--no-roofs",
+        description: "skip roofs",
+        apply: function(options) {
+            options.passes.roofs = false;
+        }
+    },
+    {
+        name: "--no-objects",
+        description: "skip objects (other than trees)",
+        apply: function(options) {
+            options.passes.objects = false;
+        }
+    },
+    {
+        name: "--no-trees",
+        description: "skip trees",
+        apply: function(options) {
+            options.passes.trees = false;
+        }
+    },
+    {
+        name: "--no-npcs",
+        description: "skip NPCs (see --npcs)",
+        apply: function(options) {
+            options.passes.npcs = false;
+        }
+    },
+    {
+        name: "--no-items",
+        description: "skip ground items (see --items)",
+        apply: function(options) {
+            options.passes.items = false;
+        }
+    },
+    {
+        name: "--no-underground",
+        description: "skip the underground layer",
+        apply: function(options) {
+            options.underground = false;
+        }
+    },
+    {
+        name: "--underground-depth",
+        value: "<blocks>",
+        description: "depth of the underground layer (default: " + DEFAULT_UNDERGROUND_DEPTH + ")",
+        apply: function(options, value) {
+            options.undergroundDepth = parseInt(value, 10);
+            if (isNaN(options.undergroundDepth) || options.undergroundDepth <= UNDERGROUND_HEIGHT) {
+                return "Underground depth must be greater than " + UNDERGROUND_HEIGHT;
+            }
+        }
+    },
+    {
+        name: "--mapping",
+        value: "<file>",
+        description: "JSON file of block mapping overrides",
+        apply: function(options, value) {
+            options.mapping = value;
+        }
+    },
+    {
+        name: "--scenery",
+        value: "<file>",
+        description: "JSON or CSV file of scenery to place",
+        apply: function(options, value) {
+            options.scenery = value;
+        }
+    },
+    {
+        name: "--npcs",
+        value: "<file>",
+        description: "JSON or CSV file of NPCs to spawn",
+        apply: function(options, value) {
+            options.npcs = value;
+        }
+    },
+    {
+        name: "--items",
+        value: "<file>",
+        description: "JSON or CSV file of ground items to place",
+        apply: function(options, value) {
+            options.items = value;
+        }
+    },
+    {
+        name: "--seed",
+        value: "<n>",
+        description: "seed for anything random",
+        apply: function(options, value) {
+            options.seed = parseInt(value, 10);
+            if (isNaN(options.seed)) {
+                return "Seed must be a number";
+            }
+        }
+    },
+    {
+        name: "--roof-pitch",
+        value: "<pitch>",
+        description: "steepest roof pitch: 0 (flat), 0.5 or 1 (default: " + DEFAULT_ROOF_PITCH + ")",
+        apply: function(options, value) {
+            options.roofPitch = parseFloat(value);
+            if (ROOF_PITCHES.indexOf(options.roofPitch) < 0) {
+                return "Roof pitch must be one of: " + ROOF_PITCHES.join(", ");
             }
         }
-    } catch (err) { /* Crossed a sector boundary */ }
-
-    try {
-        // North-east
-        var tile = sector[layer][tileX - 1][tileY - 1];
-        var wallType = getWallType(tile);
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
-            var wallSettings = getWallSettings(tile, wallType, null);
-            if (wallSettings.block && !wallSettings.doorBlock) {
-                return wallSettings.block;
+    },
+    {
+        name: "--smooth",
+        description: "smooth the ground using half steps and slopes",
+        apply: function(options) {
+            options.smooth = true;
+        }
+    },
+    {
+        name: "--exaggeration",
+        value: "<factor>",
+        description: "vertical exaggeration of the ground (default: 1, at most " + MAX_EXAGGERATION + ")",
+        apply: function(options, value) {
+            options.exaggeration = parseFloat(value);
+            if (isNaN(options.exaggeration) || options.exaggeration <= 0
+                    || options.exaggeration > MAX_EXAGGERATION) {
+                return "Exaggeration must be a positive number, no more than " + MAX_EXAGGERATION;
             }
         }
-    } catch (err) { /* Crossed a sector boundary */ }
-
-    try {
-        // East
-        var tile = sector[layer][tileX - 1][tileY];
-        var wallType = getWallType(tile);
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
-            var wallSettings = getWallSettings(tile, wallType, null);
-            if (wallSettings.block && !wallSettings.doorBlock) {
-                return wallSettings.block;
+    },
+    {
+        name: "--dry-run",
+        description: "count the blocks that would change, without placing any",
+        apply: function(options) {
+            options.dryRun = true;
+        }
+    },
+    {
+        name: "--schematic",
+        value: "<directory>",
+        description: "save each sector as a schematic instead",
+        apply: function(options, value) {
+            options.schematicDir = value;
+        }
+    },
+    {
+        name: "--single-schematic",
+        description: "save all sectors to one schematic (with --schematic)",
+        apply: function(options) {
+            options.singleSchematic = true;
+        }
+    },
+    {
+        name: "--batch",
+        value: "<sectors>",
+        description: "sectors to generate per run (default: " + DEFAULT_BATCH_SIZE + ")",
+        apply: function(options, value) {
+            options.batchSize = parseInt(value, 10);
+            if (isNaN(options.batchSize) || options.batchSize < 1) {
+                return "Batch size must be at least 1";
             }
         }
-    } catch (err) { /* Crossed a sector boundary */ }
-
-    try {
-        // South-east
-        var tile = sector[layer][tileX - 1][tileY + 1];
-        var wallType = getWallType(tile);
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
-            var wallSettings = getWallSettings(tile, wallType, null);
-            if (wallSettings.block && !wallSettings.doorBlock) {
-                return wallSettings.block;
+    },
+    {
+        name: "--progress",
+        value: "<file>",
+        description: "progress file for batches",
+        apply: function(options, value) {
+            options.progress = value;
+        }
+    },
+    {
+        name: "--scale",
+        value: "<n>",
+        description: "width of each tile in blocks (default: 1)",
+        apply: function(options, value) {
+            options.scale = parseInt(value, 10);
+            if (isNaN(options.scale) || options.scale < 1) {
+                return "Scale must be at least 1";
             }
         }
-    } catch (err) { /* Crossed a sector boundary */ }
-
-    try {
-        // South
-        var tile = sector[layer][tileX][tileY + 1];
-        var wallType = getWallType(tile);
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
-            var wallSettings = getWallSettings(tile, wallType, null);
-            if (wallSettings.block && !wallSettings.doorBlock) {
-                return wallSettings.block;
+    },
+    {
+        name: "--offset",
+        value: "<x>,<z>",
+        description: "move the map along X and Z",
+        apply: function(options, value) {
+            var offset = value.split(",");
+            options.offsetX = parseInt(offset[0], 10);
+            options.offsetZ = parseInt(offset[1], 10);
+            if (offset.length !== 2 || isNaN(options.offsetX) || isNaN(options.offsetZ)) {
+                return "Offset must be given as <x>,<z>";
             }
         }
-    } catch (err) { /* Crossed a sector boundary */ }
-
-    try {
-        // South-west
-        var tile = sector[layer][tileX + 1][tileY + 1];
-        var wallType = getWallType(tile);
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
-            var wallSettings = getWallSettings(tile, wallType, null);
-            if (wallSettings.block && !wallSettings.doorBlock) {
-                return wallSettings.block;
+    },
+    {
+        name: "--rotate",
+        value: "<degrees>",
+        description: "rotate the map clockwise: 0, 90, 180 or 270",
+        apply: function(options, value) {
+            options.rotation = parseInt(value, 10);
+            if ([0, 90, 180, 270].indexOf(options.rotation) < 0) {
+                return "Rotation must be 0, 90, 180 or 270";
             }
         }
-    } catch (err) { /* Crossed a sector boundary */ }
-
-    try {
-        // West
-        var tile = sector[layer][tileX + 1][tileY];
-        var wallType = getWallType(tile);
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
-            var wallSettings = getWallSettings(tile, wallType, null);
-            if (wallSettings.block && !wallSettings.doorBlock) {
-                return wallSettings.block;
+    },
+    {
+        name: "--base-y",
+        value: "<y>",
+        description: "height of the bedrock layer (default: " + BEDROCK_LEVEL + ")",
+        apply: function(options, value) {
+            options.baseY = parseInt(value, 10);
+            if (isNaN(options.baseY)) {
+                return "Invalid base y: " + value;
             }
         }
-    } catch (err) { /* Crossed a sector boundary */ }
+    }
+];
 
-    try {
-        // North-west
-        var tile = sector[layer][tileX + 1][tileY - 1];
-        var wallType = getWallType(tile);
-        if (isWall(wallType)) {
-            wallType = normalizeWallType(wallType);
-            var wallSettings = getWallSettings(tile, wallType, null);
-            if (wallSettings.block && !wallSettings.doorBlock) {
-                return wallSettings.block;
-            }
+function main() {
+    context.checkArgs(1, -1, "<filename> <region|full|chunk|resume|inspect|goto <place>|"
+            + "around <place> <radius>|export <output>|report <output>> [<options>] [--help]");
+
+    for (var i = 1; i < argv.length; i++) {
+        if (String(argv[i]) === "--help") {
+            printHelp();
+            return;
         }
-    } catch (err) { /* Crossed a sector boundary */ }
+    }
 
-    return null;
-}
+    if (argv.length < 3) {
+        player.printError("No mode specified (use --help for a list of modes)");
+        return;
+    }
 
-function placeObject(objectId, groundPos) {
-    var blockPos = groundPos.add(0, 1, 0);
-    if (objectId === 1) {
-        // Tree
-        placeTree(blockPos);
-    } else if (objectId === 2) {
-        // Shrub
-        blocks.setBlock(blockPos, context.getBlock("fern"));
-    } else if (objectId === 3) {
-        // Well
-        blocks.setBlock(blockPos, context.getBlock("water_cauldron[level=3]"));
-    } else if (objectId === 4) {
-        // Small table
-        blocks.setBlock(blockPos, context.getBlock("crafting_table"));
-    } else if (objectId === 5) {
-        // Treestump
-        blocks.setBlock(blockPos, context.getBlock("oak_log"));
-    } else if (objectId === 7) {
-        // Range
-        blocks.setBlock(blockPos, context.getBlock("furnace"));
-    } else if (objectId === 6) {
-        // Ladder
-        // TODO: Connect floors with ladders
-        blocks.setBlock(blockPos, context.getBlock("oak_stairs"));
-    } else if (objectId === 8) {
-        // Chair
-        // TODO: Use stairs with the appropriate orientation
-        blocks.setBlock(blockPos, context.getBlock("oak_slab"));
-    } else if (objectId === 10) {
-        // Long table
-        blocks.setBlock(blockPos, context.getBlock("oak_planks"));
-    } else if (objectId === 11) {
-        // Ornate chair
-        // TODO: Use stairs with the appropriate orientation
-        blocks.setBlock(blockPos, context.getBlock("oak_slab"));
-    } else if (objectId === 13) {
-        // Gravestone 1 (?)
-        blocks.setBlock(blockPos, context.getBlock("cobblestone"));
-    } else if (objectId === 14) {
-        // Gravestone 2 (?)
-        blocks.setBlock(blockPos, context.getBlock("cobblestone"));
-    } else if (objectId === 16) {
-        // Table (with white tablecloth)
-        blocks.setBlock(blockPos, context.getBlock("white_wool"));
-    } else if (objectId === 20) {
-        // Church altar (with white tablecloth)
-        blocks.setBlock(blockPos, context.getBlock("white_wool"));
-        blocks.setBlock(blockPos.add(0, 1, 0), context.getBlock("white_candle[lit=true,candles=3]"));
-    } else if (objectId === 21) {
-        // Fencepost
-        blocks.setBlock(blockPos, context.getBlock("smooth_stone"));
-    } else if (objectId === 24) {
-        // Church pew
-        // TODO: Use stairs with the appropriate orientation
-        blocks.setBlock(blockPos, context.getBlock("oak_slab"));
-    } else if (objectId === 26) {
-        // Lampstand
-        blocks.setBlock(blockPos, context.getBlock("end_rod[facing=down]"));
-        blocks.setBlock(blockPos.add(0, 1, 0), context.getBlock("white_candle[lit=true]"));
-    } else if (objectId === 27) {
-        // Fountain
-        blocks.setBlock(blockPos, context.getBlock("water_cauldron[level=3]"));
-    } else if (objectId === 30) {
-        // Counter
-        blocks.setBlock(blockPos, context.getBlock("oak_planks"));
-    } else if (objectId === 35) {
-        // Fern
-        blocks.setBlock(blockPos, context.getBlock("fern"));
-    } else if (objectId === 38) {
-        // Flower
-        blocks.setBlock(blockPos, context.getBlock("poppy"));
-    } else if (objectId === 39) {
-        // Mushroom
-        blocks.setBlock(blockPos, context.getBlock("brown_mushroom"));
-    } else if (objectId === 46) {
-        // Railing
-        blocks.setBlock(blockPos, context.getBlock("jungle_fence"));
-    } else if (objectId === 55) {
-        // Lumbridge cow field (feeding trough?)
-        blocks.setBlock(blockPos, context.getBlock("composter"));
-    } else if (objectId === 61) {
-        // Wooden fence gate
-        // TODO: This is not positioned correctly
-        blocks.setBlock(blockPos, context.getBlock("oak_fence_gate"));
-    } else if (objectId === 62) {
-        // Signpost
-        blocks.setBlock(blockPos, context.getBlock("oak_sign"));
-    } else if (objectId === 65) {
-        // Open double doors (Lumbridge castle)
-        // TODO: Need to know the wall position to set the orientation
-        blocks.setBlock(blockPos, context.getBlock("air"));
-    } else if (objectId === 90) {
-        // Hanging sign
-        blocks.setBlock(blockPos, context.getBlock("oak_sign"));
-    } else if (objectId === 119) {
-        // Furnace
-        blocks.setBlock(blockPos, context.getBlock("furnace"));
-    } else {
-        player.print("Unknown object type: " + objectId);
-        blocks.setBlock(blockPos, context.getBlock("lime_wool"));
+    var landscapeFilename = String(argv[1]);
+    var mode = String(argv[2]);
+    var outputFilename = null;
+    var firstFlag = 3;
+    var rscCoords = null;
+    if (mode === "goto" || mode === "around") {
+        if (argv.length < (mode === "goto" ? 4 : 5)) {
+            player.printError("No " + (mode === "goto" ? "place" : "place / radius") + " specified");
+            listPlaces();
+            return;
+        }
+        rscCoords = findPlace(String(argv[3]));
+        if (!rscCoords) {
+            player.printError("Unknown place: " + argv[3]);
+            listPlaces();
+            return;
+        }
+        firstFlag = mode === "goto" ? 4 : 5;
+    } else if (mode === "export" || mode === "report") {
+        if (argv.length < 4) {
+            player.printError("No output file specified");
+            return;
+        }
+        outputFilename = String(argv[3]);
+        firstFlag = 4;
     }
-}
 
-function placeTree(blockPos) {
-    // Based on: https://github.com/EngineHub/WorldEdit/blob/master/worldedit-core/src/main/java/com/sk89q/worldedit/command/tool/TreePlanter.java
+    var options = parseOptions(firstFlag);
+    if (!options) {
+        return;
+    }
+    var progressFile = new File(options.progress || landscapeFilename + PROGRESS_FILE_SUFFIX);
 
-    // First try an Oak tree
-    var treeTypeEnum = TreeGenerator.TreeType.lookup("oak");
-    for (var attempt = 0; attempt < 10; attempt++) {
-        if (treeTypeEnum.generate(blocks, blockPos)) {
-            // Success
+    // Needed before we can find sectors from world positions
+    worldTransform = getWorldTransform(options);
+    buildFilter = getBuildFilter(options);
+
+    // Find relevant sectors
+    var minSectorCoords;
+    var maxSectorCoords;
+    var job = null;
+    if (mode === "full") {
+        player.print("Attempting full map generation...");
+        minSectorCoords = BlockVector3.at(MIN_SECTOR_X, 0, MIN_SECTOR_Y);
+        maxSectorCoords = BlockVector3.at(MAX_SECTOR_X, 0, MAX_SECTOR_Y);
+    } else if (mode === "chunk") {
+        player.print("Attempting single chunk generation...");
+        minSectorCoords = getContainingSectorCoords(worldToMap(player.getBlockLocation()));
+        maxSectorCoords = minSectorCoords;
+    } else if (mode === "region") {
+        // Use selection
+        player.print("Attempting generation from selection...");
+        var sectorRange = getSelectedSectors();
+        minSectorCoords = sectorRange[0];
+        maxSectorCoords = sectorRange[1];
+    } else if (mode === "export") {
+        player.print("Attempting export from selection...");
+        var sectorRange = getSelectedSectors();
+        minSectorCoords = sectorRange[0];
+        maxSectorCoords = sectorRange[1];
+    } else if (mode === "around") {
+        var radius = parseInt(argv[4], 10);
+        if (isNaN(radius) || radius < 0) {
+            player.printError("Invalid radius: " + argv[4]);
+            return;
+        }
+        player.print("Attempting generation around: " + argv[3]);
+        var sectorRange = getSectorsAround(rscCoords, radius);
+        minSectorCoords = sectorRange[0];
+        maxSectorCoords = sectorRange[1];
+    } else if (mode === "inspect" || mode === "goto") {
+        // Nothing to find; these only look at a single tile
+    } else if (mode === "report") {
+        player.print("Attempting report of entire map...");
+        minSectorCoords = BlockVector3.at(MIN_SECTOR_X, 0, MIN_SECTOR_Y);
+        maxSectorCoords = BlockVector3.at(MAX_SECTOR_X, 0, MAX_SECTOR_Y);
+    } else if (mode === "resume") {
+        if (options.dryRun) {
+            player.printError("--dry-run cannot be used with resume");
             return;
         }
+        try {
+            job = loadJob(progressFile);
+        } catch (err) {
+            player.printError("Error reading progress file");
+            player.printError(err);
+            return;
+        }
+        player.print("Resuming generation from: " + progressFile.getPath());
+
+        // Generate the rest exactly as before, but allow a new batch size
+        var batchSize = options.batchSize;
+        options = job.options;
+        options.batchSize = batchSize;
+        worldTransform = getWorldTransform(options);
+        buildFilter = getBuildFilter(options);
+    } else {
+        player.printError("Unknown parameter: " + mode);
+        return;
+    }
+
+    if (options.singleSchematic && !options.schematicDir) {
+        player.printError("--single-schematic requires --schematic=<directory>");
+        return;
     }
 
-    // If that fails, try Spruce
-    // (Oak tends to fail near fences due to its short trunk)
-    treeTypeEnum = TreeGenerator.TreeType.lookup("spruce");
-    for (var attempt = 0; attempt < 10; attempt++) {
-        if (treeTypeEnum.generate(blocks, blockPos)) {
-            // Success
+    // Cleaning clears the whole surface, so any surface layers left out would
+    // be lost
+    if (options.clean && options.layers && !hasSurfaceLayers(options.layers)) {
+        player.printError("--clean cannot be used unless --layers includes 0, 1 and 2");
+        return;
+    }
+
+    // A dry run changes nothing, not even the progress file
+    if (options.dryRun) {
+        player.print("Dry run: no blocks will be placed");
+        options.schematicDir = null;
+        options.singleSchematic = false;
+    }
+
+    // Apply options
+    undergroundDepth = options.undergroundDepth;
+    seed = (options.seed === null || options.seed === undefined) ? DEFAULT_SEED : options.seed;
+    roofPitch = (options.roofPitch === null || options.roofPitch === undefined)
+            ? DEFAULT_ROOF_PITCH
+            : options.roofPitch;
+    smoothTerrain = !!options.smooth;
+    terrainExaggeration = (options.exaggeration === null || options.exaggeration === undefined)
+            ? 1
+            : options.exaggeration;
+    if (options.mapping) {
+        try {
+            blockMapping = loadBlockMapping(options.mapping);
+            player.print("Using block mapping: " + options.mapping);
+        } catch (err) {
+            player.printError("Error reading block mapping");
+            player.printError(err);
             return;
         }
     }
 
-    // Fallback
-    blocks.setBlock(blockPos, context.getBlock("dead_bush"));
-}
+    // Load landscape data
+    try {
+        landscape = loadLandscapeData(landscapeFilename);
+    } catch (err) {
+        player.printError("Error reading landscape data");
+        player.printError(err);
+        return;
+    }
 
-function placeRoof(roofTexture, blockPos, facing) {
-    if (roofTexture === 1) {
-        // Normal tile roof
-        if (facing) {
-            blocks.setBlock(blockPos, context.getBlock("polished_granite_stairs[facing=" + facing + "]"));
-        } else {
-            blocks.setBlock(blockPos, context.getBlock("polished_granite"));
+    if (mode === "inspect") {
+        inspectTile(worldToMap(player.getBlockLocation()));
+        return;
+    }
+
+    if (mode === "goto") {
+        gotoPlace(rscCoords);
+        return;
+    }
+
+    if (mode === "report") {
+        try {
+            writeReport(minSectorCoords, maxSectorCoords, outputFilename);
+            player.print("Report written to: " + outputFilename);
+        } catch (err) {
+            player.printError("Error writing report");
+            player.printError(err);
         }
-    } else if (roofTexture === 2) {
-        // Wooden roof
-        if (facing) {
-            blocks.setBlock(blockPos, context.getBlock("spruce_stairs[facing=" + facing + "]"));
-        } else {
-            blocks.setBlock(blockPos, context.getBlock("spruce_planks"));
+        return;
+    }
+
+    if (mode === "export") {
+        try {
+            exportSectors(minSectorCoords, maxSectorCoords, outputFilename, options.underground);
+        } catch (err) {
+            player.printError("Error exporting landscape data");
+            player.printError(err);
         }
-    } else if (roofTexture === 3) {
-        // Gray slate (exam centre)
-        if (facing) {
-            blocks.setBlock(blockPos, context.getBlock("cobbled_deepslate_stairs[facing=" + facing + "]"));
-        } else {
-            blocks.setBlock(blockPos, context.getBlock("cobbled_deepslate"));
+        return;
+    }
+
+    for (var i = 0; i < SPAWN_TYPES.length; i++) {
+        var spawnFile = options[SPAWN_TYPES[i]];
+        if (!spawnFile) {
+            continue;
         }
-    } else if (roofTexture === 6) {
-        // Straw roof (Shantay Pass)
-        if (facing) {
-            blocks.setBlock(blockPos, context.getBlock("smooth_sandstone_stairs[facing=" + facing + "]"));
-        } else {
-            blocks.setBlock(blockPos, context.getBlock("smooth_sandstone"));
+        try {
+            spawnLists[SPAWN_TYPES[i]] = loadSpawns(spawnFile);
+            player.print("Using " + SPAWN_TYPES[i] + ": " + spawnFile);
+        } catch (err) {
+            player.printError("Error reading " + SPAWN_TYPES[i]);
+            player.printError(err);
+            return;
+        }
+    }
+
+    // Larger areas are generated in batches, so that each run finishes within
+    // the scripting timeout. A single schematic can't be split up like this.
+    if (!job && mode !== "chunk" && !options.singleSchematic && !options.dryRun) {
+        if (isJobInProgress(progressFile)) {
+            player.printError("Generation is already in progress: " + progressFile.getPath());
+            player.printError("Use 'resume' to continue, or delete the progress file to start again");
+            return;
         }
+        job = createJob(minSectorCoords, maxSectorCoords, options);
+    }
+
+    if (job) {
+        runJob(job, progressFile, landscapeFilename);
     } else {
-        player.print("Unknown roof texture: " + roofTexture);
-        blocks.setBlock(blockPos, context.getBlock("pink_wool"));
+        generateSectors(minSectorCoords, maxSectorCoords, options);
     }
 }
 
-////////////////////////////////////////////////////////////////////////////////
-// Utilities
-////////////////////////////////////////////////////////////////////////////////
-
-function getContainingSectorCoords(blockPos) {
-    // See: https://github.com/2003scape/rsc-landscape/blob/master/src/landscape.js#L173
-    var sectorX = Math.floor(blockPos.getX() / SECTOR_SIZE);
-    var sectorY = Math.floor(blockPos.getZ() / SECTOR_SIZE);
+function getWorldTransform(options) {
+    // Older progress files won't have these
+    return {
+        scale: options.scale || 1,
+        offsetX: options.offsetX || 0,
+        offsetZ: options.offsetZ || 0,
+        rotation: options.rotation || 0,
+        baseY: options.baseY !== undefined ? options.baseY : BEDROCK_LEVEL
+    };
+}
 
-    // RuneScape and Minecraft use different co-ordinate systems so we have to
-    // flip our x co-ordinates to prevent the world becoming mirrored.
-    sectorX = NUM_SECTORS_X - sectorX;
+function getBuildFilter(options) {
+    // Older progress files won't have these
+    var layers = options.layers || [0, 1, 2, UNDERGROUND_LAYER];
+    if (!options.underground) {
+        layers = layers.filter(function(layer) {
+            return layer !== UNDERGROUND_LAYER;
+        });
+    }
+    return {
+        layers: layers,
+        passes: options.passes || createPasses(true)
+    };
+}
 
-    // In effect, adding MIN_SECTOR_X/Y offsets the entire RuneScape world
-    // relative to the Minecraft world, so that we can start generating from
-    // (0, 0). As far as I can tell it's a convenience, not a necessity.
-    sectorX += MIN_SECTOR_X;
-    sectorY += MIN_SECTOR_Y;
+function parseOptions(firstFlag) {
+    var options = {
+        clean: false,
+        underground: true,
+        undergroundDepth: DEFAULT_UNDERGROUND_DEPTH,
+        mapping: null,
+        scenery: null,
+        npcs: null,
+        items: null,
+        schematicDir: null,
+        singleSchematic: false,
+        batchSize: DEFAULT_BATCH_SIZE,
+        progress: null,
+        scale: 1,
+        offsetX: 0,
+        offsetZ: 0,
+        rotation: 0,
+        baseY: BEDROCK_LEVEL,
+        layers: null,
+        passes: createPasses(true),
+        seed: null,
+        roofPitch: null,
+        smooth: false,
+        exaggeration: null,
+        dryRun: false
+    };
 
-    return BlockVector3.at(sectorX, 0, sectorY);
-}
+    for (var i = firstFlag; i < argv.length; i++) {
+        var arg = String(argv[i]);
 
-function getSectorId(layer, sectorX, sectorY) {
-    return "h" + layer + "x" + sectorX + "y" + sectorY;
-}
+        // Options are either "--name" or "--name=value"
+        var equals = arg.indexOf("=");
+        var name = equals < 0 ? arg : arg.substring(0, equals);
+        var value = equals < 0 ? null : arg.substring(equals + 1);
 
-function getMinBlockPosForSector(sectorX, sectorY) {
-    // Convert from RuneScape -> Minecraft co-ordinates.
-    // This is basically the opposite of `getContainingSectorCoords`.
-    var mcSectorX = (sectorX - MIN_SECTOR_X);
-    var mcSectorZ = (sectorY - MIN_SECTOR_Y);
+        var definition = findOptionDefinition(name);
+        if (!definition) {
+            player.printError("Unknown option: " + arg + " (use --help for a list of options)");
+            return null;
+        }
+        if (definition.value && value === null) {
+            player.printError("Missing value: " + name + "=" + definition.value);
+            return null;
+        }
+        if (!definition.value && value !== null) {
+            player.printError("Option does not take a value: " + name);
+            return null;
+        }
 
-    mcSectorX = -(mcSectorX - NUM_SECTORS_X);
+        var error = definition.apply(options, value);
+        if (error) {
+            player.printError(error);
+            return null;
+        }
+    }
 
-    var blockX = mcSectorX * SECTOR_SIZE;
-    var blockZ = mcSectorZ * SECTOR_SIZE;
+    return options;
+}
 
-    return BlockVector3.at(blockX, BEDROCK_LEVEL, blockZ);
+function findOptionDefinition(name) {
+    for (var i = 0; i < OPTION_DEFINITIONS.length; i++) {
+        if (OPTION_DEFINITIONS[i].name === name) {
+            return OPTION_DEFINITIONS[i];
+        }
+    }
+    return null;
 }
 
-function getBlockPosForTile(sectorMinBlockPos, tileX, tileY) {
-    // Convert from RuneScape -> Minecraft co-ordinates (inverted x-axis)
-    var blockX = sectorMinBlockPos.getX() + (SECTOR_SIZE - tileX - 1);
-    var blockY = sectorMinBlockPos.getY();
-    var blockZ = sectorMinBlockPos.getZ() + tileY;
-    return BlockVector3.at(blockX, blockY, blockZ);
+function createPasses(enabled) {
+    var passes = {};
+    for (var i = 0; i < BUILD_PASSES.length; i++) {
+        passes[BUILD_PASSES[i]] = enabled;
+    }
+    return passes;
 }
 
-////////////////////////////////////////////////////////////////////////////////
-// Data loading
-////////////////////////////////////////////////////////////////////////////////
+function parsePasses(value) {
+    // Returns null if any pass is unknown
+    var passes = createPasses(false);
+    var names = value.split(",");
+    for (var i = 0; i < names.length; i++) {
+        if (BUILD_PASSES.indexOf(names[i]) < 0) {
+            return null;
+        }
+        passes[names[i]] = true;
+    }
+    return passes;
+}
 
-function loadLandscapeData(filename) {
-    // Load ZIP file
-    var file = new File(filename);
-    if (!file.exists()) {
-        player.printError("Specified landscape file does not exist");
+function parseLayers(value) {
+    // Returns null if any layer is invalid
+    var layers = [];
+    var names = value.split(",");
+    for (var i = 0; i < names.length; i++) {
+        var layer = parseInt(names[i], 10);
+        if (isNaN(layer) || layer < 0 || layer > UNDERGROUND_LAYER) {
+            return null;
+        }
+        layers.push(layer);
     }
-    return new ZipFile(file);
+    return layers;
 }
 
-function loadSector(archive, sectorEntry) {
-    buffer = streamToBuffer(new BufferedInputStream(archive.getInputStream(sectorEntry)));
-    sector = new Array(SECTOR_SIZE);
-    for (var x = 0; x < SECTOR_SIZE; x++) {
-        sector[x] = new Array(SECTOR_SIZE);
-        for (var y = 0; y < SECTOR_SIZE; y++) {
-            // See: https://github.com/Open-RSC/2D-Landscape-Editor/blob/main/src/main/java/org/openrsc/editor/model/Tile.java#L206
-            var tile = {}
-            tile.groundElevation = toUnsigned(buffer.get());
-            tile.groundTexture = toUnsigned(buffer.get());
-            tile.groundOverlay = toUnsigned(buffer.get());
-            tile.roofTexture = toUnsigned(buffer.get());
-            tile.rightBorderWall = toUnsigned(buffer.get());
-            tile.topBorderWall = toUnsigned(buffer.get());
-            // 0-12000 is /, 12000-48000 is \, 48000+ is an object ID
-            tile.diagonalWalls = buffer.getInt();
-            sector[x][y] = tile;
+function hasSurfaceLayers(layers) {
+    for (var layer = 0; layer < NUM_LAYERS; layer++) {
+        if (layers.indexOf(layer) < 0) {
+            return false;
         }
     }
-    return sector;
+    return true;
 }
 
-function streamToBuffer(inputStream) {
-    var size = inputStream.available();
-    var buffer = java.lang.reflect.Array.newInstance(java.lang.Byte.TYPE, size);
-    for (var i = 0; i < size; i++) {
-        buffer[i] = toSigned(inputStream.read());
+function printHelp() {
+    player.print("Usage: /cs rsc_gen_terrain <landscape_filename> <mode> [<options>]");
+    player.print("Modes:");
+    for (var i = 0; i < MODE_DESCRIPTIONS.length; i++) {
+        player.print("  " + MODE_DESCRIPTIONS[i][0] + " - " + MODE_DESCRIPTIONS[i][1]);
     }
+    player.print("Options:");
+    for (var i = 0; i < OPTION_DEFINITIONS.length; i++) {
+        var definition = OPTION_DEFINITIONS[i];
+        player.print("  " + definition.name + (definition.value ? "=" + definition.value : "")
+                + " - " + definition.description);
+    }
+}
 
-    // TODO: This would be more efficient but doesn't seem to work!
-    //inputStream.read(buffer, 0, size);
+function generateSectors(minSectorCoords, maxSectorCoords, options) {
+    if (options.singleSchematic) {
+        blocks = createSchematic(minSectorCoords.getX(), minSectorCoords.getZ(),
+                maxSectorCoords.getX(), maxSectorCoords.getZ(), options.underground);
+    }
 
-    return ByteBuffer.wrap(buffer);
-}
+    for (var sectorX = minSectorCoords.getX(); sectorX <= maxSectorCoords.getX(); sectorX++) {
+        for (var sectorY = minSectorCoords.getZ(); sectorY <= maxSectorCoords.getZ(); sectorY++) {
+            try {
+                generateSector(sectorX, sectorY, options);
+            } catch (err) {
+                player.printError(err);
+            }
+        }
+    }
 
-function toSigned(val) {
-    if (val > 127) {
-        val -= 256;
+    if (options.singleSchematic) {
+        saveSchematic(blocks, new File(options.schematicDir),
+                getSectorId(0, minSectorCoords.getX(), minSectorCoords.getZ())
+                + "-" + getSectorId(0, maxSectorCoords.getX(), maxSectorCoords.getZ()));
     }
-    return val;
 }
 
-function toUnsigned(val) {
-    if (val < 0) {
-        val += 256;
+function generateSector(sectorX, sectorY, options) {
+    var sectorId = getSectorId(0, sectorX, sectorY);
+    player.print("Loading sector: " + sectorId);
+    var sector = getSector(sectorX, sectorY);
+    if (!sector) {
+        throw "Invalid sector: " + sectorId;
     }
-    return val;
-}
 
-////////////////////////////////////////////////////////////////////////////////
-// Entry point
-////////////////////////////////////////////////////////////////////////////////
+    // Blocks are placed in a schematic instead of the world
+    var schematicDir = null;
+    if (options.schematicDir && !options.singleSchematic) {
+        schematicDir = new File(options.schematicDir);
+        blocks = createSchematic(sectorX, sectorY, sectorX, sectorY, options.underground);
+    }
 
-function main() {
-    context.checkArgs(2, 3, "<filename> <region|full|chunk> [--clean]");
+    // ...or nowhere at all
+    if (options.dryRun) {
+        blocks = createDryRun();
+    }
 
-    // Find relevant sectors
-    var minSectorCoords;
-    var maxSectorCoords;
-    if (argv.length > 2) {
-        if (argv[2].equals("full")) {
-            player.print("Attempting full map generation...");
-            minSectorCoords = BlockVector3.at(MIN_SECTOR_X, 0, MIN_SECTOR_Y);
-            maxSectorCoords = BlockVector3.at(MAX_SECTOR_X, 0, MAX_SECTOR_Y);
-        } else if (argv[2].equals("chunk")) {
-            player.print("Attempting single chunk generation...");
-            minSectorCoords = getContainingSectorCoords(player.getBlockLocation());
-            maxSectorCoords = minSectorCoords;
-        } else if (argv[2].equals("region")) {
-            // Use selection
-            player.print("Attempting generation from selection...");
-            region = session.getRegionSelector(player.getWorld()).getRegion();
-            var minRegionPos = region.getMinimumPoint();
-            var maxRegionPos = region.getMaximumPoint();
-            minSectorCoords = getContainingSectorCoords(minRegionPos);
-            maxSectorCoords = getContainingSectorCoords(maxRegionPos);
-        } else {
-            player.printError("Unknown parameter: " + argv[2]);
-            return;
-        }
+    player.print("Processing sector");
+    processSector(sector, sectorX, sectorY, options.clean);
+
+    // Underground layer is built separately, far below the surface
+    if (isLayerEnabled(UNDERGROUND_LAYER) && sector.hasUnderground) {
+        player.print("Processing underground sector: "
+                + getSectorId(UNDERGROUND_LAYER, sectorX, sectorY));
+        processUndergroundSector(sector, sectorX, sectorY);
     }
 
-    // Parse clean flag
-    var clean = false;
-    if (argv.length > 3) {
-        if (argv[3].equals("--clean")) {
-            player.print("Clean enabled");
-            clean = true;
-        } else {
-            player.printError("Unknown parameter: " + argv[3]);
-        }
+    // Spawns go in once every layer has been built, replacing any left by an
+    // earlier run (unless nothing is really being built)
+    if (!options.dryRun) {
+        removeSpawnedEntities(sectorX, sectorY);
     }
+    placeSpawns(sector, sectorX, sectorY);
 
-    // Load landscape data
-    // TODO: We are currently loading a "Landscape.data" file but this is not the
-    // original map format. We should be loading .jag and .mem files as seen here:
-    // https://github.com/2003scape/rsc-landscape#example
-    var landscapeArchive;
-    try {
-        landscapeArchive = loadLandscapeData(argv[1]);
-    } catch (err) {
-        player.printError("Error reading landscape data");
-        player.printError(err);
-        return;
+    if (schematicDir) {
+        saveSchematic(blocks, schematicDir, sectorId);
     }
 
-    // Load / process requested sectors
-    for (var sectorX = minSectorCoords.getX(); sectorX <= maxSectorCoords.getX(); sectorX++) {
-        for (var sectorY = minSectorCoords.getZ(); sectorY <= maxSectorCoords.getZ(); sectorY++) {
-            var sector = new Array(NUM_LAYERS);
-
-            // Load all layers
-            for (var layer = 0; layer < NUM_LAYERS; layer++) {
-                var sectorId = getSectorId(layer, sectorX, sectorY);
-                var sectorEntry = landscapeArchive.getEntry(sectorId);
-                if (sectorEntry) {
-                    player.print("Loading sector: " + sectorId);
-                    sector[layer] = loadSector(landscapeArchive, sectorEntry);
-                } else {
-                    player.printError("Invalid sector: " + sectorId);
-                }
-            }
+    if (options.dryRun) {
+        player.print("Dry run: " + blocks.changes + " block changes in " + sectorId);
+    }
+}
 
-            player.print("Processing sector");
-            processSector(sector, sectorX, sectorY, clean);
+function createDryRun() {
+    // Stands in for the EditSession, counting changes instead of making them
+    return {
+        changes: 0,
+        setBlock: function(blockPos, block) {
+            this.changes++;
+            return true;
+        },
+        getBlock: function(blockPos) {
+            return getBlock("air");
+        },
+        setBiome: function(blockPos, biome) {
+            // Biomes aren't blocks, so they don't count
+            return true;
+        },
+        createEntity: function(location, entity) {
+            this.changes++;
+            return null;
         }
-    }
+    };
 }
 
 var blocks = context.remember();
 var session = context.getSession();
 var player = context.getPlayer();
 var region;
+var landscape;
+var undergroundDepth = DEFAULT_UNDERGROUND_DEPTH;
+var seed = DEFAULT_SEED;
+var roofPitch = DEFAULT_ROOF_PITCH;
+var smoothTerrain = false;
+var terrainExaggeration = 1;
+var sectorCache = { sectors: {}, order: [] };
+var groundLayerCache = { sectors: {}, order: [] };
+var blockMapping = DEFAULT_BLOCK_MAPPING;
+var buildFilter = getBuildFilter({ underground: true });
+var worldTransform = {
+    scale: 1,
+    offsetX: 0,
+    offsetZ: 0,
+    rotation: 0,
+    baseY: BEDROCK_LEVEL
+};
+var blockCache = {};
+var biomeCache = {};
+var unknownIds = {};
+var terrainMatches = [];
+var spawnLists = {};
+
+// If set, walls and roofs are only placed within these bounds
+var clipBounds = null;
+
+// If set, trees are only placed within these bounds (even those belonging to
+// the current sector, since their leaves can spread into its neighbours)
+var treeBounds = null;
+
+// Positions of doors placed in the current sector, which walls should not
+// overwrite
+var doorPositions = {};
+
+// Positions of walls, objects and trees placed in the current sector, which
+// leaves should not replace (only tracked while these are being built)
+var structurePositions = null;
 
 main();